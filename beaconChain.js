@@ -0,0 +1,72 @@
+/**
+ * beaconChain.js
+ *
+ * Beacon chain timing of the supported networks, and lookups on the beacon
+ * node API of the local consensus client.
+ */
+
+// All consensus clients serve the beacon node API on this port
+export const LOCAL_BEACON_API = "http://localhost:5052";
+
+export const FAR_FUTURE_EPOCH = "18446744073709551615";
+
+// Current Ethereum slot time (12 seconds per slot, 32 slots per epoch)
+export const SECONDS_PER_SLOT = 12;
+export const SLOTS_PER_EPOCH = 32;
+
+// Beacon chain genesis timestamps per network
+export const GENESIS_TIMESTAMPS = {
+  mainnet: 1606824023, // Dec 1, 2020
+  sepolia: 1655733600, // Jun 20, 2022
+  holesky: 1695902400, // Sep 28, 2023
+  hoodi: 1742213400, // Mar 17, 2025
+};
+
+/**
+ * Calculate the expected current slot number for a network
+ */
+export function getCurrentSlot(network = "mainnet") {
+  const now = Math.floor(Date.now() / 1000);
+  const slot = Math.floor(
+    (now - GENESIS_TIMESTAMPS[network]) / SECONDS_PER_SLOT
+  );
+  return slot;
+}
+
+/**
+ * Epoch of a point in time (milliseconds) on a network
+ */
+export function getEpochAt(network, time) {
+  return Math.floor(
+    (time / 1000 - GENESIS_TIMESTAMPS[network]) /
+      (SECONDS_PER_SLOT * SLOTS_PER_EPOCH)
+  );
+}
+
+/**
+ * Start of an epoch on a network, in milliseconds
+ */
+export function getEpochStartTime(network, epoch) {
+  return (
+    (GENESIS_TIMESTAMPS[network] + epoch * SLOTS_PER_EPOCH * SECONDS_PER_SLOT) *
+    1000
+  );
+}
+
+/**
+ * State of a validator, by index or public key, from the local beacon node:
+ * { index, balance, status, validator: { pubkey, activation_epoch, ... } }.
+ * Returns null if the beacon node does not know the validator and throws
+ * if it cannot be reached.
+ */
+export async function getValidatorState(id, timeout = 5000) {
+  const response = await fetch(
+    `${LOCAL_BEACON_API}/eth/v1/beacon/states/head/validators/${id}`,
+    { signal: AbortSignal.timeout(timeout) }
+  );
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Beacon node API returned HTTP ${response.status}`);
+  }
+  return (await response.json()).data;
+}
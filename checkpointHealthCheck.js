@@ -1,39 +1,60 @@
 import fs from "fs";
 import path from "path";
 import { debugToFile } from "./helpers.js";
-
-// List of public checkpoint sync URLs
-const CHECKPOINT_URLS = [
-  "https://checkpointz.pietjepuk.net",
-  "https://sync-mainnet.beaconcha.in",
-  "https://beaconstate-mainnet.chainsafe.io",
-  "https://mainnet-checkpoint-sync.stakely.io",
-  "https://mainnet-checkpoint-sync.attestant.io",
-  "https://beaconstate.ethstaker.cc",
-  "https://mainnet.checkpoint.sigp.io",
-  "https://beaconstate.info",
-];
-
-// Current Ethereum slot time (12 seconds per slot, 32 slots per epoch)
-const SECONDS_PER_SLOT = 12;
-const ETHEREUM_GENESIS_TIMESTAMP = 1606824023; // Dec 1, 2020
-
-/**
- * Calculate the expected current slot number
- */
-function getCurrentSlot() {
-  const now = Math.floor(Date.now() / 1000);
-  const slot = Math.floor(
-    (now - ETHEREUM_GENESIS_TIMESTAMP) / SECONDS_PER_SLOT
-  );
-  return slot;
-}
+import { getClientAdapter } from "./clientRegistry.js";
+import { waitUntil } from "./readinessProbes.js";
+import {
+  LOCAL_BEACON_API,
+  SLOTS_PER_EPOCH,
+  getCurrentSlot,
+} from "./beaconChain.js";
+
+// List of public checkpoint sync URLs per network
+const CHECKPOINT_URLS = {
+  mainnet: [
+    "https://checkpointz.pietjepuk.net",
+    "https://sync-mainnet.beaconcha.in",
+    "https://beaconstate-mainnet.chainsafe.io",
+    "https://mainnet-checkpoint-sync.stakely.io",
+    "https://mainnet-checkpoint-sync.attestant.io",
+    "https://beaconstate.ethstaker.cc",
+    "https://mainnet.checkpoint.sigp.io",
+    "https://beaconstate.info",
+  ],
+  sepolia: [
+    "https://sepolia.beaconstate.info",
+    "https://checkpoint-sync.sepolia.ethpandaops.io",
+    "https://beaconstate-sepolia.chainsafe.io",
+  ],
+  holesky: [
+    "https://holesky.beaconstate.info",
+    "https://checkpoint-sync.holesky.ethpandaops.io",
+    "https://beaconstate-holesky.chainsafe.io",
+  ],
+  hoodi: [
+    "https://hoodi.beaconstate.info",
+    "https://checkpoint-sync.hoodi.ethpandaops.io",
+    "https://hoodi-checkpoint-sync.attestant.io",
+  ],
+};
+
+// Servers within this many slots of the most current one count as current
+const CURRENT_THRESHOLD = 10;
+
+// Health check results are reused for an hour, see rankCheckpointUrls()
+const CHECKPOINT_CACHE_FILE = "checkpoint_health.json";
+const CHECKPOINT_CACHE_TTL = 60 * 60 * 1000;
 
 /**
  * Check health of a single checkpoint URL
  * Performs 5 checks and averages the response time for accuracy
  */
-async function checkCheckpointHealth(url, timeout = 5000, numChecks = 5) {
+async function checkCheckpointHealth(
+  url,
+  network = "mainnet",
+  timeout = 5000,
+  numChecks = 5
+) {
   const responseTimes = [];
   let slot = null;
   let slotAge = null;
@@ -123,7 +144,7 @@ async function checkCheckpointHealth(url, timeout = 5000, numChecks = 5) {
 
         // If we got slot data, calculate slot age
         if (slot) {
-          const currentSlot = getCurrentSlot();
+          const currentSlot = getCurrentSlot(network);
           slotAge = currentSlot - slot;
         }
       }
@@ -156,16 +177,108 @@ async function checkCheckpointHealth(url, timeout = 5000, numChecks = 5) {
 }
 
 /**
- * Check if Lighthouse database exists
+ * Get the root of the block at `blockId` (a slot, "finalized", ...) from a
+ * beacon API. Returns null if the server does not answer or does not have
+ * the block.
+ */
+async function fetchBlockRoot(url, blockId, timeout = 5000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(
+      `${url}/eth/v1/beacon/blocks/${blockId}/root`,
+      {
+        signal: controller.signal,
+        headers: { Accept: "application/json" },
+      }
+    );
+    if (!response.ok) {
+      debugToFile(
+        `fetchBlockRoot(): ${url} ${blockId}: HTTP ${response.status}`
+      );
+      return null;
+    }
+    const data = await response.json();
+    return data?.data?.root || null;
+  } catch (error) {
+    debugToFile(`fetchBlockRoot(): ${url} ${blockId}: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Ask every checkpoint server for the root of the block at `slot` and
+ * compare it with `root`.
+ *
+ * Quorum rule: the root is accepted if a majority of the servers
+ * (counting the one it came from) serve it and no server serves a different
+ * one. Servers that do not answer count neither way.
+ *
+ * @returns {Promise<object>} { ok, agreeing: [url], disagreeing: [{ url, root }],
+ *   quorum }
+ */
+async function crossCheckBlockRoot(
+  checkpointUrls,
+  slot,
+  root,
+  sourceUrl = null
+) {
+  const quorum = Math.floor(checkpointUrls.length / 2) + 1;
+
+  const answers = await Promise.all(
+    checkpointUrls
+      .filter((url) => url !== sourceUrl)
+      .map(async (url) => ({ url, root: await fetchBlockRoot(url, slot) }))
+  );
+
+  const agreeing = answers
+    .filter((answer) => answer.root === root)
+    .map((answer) => answer.url);
+  if (sourceUrl) agreeing.unshift(sourceUrl);
+  const disagreeing = answers.filter(
+    (answer) => answer.root !== null && answer.root !== root
+  );
+
+  debugToFile(
+    `crossCheckBlockRoot(): slot ${slot} root ${root}: ${agreeing.length} agree, ${disagreeing.length} disagree, quorum ${quorum}`
+  );
+
+  return {
+    ok: disagreeing.length === 0 && agreeing.length >= quorum,
+    agreeing,
+    disagreeing,
+    quorum,
+  };
+}
+
+function printCrossCheckResult(slot, root, result) {
+  const epoch = Math.floor(slot / SLOTS_PER_EPOCH);
+  console.log(`   Finalized block: slot ${slot} (epoch ${epoch})`);
+  console.log(`   Root:            ${root}`);
+  result.agreeing.forEach((url) => {
+    console.log(`  ✓ ${url.replace(/^https?:\/\//, "").padEnd(45)} same root`);
+  });
+  result.disagreeing.forEach(({ url, root: otherRoot }) => {
+    console.log(
+      `  ✗ ${url.replace(/^https?:\/\//, "").padEnd(45)} ${otherRoot}`
+    );
+  });
+}
+
+/**
+ * Check if the beacon database of a consensus client exists
  * Supports custom install directories provided via --directory flag
  */
-function lighthouseDatabaseExists(installDir) {
+function beaconDatabaseExists(consensusClient, installDir) {
   const beaconDbPath = path.join(
     installDir,
     "ethereum_clients",
-    "lighthouse",
+    consensusClient,
     "database",
-    "beacon"
+    getClientAdapter(consensusClient).beaconDbDir
   );
 
   try {
@@ -176,56 +289,171 @@ function lighthouseDatabaseExists(installDir) {
     const files = fs.readdirSync(beaconDbPath);
     return files.length > 0;
   } catch (error) {
-    debugToFile(`Error checking Lighthouse database: ${error.message}`);
+    debugToFile(`Error checking ${consensusClient} database: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Check if Prysm database exists
- * Supports custom install directories provided via --directory flag
+ * Checkpoint servers to use for a network: the ones given with
+ * --checkpoint-providers, or the public servers for the network.
  */
-function prysmDatabaseExists(installDir) {
-  const beaconDbPath = path.join(
-    installDir,
-    "ethereum_clients",
-    "prysm",
-    "database",
-    "beaconchaindata"
-  );
+export function getCheckpointUrls(network = "mainnet", providers = null) {
+  return providers && providers.length > 0
+    ? providers
+    : CHECKPOINT_URLS[network];
+}
 
+function getCheckpointCachePath(installDir) {
+  return path.join(installDir, "ethereum_clients", CHECKPOINT_CACHE_FILE);
+}
+
+/**
+ * Health check results saved by the last run, by URL, for a network.
+ * Results older than CHECKPOINT_CACHE_TTL are dropped.
+ */
+function loadCachedResults(installDir, network) {
   try {
-    if (!fs.existsSync(beaconDbPath)) {
-      return false;
+    const cache = JSON.parse(
+      fs.readFileSync(getCheckpointCachePath(installDir), "utf8")
+    );
+    const results = {};
+    for (const result of (cache[network] || {}).results || []) {
+      if (Date.now() - Date.parse(result.checkedAt) < CHECKPOINT_CACHE_TTL) {
+        results[result.url] = result;
+      }
     }
+    return results;
+  } catch (error) {
+    return {};
+  }
+}
 
-    const files = fs.readdirSync(beaconDbPath);
-    return files.length > 0;
+function saveCachedResults(installDir, network, results) {
+  const cachePath = getCheckpointCachePath(installDir);
+  try {
+    let cache = {};
+    if (fs.existsSync(cachePath)) {
+      cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    }
+    cache[network] = { updatedAt: new Date().toISOString(), results };
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, `${JSON.stringify(cache, null, 2)}\n`);
   } catch (error) {
-    debugToFile(`Error checking Prysm database: ${error.message}`);
-    return false;
+    debugToFile(`saveCachedResults(): ${error}`);
   }
 }
 
 /**
- * Select the best checkpoint URL for Lighthouse
+ * Health check every checkpoint server and rank them: servers within
+ * CURRENT_THRESHOLD slots of the most current one first, fastest first,
+ * then the rest by response time.
+ *
+ * Results younger than CHECKPOINT_CACHE_TTL are reused from the cache in
+ * ethereum_clients/ unless `useCache` is false, and every fresh result is
+ * saved there.
+ *
+ * @returns {Promise<object[]>} Results of checkCheckpointHealth() with
+ *   `cached` and `current` set, ranked (failed servers last)
+ */
+export async function rankCheckpointUrls(
+  checkpointUrls,
+  installDir,
+  network = "mainnet",
+  { useCache = true } = {}
+) {
+  const cached = useCache ? loadCachedResults(installDir, network) : {};
+
+  const results = await Promise.all(
+    checkpointUrls.map(async (url) => {
+      if (cached[url]) {
+        const result = { ...cached[url], cached: true };
+        if (result.slot) {
+          result.slotAge = getCurrentSlot(network) - result.slot;
+        }
+        return result;
+      }
+      const result = await checkCheckpointHealth(url, network);
+      return { ...result, checkedAt: new Date().toISOString(), cached: false };
+    })
+  );
+
+  saveCachedResults(
+    installDir,
+    network,
+    results.map(({ cached: _, current: __, ...result }) => result)
+  );
+
+  // Find the minimum slot age (most current data available)
+  const slotAges = results
+    .filter((r) => r.success && r.slotAge !== null)
+    .map((r) => r.slotAge);
+  const minSlotAge = Math.min(...slotAges);
+
+  results.forEach((result) => {
+    result.current =
+      result.success &&
+      result.slotAge !== null &&
+      result.slotAge - minSlotAge <= CURRENT_THRESHOLD;
+  });
+
+  const rank = (result) => (result.current ? 0 : result.success ? 1 : 2);
+  return [...results].sort(
+    (a, b) => rank(a) - rank(b) || (a.responseTime || 0) - (b.responseTime || 0)
+  );
+}
+
+function printCheckpointRanking(results) {
+  results.forEach((result) => {
+    const urlDisplay = result.url.replace(/^https?:\/\//, "");
+    if (!result.success) {
+      console.log(`  ✗ ${urlDisplay.padEnd(45)} ${result.error}`);
+      return;
+    }
+
+    const responseDisplay = `${result.responseTime}ms`.padEnd(8);
+    let slotAgeDisplay;
+    if (result.slotAge === null) {
+      slotAgeDisplay = "✅ Online";
+    } else if (result.current) {
+      slotAgeDisplay = "✅ Current";
+    } else {
+      slotAgeDisplay = `❌ ${result.slotAge} slots behind`;
+    }
+
+    console.log(
+      `  ✓ ${urlDisplay.padEnd(45)} ${responseDisplay} ${slotAgeDisplay}${
+        result.cached ? " (cached)" : ""
+      }`
+    );
+  });
+}
+
+/**
+ * Select the best checkpoint URL for a consensus client
  * Returns null if database already exists (checkpoint sync not needed)
  * Returns user-provided URL if specified (no validation)
- * Otherwise, runs health checks and returns the best URL
+ * Otherwise, runs health checks on `providers` (default: the public
+ * servers for the network) and returns the best URL
  */
-export async function selectCheckpointUrlForLighthouse(
+export async function selectCheckpointUrl(
+  consensusClient,
   installDir,
-  userProvidedUrl = null
+  userProvidedUrl = null,
+  network = "mainnet",
+  providers = null
 ) {
-  console.log("\n🔍 Checking Lighthouse sync requirements...");
+  const clientLabel = getClientAdapter(consensusClient).label;
+
+  console.log(`\n🔍 Checking ${clientLabel} sync requirements...`);
 
   // Check if database already exists
-  const dbExists = lighthouseDatabaseExists(installDir);
+  const dbExists = beaconDatabaseExists(consensusClient, installDir);
 
   if (dbExists) {
-    console.log("✅ Lighthouse database found - resuming from local state");
+    console.log(`✅ ${clientLabel} database found - resuming from local state`);
     console.log("   (checkpoint-sync-url not needed)\n");
-    debugToFile("Lighthouse: Database exists, skipping checkpoint sync");
+    debugToFile(`${clientLabel}: Database exists, skipping checkpoint sync`);
     return null; // Return null to indicate checkpoint sync not needed
   }
 
@@ -236,75 +464,49 @@ export async function selectCheckpointUrlForLighthouse(
     console.log(`✅ Using user-provided checkpoint URL: ${userProvidedUrl}`);
     console.log("   (skipping health checks per user request)\n");
     debugToFile(
-      `Lighthouse: Using user-provided checkpoint URL: ${userProvidedUrl}`
+      `${clientLabel}: Using user-provided checkpoint URL: ${userProvidedUrl}`
     );
     return userProvidedUrl;
   }
 
-  // Run health checks on all checkpoint URLs
-  console.log(`\n🏥 Testing ${CHECKPOINT_URLS.length} checkpoint URLs...`);
+  // Run health checks on all checkpoint URLs for the selected network
+  const checkpointUrls = getCheckpointUrls(network, providers);
+  console.log(
+    `\n🏥 Testing ${checkpointUrls.length} ${network} checkpoint URLs...`
+  );
   console.log(
     "   (5 checks per URL, selecting fastest server with most current data)\n"
   );
 
-  const results = await Promise.all(
-    CHECKPOINT_URLS.map((url) => checkCheckpointHealth(url))
-  );
+  let results = await rankCheckpointUrls(checkpointUrls, installDir, network);
 
-  // Filter successful results
-  const successfulResults = results.filter((r) => r.success);
+  // A cached result has an old finalized slot, re-check the server that
+  // would be selected, and all servers if it stopped answering
+  if (results[0].cached) {
+    const fresh = await checkCheckpointHealth(results[0].url, network, 5000, 1);
+    if (fresh.success && fresh.slot) {
+      results[0] = { ...results[0], slot: fresh.slot, slotAge: fresh.slotAge };
+    } else {
+      results = await rankCheckpointUrls(checkpointUrls, installDir, network, {
+        useCache: false,
+      });
+    }
+  }
 
-  if (successfulResults.length === 0) {
+  if (!results[0].success) {
     console.log("\n❌ No checkpoint URLs are accessible!");
     console.log(
       "   Please check your internet connection or provide a custom URL with --consensuscheckpoint\n"
     );
-    debugToFile("Lighthouse: No checkpoint URLs accessible");
+    debugToFile(`${clientLabel}: No checkpoint URLs accessible`);
     throw new Error("No accessible checkpoint URLs found");
   }
 
-  // Find the minimum slot age (most current data available)
-  const minSlotAge = Math.min(
-    ...successfulResults.filter((r) => r.slotAge !== null).map((r) => r.slotAge)
-  );
-
-  // Define "current" threshold: within 10 slots of the best
-  const CURRENT_THRESHOLD = 10;
-
   // Log results for user visibility
-  results.forEach((result) => {
-    if (result.success) {
-      const urlDisplay = result.url.replace("https://", "");
-      const responseDisplay = `${result.responseTime}ms`.padEnd(8);
-      let slotAgeDisplay;
-
-      if (result.slotAge === null) {
-        slotAgeDisplay = "✅ Online";
-      } else if (result.slotAge - minSlotAge <= CURRENT_THRESHOLD) {
-        slotAgeDisplay = "✅ Current";
-      } else {
-        slotAgeDisplay = `❌ ${result.slotAge} slots behind`;
-      }
-
-      console.log(
-        `  ✓ ${urlDisplay.padEnd(45)} ${responseDisplay} ${slotAgeDisplay}`
-      );
-    } else {
-      const urlDisplay = result.url.replace("https://", "");
-      console.log(`  ✗ ${urlDisplay.padEnd(45)} ${result.error}`);
-    }
-  });
-
-  // Step 1: Filter for URLs within current threshold (most current)
-  let currentUrls = successfulResults.filter(
-    (r) => r.slotAge !== null && r.slotAge - minSlotAge <= CURRENT_THRESHOLD
-  );
-
-  // Step 2: Sort by response time (fastest first)
-  if (currentUrls.length > 0) {
-    currentUrls.sort((a, b) => a.responseTime - b.responseTime);
-    const bestUrl = currentUrls[0];
+  printCheckpointRanking(results);
 
+  const bestUrl = results[0];
+  if (bestUrl.current) {
     console.log(`\n🎯 Selected: ${bestUrl.url}`);
     console.log(
       `   Response time: ${bestUrl.responseTime}ms (avg of 5 checks)`
@@ -312,16 +514,19 @@ export async function selectCheckpointUrlForLighthouse(
     console.log(`   Data freshness: ${bestUrl.slotAge} slots behind current\n`);
 
     debugToFile(
-      `Lighthouse: Selected checkpoint URL: ${bestUrl.url} (${bestUrl.responseTime}ms avg, ${bestUrl.slotAge} slots behind)`
+      `${clientLabel}: Selected checkpoint URL: ${bestUrl.url} (${bestUrl.responseTime}ms avg, ${bestUrl.slotAge} slots behind)`
+    );
+
+    await verifyCheckpointAgainstProviders(
+      bestUrl,
+      checkpointUrls,
+      clientLabel
     );
 
     return bestUrl.url;
   }
 
   // Fallback: No slot data available, use fastest URL
-  successfulResults.sort((a, b) => a.responseTime - b.responseTime);
-  const bestUrl = successfulResults[0];
-
   console.log(`\n⚠️  No slot data available from checkpoint URLs`);
   console.log(`🎯 Selected fastest available: ${bestUrl.url}`);
   console.log(
@@ -329,136 +534,269 @@ export async function selectCheckpointUrlForLighthouse(
   );
 
   debugToFile(
-    `Lighthouse: Selected checkpoint URL (fallback): ${bestUrl.url} (${bestUrl.responseTime}ms avg, no slot data)`
+    `${clientLabel}: Selected checkpoint URL (fallback): ${bestUrl.url} (${bestUrl.responseTime}ms avg, no slot data)`
+  );
+
+  console.log(
+    "⚠️  The checkpoint cannot be cross-checked before sync without slot data,"
+  );
+  console.log(
+    "   the synced finalized block will be checked against the other servers.\n"
   );
 
   return bestUrl.url;
 }
 
 /**
- * Select the best checkpoint URL for Prysm
- * Returns null if database already exists (checkpoint sync not needed)
- * Returns user-provided URL if specified (no validation)
- * Otherwise, runs health checks and returns the best URL
+ * Next-best checkpoint URL after the beacon node failed to load the
+ * checkpoint from the servers in `triedUrls`: the best ranked server (see
+ * rankCheckpointUrls()) that was not tried yet and serves the finalized
+ * block the other servers agree on. Returns null if there is none, and
+ * throws like selectCheckpointUrl() if the servers disagree.
  */
-export async function selectCheckpointUrlForPrysm(
+export async function selectNextCheckpointUrl(
+  consensusClient,
   installDir,
-  userProvidedUrl = null
+  network = "mainnet",
+  providers = null,
+  triedUrls = []
 ) {
-  console.log("\n🔍 Checking Prysm sync requirements...");
+  const clientLabel = getClientAdapter(consensusClient).label;
+  const checkpointUrls = getCheckpointUrls(network, providers);
+  const candidates = (
+    await rankCheckpointUrls(checkpointUrls, installDir, network)
+  ).filter((result) => result.success && !triedUrls.includes(result.url));
+
+  for (const candidate of candidates) {
+    // Cached results have an old finalized slot
+    const fresh = await checkCheckpointHealth(candidate.url, network, 5000, 1);
+    if (!fresh.success || !fresh.slot) continue;
+
+    await verifyCheckpointAgainstProviders(fresh, checkpointUrls, clientLabel);
+    return candidate.url;
+  }
 
-  // Check if database already exists
-  const dbExists = prysmDatabaseExists(installDir);
+  return null;
+}
 
-  if (dbExists) {
-    console.log("✅ Prysm database found - resuming from local state");
-    console.log("   (checkpoint-sync-url not needed)\n");
-    debugToFile("Prysm: Database exists, skipping checkpoint sync");
-    return null; // Return null to indicate checkpoint sync not needed
+/**
+ * Make sure the finalized block the selected server serves is the one the
+ * other checkpoint servers of the network serve too (see
+ * crossCheckBlockRoot()). Throws if they disagree or too few confirm it.
+ */
+async function verifyCheckpointAgainstProviders(
+  selected,
+  checkpointUrls,
+  clientLabel
+) {
+  console.log("🔐 Cross-checking the checkpoint with the other servers...");
+
+  const root = await fetchBlockRoot(selected.url, selected.slot);
+  if (!root) {
+    console.log(
+      `\n❌ ${selected.url} did not return the root of its finalized block (slot ${selected.slot}).`
+    );
+    console.log(
+      "   Run again, or provide a trusted URL with --consensuscheckpoint\n"
+    );
+    throw new Error("Could not verify the checkpoint");
   }
 
-  console.log("📦 No existing database found - checkpoint sync required");
+  const result = await crossCheckBlockRoot(
+    checkpointUrls,
+    selected.slot,
+    root,
+    selected.url
+  );
+  printCrossCheckResult(selected.slot, root, result);
 
-  // If user provided a checkpoint URL, use it without validation
-  if (userProvidedUrl) {
-    console.log(`✅ Using user-provided checkpoint URL: ${userProvidedUrl}`);
-    console.log("   (skipping health checks per user request)\n");
+  if (!result.ok) {
+    console.log("");
+    if (result.disagreeing.length > 0) {
+      console.log(
+        "❌ CHECKPOINT MISMATCH: checkpoint servers disagree on the finalized block!"
+      );
+      console.log(
+        "   One of them is stale or malicious. Not starting from this checkpoint."
+      );
+    } else {
+      console.log(
+        `❌ Only ${result.agreeing.length} checkpoint servers confirmed the finalized block, ${result.quorum} are required.`
+      );
+    }
+    console.log(
+      "   Run again, or provide a trusted URL with --consensuscheckpoint\n"
+    );
     debugToFile(
-      `Prysm: Using user-provided checkpoint URL: ${userProvidedUrl}`
+      `${clientLabel}: Checkpoint verification failed for ${
+        selected.url
+      }: ${JSON.stringify(result)}`
     );
-    return userProvidedUrl;
+    throw new Error("Checkpoint verification failed");
   }
 
-  // Run health checks on all checkpoint URLs
-  console.log(`\n🏥 Testing ${CHECKPOINT_URLS.length} checkpoint URLs...`);
   console.log(
-    "   (5 checks per URL, selecting fastest server with most current data)\n"
+    `✅ Checkpoint confirmed by ${result.agreeing.length} of ${checkpointUrls.length} servers\n`
   );
+}
 
-  const results = await Promise.all(
-    CHECKPOINT_URLS.map((url) => checkCheckpointHealth(url))
+/**
+ * Once the local beacon node has synced, compare its finalized block with
+ * the checkpoint servers (`providers`, or the public servers for the
+ * network). Polls the node every minute for up
+ * to `timeoutMs`.
+ *
+ * Resolves to null if the node did not finish syncing in time, otherwise to
+ * { ok, slot, root, agreeing, disagreeing, quorum } (see
+ * crossCheckBlockRoot()). A server serving a different block is reported
+ * here as well.
+ */
+export async function verifySyncedCheckpoint(
+  network = "mainnet",
+  providers = null,
+  { timeoutMs = 24 * 60 * 60 * 1000, intervalMs = 60000 } = {}
+) {
+  const synced = await waitUntil(
+    "Beacon node sync (localhost:5052)",
+    async () => {
+      const response = await fetch(`${LOCAL_BEACON_API}/eth/v1/node/syncing`);
+      const data = await response.json();
+      return data?.data?.is_syncing === false;
+    },
+    { timeoutMs, intervalMs }
   );
+  if (!synced) return null;
 
-  // Filter successful results
-  const successfulResults = results.filter((r) => r.success);
+  let header;
+  try {
+    const response = await fetch(
+      `${LOCAL_BEACON_API}/eth/v1/beacon/headers/finalized`
+    );
+    header = (await response.json()).data;
+  } catch (error) {
+    debugToFile(`verifySyncedCheckpoint(): ${error.message}`);
+    return null;
+  }
 
-  if (successfulResults.length === 0) {
-    console.log("\n❌ No checkpoint URLs are accessible!");
-    console.log(
-      "   Please check your internet connection or provide a custom URL with --consensuscheckpoint\n"
+  const slot = parseInt(header?.header?.message?.slot);
+  const root = header?.root;
+  if (!root || Number.isNaN(slot)) {
+    debugToFile(
+      "verifySyncedCheckpoint(): No finalized header from beacon node"
     );
-    debugToFile("Prysm: No checkpoint URLs accessible");
-    throw new Error("No accessible checkpoint URLs found");
+    return null;
   }
 
-  // Find the minimum slot age (most current data available)
-  const minSlotAge = Math.min(
-    ...successfulResults.filter((r) => r.slotAge !== null).map((r) => r.slotAge)
+  // The local node cannot vouch for itself if it is in the provider list
+  const checkpointUrls = getCheckpointUrls(network, providers).filter(
+    (url) => !/^https?:\/\/(localhost|127\.0\.0\.1):5052$/.test(url)
   );
+  const result = await crossCheckBlockRoot(checkpointUrls, slot, root);
+  if (result.ok) {
+    debugToFile(
+      `verifySyncedCheckpoint(): Finalized block at slot ${slot} confirmed by ${result.agreeing.length} servers`
+    );
+  } else if (result.disagreeing.length === 0) {
+    // Too few servers answered, which says nothing about the chain itself
+    console.log(
+      `⚠️  Only ${result.agreeing.length} checkpoint servers confirmed the synced finalized block (slot ${slot}), ${result.quorum} are required.`
+    );
+  } else {
+    console.log("\n" + "═".repeat(60));
+    console.log("  ❌  SYNCED CHAIN DOES NOT MATCH THE CHECKPOINT SERVERS");
+    console.log("═".repeat(60));
+    printCrossCheckResult(slot, root, result);
+    console.log(
+      "   The node may have been checkpoint synced from a stale or malicious server."
+    );
+    console.log(
+      "   Stop the client, delete the consensus database and start again with a"
+    );
+    console.log("   trusted --consensuscheckpoint URL.");
+    console.log("═".repeat(60) + "\n");
+    debugToFile(
+      `verifySyncedCheckpoint(): Mismatch at slot ${slot}: ${JSON.stringify(
+        result
+      )}`
+    );
+  }
 
-  // Define "current" threshold: within 10 slots of the best
-  const CURRENT_THRESHOLD = 10;
+  return { slot, root, ...result };
+}
 
-  // Log results for user visibility
-  results.forEach((result) => {
-    if (result.success) {
-      const urlDisplay = result.url.replace("https://", "");
-      const responseDisplay = `${result.responseTime}ms`.padEnd(8);
-      let slotAgeDisplay;
-
-      if (result.slotAge === null) {
-        slotAgeDisplay = "✅ Online";
-      } else if (result.slotAge - minSlotAge <= CURRENT_THRESHOLD) {
-        slotAgeDisplay = "✅ Current";
-      } else {
-        slotAgeDisplay = `❌ ${result.slotAge} slots behind`;
-      }
+/**
+ * Entry point for `node index.js checkpoint test [url ...]`: health check
+ * the checkpoint servers (the given URLs, or those the client would use)
+ * and print their ranking. Always probes every server and refreshes the
+ * cache used by selectCheckpointUrl().
+ *
+ * @param {string} action
+ * @param {object} context
+ * @param {string[]} context.urls - Servers to test instead of the configured ones
+ * @param {string} context.network
+ * @param {string[]|null} context.providers - --checkpoint-providers
+ * @param {string} context.installDir
+ * @param {boolean} context.endpoints - Also test every beacon API endpoint
+ *   of each server, see test-checkpoint-endpoints.js
+ * @param {boolean} context.json - Print the ranking as JSON
+ */
+export async function runCheckpointCommand(action, context) {
+  if (action !== "test") {
+    console.log(
+      "Usage: node index.js checkpoint test [url ...] [--endpoints] [--json]"
+    );
+    process.exit(1);
+  }
 
-      console.log(
-        `  ✓ ${urlDisplay.padEnd(45)} ${responseDisplay} ${slotAgeDisplay}`
-      );
-    } else {
-      const urlDisplay = result.url.replace("https://", "");
-      console.log(`  ✗ ${urlDisplay.padEnd(45)} ${result.error}`);
-    }
-  });
+  const { network, installDir } = context;
+  const checkpointUrls =
+    context.urls.length > 0
+      ? context.urls
+      : getCheckpointUrls(network, context.providers);
 
-  // Step 1: Filter for URLs within current threshold (most current)
-  let currentUrls = successfulResults.filter(
-    (r) => r.slotAge !== null && r.slotAge - minSlotAge <= CURRENT_THRESHOLD
+  if (!context.json) {
+    console.log(
+      `\n🏥 Testing ${checkpointUrls.length} ${network} checkpoint URLs (5 checks per URL)...\n`
+    );
+  }
+  const results = await rankCheckpointUrls(
+    checkpointUrls,
+    installDir,
+    network,
+    {
+      useCache: false,
+    }
   );
 
-  // Step 2: Sort by response time (fastest first)
-  if (currentUrls.length > 0) {
-    currentUrls.sort((a, b) => a.responseTime - b.responseTime);
-    const bestUrl = currentUrls[0];
-
-    console.log(`\n🎯 Selected: ${bestUrl.url}`);
+  if (context.json) {
     console.log(
-      `   Response time: ${bestUrl.responseTime}ms (avg of 5 checks)`
+      JSON.stringify(
+        {
+          network,
+          checkedAt: new Date().toISOString(),
+          results: results.map(({ cached: _, ...result }) => result),
+        },
+        null,
+        2
+      )
     );
-    console.log(`   Data freshness: ${bestUrl.slotAge} slots behind current\n`);
+  } else {
+    printCheckpointRanking(results);
+    if (results[0].success) {
+      console.log(`\n🎯 Best: ${results[0].url}`);
+    } else {
+      console.log("\n❌ No checkpoint URLs are accessible!");
+    }
+  }
 
-    debugToFile(
-      `Prysm: Selected checkpoint URL: ${bestUrl.url} (${bestUrl.responseTime}ms avg, ${bestUrl.slotAge} slots behind)`
+  if (context.endpoints) {
+    const { testCheckpointServer } = await import(
+      "./test-checkpoint-endpoints.js"
     );
-
-    return bestUrl.url;
+    for (const url of checkpointUrls) {
+      await testCheckpointServer(url);
+    }
   }
 
-  // Fallback: No slot data available, use fastest URL
-  successfulResults.sort((a, b) => a.responseTime - b.responseTime);
-  const bestUrl = successfulResults[0];
-
-  console.log(`\n⚠️  No slot data available from checkpoint URLs`);
-  console.log(`🎯 Selected fastest available: ${bestUrl.url}`);
-  console.log(
-    `   Response time: ${bestUrl.responseTime}ms (avg of 5 checks)\n`
-  );
-
-  debugToFile(
-    `Prysm: Selected checkpoint URL (fallback): ${bestUrl.url} (${bestUrl.responseTime}ms avg, no slot data)`
-  );
-
-  return bestUrl.url;
+  process.exit(results[0].success ? 0 : 1);
 }
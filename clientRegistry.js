@@ -0,0 +1,225 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+/**
+ * clientRegistry.js
+ *
+ * Every client the BuidlGuidl Client can install and run is described by an
+ * adapter module in client_adapters/. All modules in that directory are
+ * loaded on import, so a new client (or a fork of an existing one) is added
+ * by dropping a file there, without changing the rest of the code.
+ *
+ * An adapter default-exports a plain object:
+ *
+ *   name             Client name used on the command line (e.g. "reth")
+ *   label            Display name (e.g. "Reth")
+ *   role             "execution", "consensus" or "mev-boost"
+ *   latestVersion    Version installed by default
+ *   getDownload(ctx) Install spec for a platform, or an array of them for
+ *                    clients that ship several files, see install.js
+ *   parseVersion(output)  Version number from the output of versionArgs
+ *   buildArgs(ctx)   Command line of the client, see launchClient.js
+ *
+ * Optional fields:
+ *
+ *   platforms        Operating systems it runs on (default linux and darwin)
+ *   executable       Path inside the installed release (default <name>)
+ *   versionArgs      Arguments that print the version (default --version)
+ *   prerequisites    [{ command, message }] checked before installing
+ *   env              Names of extra environment variables to pass through
+ *   logPrefix        Log file name prefix (default <name>)
+ *   preStartArgs(ctx) Arguments of a one-off run before the client starts
+ *   verifyChecksum   false if downloads cannot be pinned in
+ *                    client_checksums.json (default true)
+ *   signature        { type: "gpg" | "minisign", url(download), key } for
+ *                    clients that sign their releases. key is the signing
+ *                    key fingerprint (gpg) or public key (minisign)
+ *   publishedChecksumUrl(download) URL of the SHA256 hash the client
+ *                    publishes for a file, compared when pinning
+ *
+ *   Execution clients:
+ *   metrics          { url } of the Prometheus endpoint
+ *   newBlockPattern  RegExp whose first group is the block number in a log
+ *                    line announcing a new head block
+ *   syncProgress     "rpc" (eth_syncing) or "reth-stages" (stage metrics)
+ *   syncStages       [{ name, key }] shown on the sync progress gauge
+ *   parseSyncLogLine(line)  { [key]: fraction } for syncStages, or null
+ *   diskFootprint    { [network]: { full, archive } } expected database
+ *                    size in GB, checked before the clients start
+ *
+ *   Consensus clients:
+ *   metrics          { url, peerCountMetric } of the Prometheus endpoint
+ *   defaultPeerPorts [tcp, quic] peer ports
+ *   beaconDbDir      Directory inside database/ that exists once synced
+ *   diskFootprint    { [network]: GB } expected database size
+ *   checkpointFailurePattern  RegExp matching the output of a beacon node
+ *                    that could not load its checkpoint. launchClient.js
+ *                    then exits with CHECKPOINT_FAILED_EXIT_CODE so that
+ *                    another checkpoint server is tried
+ *   validator        { executable, buildArgs(ctx), prepare(ctx) } for the
+ *                    validator client, if it is supported. Its
+ *                    slashingProtection { exportArgs(ctx, dir),
+ *                    importArgs(ctx, file) } are the arguments that export
+ *                    the EIP-3076 history to dir/slashing_protection.json
+ *                    and import it from a file. voluntaryExitArgs(ctx,
+ *                    { pubkey, keystorePath, passwordFile }) signs and
+ *                    submits a voluntary exit for one key. metrics { url,
+ *                    publishedAttestationsMetric } is its Prometheus
+ *                    endpoint and the counter of published attestations
+ *
+ * Each release of a client is installed into its own directory,
+ * ethereum_clients/<name>/versions/<version>, and the "current" symlink next
+ * to database/ and logs/ points at the active one (see install.js).
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CLIENT_ADAPTERS_DIR = path.join(__dirname, "client_adapters");
+
+const REQUIRED_FIELDS = {
+  name: "string",
+  label: "string",
+  role: "string",
+  latestVersion: "string",
+  getDownload: "function",
+  parseVersion: "function",
+  buildArgs: "function",
+};
+
+const ROLES = ["execution", "consensus", "mev-boost"];
+
+const adapters = new Map();
+
+function withDefaults(adapter) {
+  return {
+    platforms: ["linux", "darwin"],
+    executable: adapter.name,
+    versionArgs: ["--version"],
+    prerequisites: [],
+    env: [],
+    logPrefix: adapter.name,
+    ...adapter,
+  };
+}
+
+/**
+ * Add a client adapter to the registry. Throws if a required field is
+ * missing or the name is already taken.
+ */
+export function registerClientAdapter(adapter, source = "adapter") {
+  for (const [field, type] of Object.entries(REQUIRED_FIELDS)) {
+    if (typeof adapter[field] !== type) {
+      throw new Error(`${source}: '${field}' must be a ${type}`);
+    }
+  }
+  if (!ROLES.includes(adapter.role)) {
+    throw new Error(`${source}: 'role' must be one of ${ROLES.join(", ")}`);
+  }
+  if (!/^[a-z0-9-]+$/.test(adapter.name)) {
+    throw new Error(
+      `${source}: 'name' may only contain lowercase letters, digits and '-'`
+    );
+  }
+  if (adapters.has(adapter.name)) {
+    throw new Error(
+      `${source}: a client named '${adapter.name}' already exists`
+    );
+  }
+
+  adapters.set(adapter.name, withDefaults(adapter));
+}
+
+async function loadClientAdapters() {
+  const files = fs
+    .readdirSync(CLIENT_ADAPTERS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+  for (const file of files) {
+    const module = await import(
+      pathToFileURL(path.join(CLIENT_ADAPTERS_DIR, file)).href
+    );
+    registerClientAdapter(module.default || {}, `client_adapters/${file}`);
+  }
+}
+
+await loadClientAdapters();
+
+/**
+ * Get the adapter of a client. Throws for unknown clients.
+ */
+export function getClientAdapter(name) {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown client '${name}'`);
+  }
+  return adapter;
+}
+
+export function hasClientAdapter(name) {
+  return adapters.has(name);
+}
+
+/**
+ * Names of all clients, or of those with the given role, in load order.
+ */
+export function getClientNames(role = null) {
+  return [...adapters.values()]
+    .filter((adapter) => role === null || adapter.role === role)
+    .map((adapter) => adapter.name);
+}
+
+export const ACTIVE_VERSION_LINK = "current";
+
+// Exit code of launchClient.js when the beacon node failed to load its
+// checkpoint, see checkpointFailurePattern
+export const CHECKPOINT_FAILED_EXIT_CODE = 75;
+
+/**
+ * Directory a release of a client is installed into.
+ */
+export function getClientVersionDir(installDir, name, version) {
+  return path.join(installDir, "ethereum_clients", name, "versions", version);
+}
+
+/**
+ * Path of the active client executable for an install directory.
+ */
+export function getClientCommand(installDir, name, { validator = false } = {}) {
+  const adapter = getClientAdapter(name);
+  const executable =
+    validator && adapter.validator && adapter.validator.executable
+      ? adapter.validator.executable
+      : adapter.executable;
+  return path.join(
+    installDir,
+    "ethereum_clients",
+    name,
+    ACTIVE_VERSION_LINK,
+    executable
+  );
+}
+
+/**
+ * Directory and file name prefix of the logs written for a client, or for
+ * its validator client.
+ */
+export function getClientLogLocation(
+  installDir,
+  name,
+  { validator = false } = {}
+) {
+  const adapter = getClientAdapter(name);
+  if (validator) {
+    return {
+      dir: path.join(installDir, "ethereum_clients", "validator", name, "logs"),
+      prefix: `${adapter.logPrefix}_validator`,
+    };
+  }
+  return {
+    dir: path.join(installDir, "ethereum_clients", name, "logs"),
+    prefix: adapter.logPrefix,
+  };
+}
@@ -0,0 +1,399 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { debugToFile } from "./helpers.js";
+import { sendTelegramAlert } from "./telegramAlert.js";
+
+/**
+ * clientSupervisor.js
+ *
+ * Restarts client processes that crash (exit with a non-zero code or a
+ * signal) while the node is supposed to be running. A process that exits
+ * cleanly is not restarted. Each process role has its own restart policy:
+ *
+ * - maxRetries:          consecutive restarts before giving up
+ * - initialDelayMs:      delay before the first restart, doubled per attempt
+ * - maxDelayMs:          upper bound for the exponential backoff
+ * - crashLoopWindowMs /
+ *   crashLoopThreshold:  give up if the process crashes this many times
+ *                        within the window, even though it recovered in
+ *                        between
+ * - healthyAfterMs:      uptime after which a restarted process counts as
+ *                        recovered (sends an alert, resets the attempt count)
+ *
+ * maxRetries ends processes that never recover. The crash loop threshold is
+ * above maxRetries + 1 so that it only ends processes that keep recovering
+ * and crashing again, and the window fits that many crashes spaced by
+ * healthyAfterMs.
+ *
+ * Restart counters are written to ethereum_clients/supervisor_status.json so
+ * that secondary dashboard instances can display them.
+ */
+
+export const RESTART_POLICIES = {
+  execution: {
+    maxRetries: 5,
+    initialDelayMs: 10000,
+    maxDelayMs: 5 * 60 * 1000,
+    crashLoopWindowMs: 60 * 60 * 1000,
+    crashLoopThreshold: 8,
+    healthyAfterMs: 2 * 60 * 1000,
+  },
+  consensus: {
+    maxRetries: 5,
+    initialDelayMs: 10000,
+    maxDelayMs: 5 * 60 * 1000,
+    crashLoopWindowMs: 60 * 60 * 1000,
+    crashLoopThreshold: 8,
+    healthyAfterMs: 2 * 60 * 1000,
+  },
+  // Validator restarts wait longer: doppelganger protection needs the
+  // previous instance to be fully gone before the keys are loaded again.
+  validator: {
+    maxRetries: 3,
+    initialDelayMs: 30000,
+    maxDelayMs: 10 * 60 * 1000,
+    crashLoopWindowMs: 2 * 60 * 60 * 1000,
+    crashLoopThreshold: 6,
+    healthyAfterMs: 5 * 60 * 1000,
+  },
+  mevBoost: {
+    maxRetries: 10,
+    initialDelayMs: 5000,
+    maxDelayMs: 2 * 60 * 1000,
+    crashLoopWindowMs: 60 * 60 * 1000,
+    crashLoopThreshold: 12,
+    healthyAfterMs: 60 * 1000,
+  },
+};
+
+const supervisedProcesses = new Map();
+let statusFilePath = null;
+let supervisorStopped = false;
+
+/**
+ * Get the path of the supervisor status file for an install directory.
+ */
+export function getSupervisorStatusPath(installDir) {
+  return path.join(installDir, "ethereum_clients", "supervisor_status.json");
+}
+
+/**
+ * Enable writing the supervisor status file. Call once from the primary
+ * instance before any process is supervised.
+ */
+export function initSupervisor(installDir) {
+  statusFilePath = getSupervisorStatusPath(installDir);
+  supervisorStopped = false;
+  writeStatusFile();
+}
+
+/**
+ * Register a process with the supervisor. Safe to call on every (re)start;
+ * the restart callback and counters are kept from the first registration.
+ *
+ * @param {string} name - Unique process name (e.g. "reth", "validator")
+ * @param {object} options
+ * @param {string} options.label - Human readable name used in alerts
+ * @param {string} options.role - Key into RESTART_POLICIES
+ * @param {Function} options.restart - Async function that spawns the process again
+ */
+export function superviseProcess(name, { label, role, restart }) {
+  if (!supervisedProcesses.has(name)) {
+    supervisedProcesses.set(name, {
+      name,
+      label,
+      policy: RESTART_POLICIES[role],
+      restart,
+      state: "running",
+      restarts: 0,
+      attempt: 0,
+      crashTimes: [],
+      lastExitCode: null,
+      lastExitSignal: null,
+      lastCrashAt: null,
+      nextRestartAt: null,
+      startedAt: null,
+      restartTimer: null,
+      healthyTimer: null,
+      restartRequested: false,
+    });
+  }
+}
+
+/**
+ * Mark a supervised process as started. After a restart, arms a timer that
+ * reports the process as recovered once it has stayed up long enough.
+ */
+export function markProcessStarted(name) {
+  const proc = supervisedProcesses.get(name);
+  if (!proc) return;
+
+  proc.state = "running";
+  proc.startedAt = Date.now();
+  proc.nextRestartAt = null;
+  clearTimeout(proc.healthyTimer);
+
+  if (proc.attempt > 0) {
+    proc.healthyTimer = setTimeout(() => {
+      const attempts = proc.attempt;
+      proc.attempt = 0;
+      writeStatusFile();
+      debugToFile(
+        `clientSupervisor: ${proc.label} recovered after ${attempts} restart attempt(s)`
+      );
+      sendTelegramAlert(
+        "recovered",
+        `🟢 ${
+          proc.label
+        } recovered on ${os.hostname()} after ${attempts} automatic restart(s).`
+      ).catch((err) => {
+        debugToFile(
+          `clientSupervisor: Failed to send recovered alert - ${err.message}`
+        );
+      });
+    }, proc.policy.healthyAfterMs);
+  }
+
+  writeStatusFile();
+}
+
+/**
+ * "exit code 1" or "signal SIGKILL", for messages about a process exit.
+ */
+export function describeExit(code, signal) {
+  return signal ? `signal ${signal}` : `exit code ${code}`;
+}
+
+/**
+ * Whether a process exit is a crash: a non-zero exit code or a signal.
+ */
+export function isCrashExit(code, signal) {
+  return code !== 0 || Boolean(signal);
+}
+
+/**
+ * Handle an unexpected exit of a supervised process.
+ * Schedules a restart with exponential backoff after a crash, or gives up
+ * when the retry budget is spent or a crash loop is detected. A clean exit
+ * leaves the process stopped.
+ *
+ * @returns {boolean} true if a restart was scheduled
+ */
+export function handleProcessExit(name, code, signal = null) {
+  const proc = supervisedProcesses.get(name);
+  if (!proc || supervisorStopped) return false;
+
+  const now = Date.now();
+  const { policy } = proc;
+
+  clearTimeout(proc.healthyTimer);
+
+  // Stopped on purpose by requestRestart(): start again right away
+  if (proc.restartRequested) {
+    proc.restartRequested = false;
+    restartNow(proc);
+    return true;
+  }
+
+  proc.lastExitCode = code;
+  proc.lastExitSignal = signal;
+
+  if (!isCrashExit(code, signal)) {
+    proc.state = "stopped";
+    proc.attempt = 0;
+    proc.nextRestartAt = null;
+    writeStatusFile();
+    console.log(`⏹️  ${proc.label} exited cleanly and is not restarted`);
+    debugToFile(`clientSupervisor: ${proc.label} exited with code 0`);
+    return false;
+  }
+
+  proc.lastCrashAt = now;
+  proc.crashTimes = proc.crashTimes
+    .filter((t) => now - t < policy.crashLoopWindowMs)
+    .concat(now);
+
+  if (proc.crashTimes.length >= policy.crashLoopThreshold) {
+    const windowMinutes = Math.round(policy.crashLoopWindowMs / 60000);
+    giveUp(
+      proc,
+      "crash-loop",
+      `${proc.crashTimes.length} crashes within ${windowMinutes} minutes`
+    );
+    return false;
+  }
+
+  if (proc.attempt >= policy.maxRetries) {
+    giveUp(
+      proc,
+      "failed",
+      `${policy.maxRetries} restart attempts did not recover it`
+    );
+    return false;
+  }
+
+  const delay = Math.min(
+    policy.initialDelayMs * 2 ** proc.attempt,
+    policy.maxDelayMs
+  );
+  proc.attempt++;
+  proc.state = "restarting";
+  proc.nextRestartAt = now + delay;
+  writeStatusFile();
+
+  console.log(
+    `🔄 Restarting ${proc.label} in ${Math.round(delay / 1000)}s (attempt ${
+      proc.attempt
+    }/${policy.maxRetries})`
+  );
+  debugToFile(
+    `clientSupervisor: ${proc.label} exited with ${describeExit(
+      code,
+      signal
+    )}, restart attempt ${proc.attempt}/${policy.maxRetries} in ${delay}ms`
+  );
+
+  proc.restartTimer = setTimeout(async () => {
+    proc.restartTimer = null;
+    if (supervisorStopped) return;
+    proc.restarts++;
+    try {
+      await proc.restart();
+    } catch (error) {
+      debugToFile(
+        `clientSupervisor: Failed to restart ${proc.label}: ${error.message}`
+      );
+      handleProcessExit(name, null);
+    }
+  }, delay);
+
+  return true;
+}
+
+/**
+ * Restart a supervised process on request (e.g. from the control socket).
+ * Clears any pending backoff and crash history. `stopProcess` must signal
+ * the running process and return true, or return false if it is not
+ * running, in which case it is started immediately.
+ *
+ * @returns {boolean} false if no process with that name is supervised
+ */
+export function requestRestart(name, stopProcess) {
+  const proc = supervisedProcesses.get(name);
+  if (!proc || supervisorStopped) return false;
+
+  clearTimeout(proc.restartTimer);
+  clearTimeout(proc.healthyTimer);
+  proc.restartTimer = null;
+  proc.attempt = 0;
+  proc.crashTimes = [];
+  proc.state = "restarting";
+  writeStatusFile();
+
+  debugToFile(`clientSupervisor: Restart of ${proc.label} requested`);
+
+  if (stopProcess()) {
+    proc.restartRequested = true;
+  } else {
+    restartNow(proc);
+  }
+
+  return true;
+}
+
+/**
+ * Whether the process is exiting because a restart was requested, so the
+ * exit should not be reported as a crash.
+ */
+export function isRestartRequested(name) {
+  const proc = supervisedProcesses.get(name);
+  return proc ? proc.restartRequested : false;
+}
+
+function restartNow(proc) {
+  Promise.resolve()
+    .then(() => proc.restart())
+    .catch((error) => {
+      debugToFile(
+        `clientSupervisor: Failed to restart ${proc.label}: ${error.message}`
+      );
+      handleProcessExit(proc.name, null);
+    });
+}
+
+function giveUp(proc, state, reason) {
+  proc.state = state;
+  proc.nextRestartAt = null;
+  writeStatusFile();
+
+  console.log(`❌ ${proc.label} will not be restarted: ${reason}`);
+  debugToFile(`clientSupervisor: Giving up on ${proc.label}: ${reason}`);
+
+  sendTelegramAlert(
+    "crash",
+    `🔴 ${
+      proc.label
+    } on ${os.hostname()} stopped restarting: ${reason}. Manual intervention required.`
+  ).catch((err) => {
+    debugToFile(
+      `clientSupervisor: Failed to send give-up alert - ${err.message}`
+    );
+  });
+}
+
+/**
+ * Cancel pending restarts. Called when the user shuts the node down.
+ */
+export function stopSupervisor() {
+  supervisorStopped = true;
+  for (const proc of supervisedProcesses.values()) {
+    clearTimeout(proc.restartTimer);
+    clearTimeout(proc.healthyTimer);
+    proc.restartTimer = null;
+    proc.healthyTimer = null;
+  }
+}
+
+/**
+ * Snapshot of all supervised processes.
+ */
+export function getSupervisorStatus() {
+  const processes = {};
+  for (const proc of supervisedProcesses.values()) {
+    processes[proc.name] = {
+      label: proc.label,
+      state: proc.state,
+      restarts: proc.restarts,
+      attempt: proc.attempt,
+      lastExitCode: proc.lastExitCode,
+      lastExitSignal: proc.lastExitSignal,
+      lastCrashAt: proc.lastCrashAt,
+      nextRestartAt: proc.nextRestartAt,
+      startedAt: proc.startedAt,
+    };
+  }
+  return { updatedAt: Date.now(), processes };
+}
+
+/**
+ * Read the status file written by the primary instance.
+ * Returns null if it does not exist or cannot be parsed.
+ */
+export function readSupervisorStatus(installDir) {
+  try {
+    const raw = fs.readFileSync(getSupervisorStatusPath(installDir), "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeStatusFile() {
+  if (!statusFilePath) return;
+  try {
+    fs.writeFileSync(statusFilePath, JSON.stringify(getSupervisorStatus()));
+  } catch (error) {
+    debugToFile(`clientSupervisor: Failed to write status file: ${error}`);
+  }
+}
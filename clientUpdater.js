@@ -0,0 +1,215 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readlineSync from "readline-sync";
+import { debugToFile } from "./helpers.js";
+import { getClientAdapter, hasClientAdapter } from "./clientRegistry.js";
+import {
+  getVersionNumber,
+  compareClientVersions,
+  useClientVersion,
+  migrateLegacyInstall,
+} from "./ethereum_client_scripts/install.js";
+import { sendRequest } from "./controlSocket.js";
+
+/**
+ * clientUpdater.js
+ *
+ * Implements `node index.js update` (also run by --update), which updates
+ * the installed clients to the versions in their adapters. It asks before
+ * each update unless --yes is given, and --check only reports the installed
+ * and latest versions as JSON.
+ *
+ * New releases are installed next to the active one and must run before
+ * they are activated (see useClientVersion()). Every version change is
+ * appended to ethereum_clients/update_history.jsonl.
+ */
+
+/**
+ * Get the path of the update history for an install directory.
+ */
+export function getUpdateHistoryPath(installDir) {
+  return path.join(installDir, "ethereum_clients", "update_history.jsonl");
+}
+
+/**
+ * Append a version change to the update history, as a JSON line
+ * { time, action, client, from, to, ok, error }.
+ */
+export function recordVersionChange(installDir, change) {
+  try {
+    fs.appendFileSync(
+      getUpdateHistoryPath(installDir),
+      `${JSON.stringify({ time: new Date().toISOString(), ...change })}\n`
+    );
+  } catch (error) {
+    debugToFile(`recordVersionChange(): ${error}`);
+  }
+}
+
+function getInstalledClients(installDir) {
+  const clientsDir = path.join(installDir, "ethereum_clients");
+  if (!fs.existsSync(clientsDir)) return [];
+
+  return fs
+    .readdirSync(clientsDir)
+    .filter(
+      (dir) =>
+        hasClientAdapter(dir) &&
+        fs.statSync(path.join(clientsDir, dir)).isDirectory()
+    );
+}
+
+/**
+ * Installed and latest version of every installed client. `installed` is
+ * null if the client did not report its version.
+ */
+export function getAvailableUpdates(installDir) {
+  return getInstalledClients(installDir).map((client) => {
+    const installed = getVersionNumber(client);
+    return {
+      client,
+      installed,
+      latest: getClientAdapter(client).latestVersion,
+      updateAvailable: installed
+        ? !compareClientVersions(client, installed)[0]
+        : null,
+    };
+  });
+}
+
+/**
+ * Processes of the running instance that use one of the updated clients.
+ * Installed clients that the instance does not run are left alone. The
+ * validator client is part of the consensus client release, so it is
+ * restarted with it.
+ */
+function getProcessesToRestart(updated, processes) {
+  const names = updated.filter((client) => processes[client]);
+  const consensusUpdated = names.some(
+    (client) => getClientAdapter(client).role === "consensus"
+  );
+  if (consensusUpdated && processes.validator) {
+    names.push("validator");
+  }
+  return names;
+}
+
+/**
+ * Entry point for `node index.js update`.
+ *
+ * @param {object} options
+ * @param {string} options.installDir
+ * @param {boolean} options.running - Whether a client instance is running
+ * @param {boolean} options.check - Only print the available updates as JSON
+ * @param {boolean} options.yes - Update without asking
+ * @param {boolean} options.restart - Restart the updated clients of the
+ *   running instance
+ */
+export async function runUpdateCommand({
+  installDir,
+  running,
+  check,
+  yes,
+  restart,
+}) {
+  if (check) {
+    console.log(
+      JSON.stringify(
+        {
+          checkedAt: new Date().toISOString(),
+          running,
+          clients: getAvailableUpdates(installDir),
+        },
+        null,
+        2
+      )
+    );
+    process.exit(0);
+  }
+
+  if (running && !restart) {
+    console.log(
+      "❌ The BuidlGuidl Client is running. Stop it before updating, or pass --restart to restart the updated clients once they are installed."
+    );
+    process.exit(1);
+  }
+
+  getInstalledClients(installDir).forEach(migrateLegacyInstall);
+
+  const updated = [];
+  let failed = false;
+
+  for (const update of getAvailableUpdates(installDir)) {
+    const { client, installed, latest } = update;
+    if (!installed) {
+      console.log(
+        `⚠️  Could not determine version for ${client}, skipping update check.`
+      );
+      continue;
+    }
+    if (!update.updateAvailable) {
+      console.log(
+        `\n✅ The currently installed ${client} version (${installed}) is the latest available.`
+      );
+      continue;
+    }
+
+    if (yes) {
+      console.log(`\n⬆️  Updating ${client} from ${installed} to ${latest}`);
+    } else {
+      console.log(
+        `\n❓ An updated version of ${client} is available. ${installed} is currently installed. Would you like to update to ${latest}? (y/yes)`
+      );
+      const answer = readlineSync.question("").toLowerCase();
+      if (answer !== "y" && answer !== "yes") {
+        console.log("Update cancelled.");
+        continue;
+      }
+    }
+
+    const change = { action: "update", client, from: installed, to: latest };
+    try {
+      useClientVersion(client, latest, os.platform());
+      recordVersionChange(installDir, { ...change, ok: true });
+      updated.push(client);
+      console.log("");
+      console.log(`👍 Updated ${client} to ${latest}`);
+      console.log(
+        `   ${installed} is kept, run 'node index.js --rollback ${client}' to go back to it.`
+      );
+    } catch (error) {
+      failed = true;
+      recordVersionChange(installDir, {
+        ...change,
+        ok: false,
+        error: error.message,
+      });
+      console.log(`❌ Could not update ${client}: ${error.message}`);
+    }
+  }
+
+  if (running && updated.length > 0) {
+    let processes = null;
+    try {
+      ({ processes } = await sendRequest(installDir, "status", []));
+    } catch (error) {
+      failed = true;
+      console.log(
+        `❌ Could not get the clients of the running instance: ${error.message}`
+      );
+    }
+
+    for (const name of getProcessesToRestart(updated, processes || {})) {
+      try {
+        await sendRequest(installDir, "restart", [name]);
+        console.log(`🔄 Restarting ${name}`);
+      } catch (error) {
+        failed = true;
+        console.log(`❌ Could not restart ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
+}
@@ -0,0 +1,79 @@
+import path from "path";
+
+// Log level set through the control socket ("ctl set-log-level")
+const besuLogLevels = {
+  error: "ERROR",
+  warn: "WARN",
+  info: "INFO",
+  debug: "DEBUG",
+  trace: "TRACE",
+};
+
+export default {
+  name: "besu",
+  label: "Besu",
+  role: "execution",
+  latestVersion: "25.11.0",
+  executable: path.join("besu", "bin", "besu"),
+  prerequisites: [
+    {
+      command: "java -version",
+      message:
+        "Besu runs on Java. Please install Java 21 or newer (e.g. 'sudo apt install openjdk-21-jre-headless' or 'brew install openjdk@21').",
+    },
+  ],
+  env: ["JAVA_HOME"],
+
+  getDownload({ version }) {
+    return {
+      url: `https://github.com/hyperledger/besu/releases/download/${version}/besu-${version}.tar.gz`,
+      fileName: `besu-${version}.tar.gz`,
+      move: { from: `besu-${version}`, to: "besu" },
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/besu\/v?(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    return [
+      `--network=${ctx.network}`,
+      `--data-path=${ctx.dataDir}`,
+      // Archive nodes need a full sync into the Forest storage format
+      ...(ctx.executionType === "archive"
+        ? ["--sync-mode=FULL", "--data-storage-format=FOREST"]
+        : ["--sync-mode=SNAP"]),
+      `--p2p-port=${ctx.executionPeerPort}`,
+      "--rpc-http-enabled",
+      "--rpc-http-host=0.0.0.0",
+      "--rpc-http-port=8545",
+      "--rpc-http-api=ETH,NET,WEB3,ADMIN",
+      "--rpc-http-cors-origins=*",
+      "--host-allowlist=*",
+      "--engine-rpc-port=8551",
+      `--engine-jwt-secret=${ctx.jwtPath}`,
+      "--rpc-ws-enabled",
+      "--rpc-ws-host=127.0.0.1",
+      "--rpc-ws-port=8546",
+      "--rpc-ws-api=ETH,NET,ADMIN",
+      "--metrics-enabled",
+      "--metrics-host=127.0.0.1",
+      "--metrics-port=9545",
+      ...(besuLogLevels[ctx.logLevel]
+        ? [`--logging=${besuLogLevels[ctx.logLevel]}`]
+        : []),
+    ];
+  },
+
+  metrics: { url: "http://127.0.0.1:9545/metrics" },
+  newBlockPattern: /Imported #([\d,]+)/,
+  syncProgress: "rpc",
+  diskFootprint: {
+    mainnet: { full: 1300, archive: 12000 },
+    sepolia: { full: 700, archive: 2000 },
+    holesky: { full: 300, archive: 1000 },
+    hoodi: { full: 150, archive: 300 },
+  },
+};
@@ -0,0 +1,134 @@
+// Log level set through the control socket ("ctl set-log-level")
+const gethVerbosity = { error: 1, warn: 2, info: 3, debug: 4, trace: 5 };
+
+// Commit hash that is part of every Geth release file name
+const gethHash = {
+  "1.14.3": "ab48ba42",
+  "1.14.12": "293a300d",
+  "1.15.10": "2bf8a789",
+  "1.15.11": "36b2371c",
+  "1.16.3": "d818a9af",
+  "1.16.5": "737ffd1b",
+  "1.16.7": "b9f3a3d9",
+};
+
+const targets = {
+  darwin: { x64: "darwin-amd64", arm64: "darwin-arm64" },
+  linux: { x64: "linux-amd64", arm64: "linux-arm64" },
+};
+
+function matchPercent(line, pattern) {
+  const match = line.match(pattern);
+  return match ? parseFloat(match[1]) / 100 : null;
+}
+
+export default {
+  name: "geth",
+  label: "Geth",
+  role: "execution",
+  latestVersion: "1.16.7",
+  // Geth is currently not supported on macOS
+  platforms: ["linux"],
+  // Linux builds are signed with the "Geth Linux Builder" key
+  signature: {
+    type: "gpg",
+    url: (download) => `${download.url}.asc`,
+    key: "FDE5A1A044FA13D2F7ADA019A61A13569BA28146",
+  },
+
+  getDownload({ version, platform, arch }) {
+    const dirName = `geth-${targets[platform][arch]}-${version}-${gethHash[version]}`;
+    return {
+      url: `https://gethstore.blob.core.windows.net/builds/${dirName}.tar.gz`,
+      fileName: `${dirName}.tar.gz`,
+      // The archive contains a directory with the geth binary in it
+      move: { from: `${dirName}/geth`, to: "geth" },
+      remove: [dirName],
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/geth version (\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    return [
+      `--${ctx.network}`,
+      "--syncmode",
+      ...(ctx.executionType === "full"
+        ? ["snap"]
+        : ctx.executionType === "archive"
+        ? ["full", "--gcmode", "archive"]
+        : []),
+      "--port",
+      ctx.executionPeerPort,
+      "--discovery.port",
+      ctx.executionPeerPort,
+      "--http",
+      "--http.api",
+      "eth,net,engine,admin",
+      "--http.addr",
+      "0.0.0.0",
+      "--http.port",
+      "8545",
+      "--http.corsdomain",
+      "*",
+      "--datadir",
+      ctx.dataDir,
+      "--authrpc.jwtsecret",
+      ctx.jwtPath,
+      "--metrics",
+      "--metrics.addr",
+      "127.0.0.1",
+      "--ws",
+      "--ws.api",
+      "eth,net,admin",
+      "--ws.origins",
+      "*",
+      "--ws.addr",
+      "127.0.0.1",
+      "--ws.port",
+      "8546",
+      ...(gethVerbosity[ctx.logLevel]
+        ? ["--verbosity", String(gethVerbosity[ctx.logLevel])]
+        : []),
+    ];
+  },
+
+  newBlockPattern: /block=(\d+)/,
+  syncProgress: "rpc",
+  diskFootprint: {
+    mainnet: { full: 1300, archive: 2500 },
+    sepolia: { full: 700, archive: 1000 },
+    holesky: { full: 300, archive: 500 },
+    hoodi: { full: 150, archive: 250 },
+  },
+  syncStages: [
+    { name: "HEADERS", key: "headerDlProgress" },
+    { name: "CHAIN", key: "chainDlProgress" },
+    { name: "STATE", key: "stateDlProgress" },
+  ],
+
+  // Geth logs the progress of each snap sync stage
+  parseSyncLogLine(line) {
+    if (line.includes("Syncing beacon headers")) {
+      const match = line.match(
+        /downloaded=([\d,]+)\s+left=([\d,]+)\s+eta=([^\s]+)/
+      );
+      if (!match) return null;
+      const downloaded = parseInt(match[1].replace(/,/g, ""), 10);
+      const left = parseInt(match[2].replace(/,/g, ""), 10);
+      return { headerDlProgress: downloaded / (downloaded + left) };
+    }
+    if (line.includes("Syncing: chain download in progress")) {
+      const progress = matchPercent(line, /synced=([\d.]+)%/);
+      return progress === null ? null : { chainDlProgress: progress };
+    }
+    if (line.includes("Syncing: state download in progress")) {
+      const progress = matchPercent(line, /synced=([\d.]+)%/);
+      return progress === null ? null : { stateDlProgress: progress };
+    }
+    return null;
+  },
+};
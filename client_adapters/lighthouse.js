@@ -0,0 +1,232 @@
+import fs from "fs";
+import path from "path";
+import { debugToFile } from "../helpers.js";
+
+// Lighthouse publishes Apple Silicon builds only, which run on Intel Macs
+// through Rosetta 2
+const targets = {
+  darwin: { x64: "aarch64-apple-darwin", arm64: "aarch64-apple-darwin" },
+  linux: {
+    x64: "x86_64-unknown-linux-gnu",
+    arm64: "aarch64-unknown-linux-gnu",
+  },
+};
+
+// Lighthouse expects --secrets-dir to contain one file per validator,
+// named after the validator's public key, each containing the keystore password.
+// Populate the secrets dir from the master password file and keystore filenames.
+function writeValidatorSecrets(ctx, secretsDir) {
+  if (!fs.existsSync(ctx.passwordFile) || !fs.existsSync(ctx.keystoresDir)) {
+    return;
+  }
+  if (!fs.existsSync(secretsDir)) {
+    fs.mkdirSync(secretsDir, { recursive: true, mode: 0o700 });
+  }
+  const password = fs.readFileSync(ctx.passwordFile, "utf8");
+  const keystoreFiles = fs
+    .readdirSync(ctx.keystoresDir)
+    .filter((f) => f.startsWith("keystore") && f.endsWith(".json"));
+  for (const ksFile of keystoreFiles) {
+    try {
+      const ksContent = JSON.parse(
+        fs.readFileSync(path.join(ctx.keystoresDir, ksFile), "utf8")
+      );
+      const pubkey = ksContent.pubkey;
+      // Validate pubkey is strictly hex to prevent path traversal
+      if (pubkey && /^[0-9a-fA-F]+$/.test(pubkey)) {
+        const secretFile = path.join(secretsDir, `0x${pubkey}`);
+        fs.writeFileSync(secretFile, password, { mode: 0o600 });
+      }
+    } catch (e) {
+      debugToFile(`Warning: could not read keystore ${ksFile}: ${e.message}`);
+    }
+  }
+}
+
+export default {
+  name: "lighthouse",
+  label: "Lighthouse",
+  role: "consensus",
+  latestVersion: "8.0.1",
+  // Releases are signed with the Sigma Prime release key
+  signature: {
+    type: "gpg",
+    url: (download) => `${download.url}.asc`,
+    key: "15E66D941F697E28F49381F426416DC3F30674B0",
+  },
+
+  getDownload({ version, platform, arch }) {
+    const fileName = `lighthouse-v${version}-${targets[platform][arch]}.tar.gz`;
+    return {
+      url: `https://github.com/sigp/lighthouse/releases/download/v${version}/${fileName}`,
+      fileName,
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/Lighthouse v(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    const args = [
+      "bn",
+      "--network",
+      ctx.network,
+      "--port",
+      ctx.consensusPeerPorts[0],
+      "--quic-port",
+      ctx.consensusPeerPorts[1],
+      "--execution-endpoint",
+      "http://localhost:8551",
+      "--datadir",
+      ctx.dataDir,
+      "--execution-jwt",
+      ctx.jwtPath,
+      "--metrics",
+      "--metrics-address",
+      "127.0.0.1",
+      "--metrics-port",
+      "5054",
+      "--http",
+      "--http-address",
+      "0.0.0.0",
+      "--disable-upnp", // There is currently a bug in the p2p-lib that causes panics with this enabled
+      "--disable-enr-auto-update", // This is causing a loop of ENR updates that crashes lighthouse
+    ];
+
+    if (ctx.checkpointUrl) {
+      args.push(
+        "--checkpoint-sync-url",
+        ctx.checkpointUrl,
+        "--checkpoint-sync-url-timeout",
+        "1200"
+      );
+    }
+    if (ctx.bgConsensusPeers.length > 0) {
+      args.push("--trusted-peers", ctx.bgConsensusPeers.join(","));
+    }
+    if (ctx.bgConsensusAddrs.length > 0) {
+      args.push("--libp2p-addresses", ctx.bgConsensusAddrs.join(","));
+    }
+    if (ctx.feeRecipient) {
+      args.push("--suggested-fee-recipient", ctx.feeRecipient);
+    }
+    if (ctx.mevBoost) {
+      args.push("--builder", "http://localhost:18550");
+    }
+    if (ctx.logLevel) {
+      args.push("--debug-level", ctx.logLevel);
+    }
+    return args;
+  },
+
+  metrics: {
+    url: "http://localhost:5054/metrics",
+    peerCountMetric: "libp2p_peers",
+  },
+  defaultPeerPorts: [9000, 9001],
+  beaconDbDir: "beacon",
+  diskFootprint: { mainnet: 250, sepolia: 150, holesky: 150, hoodi: 100 },
+  // "CRIT Failed to start beacon node reason: Error loading checkpoint
+  // state from remote: HttpClient(..., kind: timeout, ...)"
+  checkpointFailurePattern:
+    /Error loading checkpoint (state|block) from remote/,
+
+  validator: {
+    prepare(ctx) {
+      writeValidatorSecrets(ctx, path.join(ctx.secureDir, "secrets"));
+    },
+
+    buildArgs(ctx) {
+      const args = [
+        "vc",
+        "--network",
+        ctx.network,
+        "--beacon-nodes",
+        "http://localhost:5052",
+        "--datadir",
+        path.join(ctx.validatorDir, "database"),
+        "--validators-dir",
+        ctx.keystoresDir,
+        "--secrets-dir",
+        path.join(ctx.secureDir, "secrets"),
+        "--metrics",
+        "--metrics-address",
+        "127.0.0.1",
+        "--metrics-port",
+        "5064",
+        "--enable-doppelganger-protection",
+      ];
+
+      if (ctx.feeRecipient) {
+        args.push("--suggested-fee-recipient", ctx.feeRecipient);
+      }
+      if (ctx.graffiti) {
+        args.push("--graffiti", ctx.graffiti);
+      }
+      if (ctx.mevBoost) {
+        args.push("--builder-proposals");
+      }
+      if (ctx.logLevel) {
+        args.push("--debug-level", ctx.logLevel);
+      }
+      return args;
+    },
+
+    metrics: {
+      url: "http://localhost:5064/metrics",
+      publishedAttestationsMetric:
+        'vc_signed_attestations_total{status="success"}',
+    },
+
+    // The slashing protection database is kept in the validators dir
+    slashingProtection: {
+      exportArgs(ctx, dir) {
+        return [
+          "account",
+          "validator",
+          "--network",
+          ctx.network,
+          "--validator-dir",
+          ctx.keystoresDir,
+          "slashing-protection",
+          "export",
+          path.join(dir, "slashing_protection.json"),
+        ];
+      },
+      importArgs(ctx, file) {
+        return [
+          "account",
+          "validator",
+          "--network",
+          ctx.network,
+          "--validator-dir",
+          ctx.keystoresDir,
+          "slashing-protection",
+          "import",
+          file,
+        ];
+      },
+    },
+
+    // The exit is only submitted; voluntaryExit.js follows it in the queue
+    voluntaryExitArgs(ctx, { keystorePath, passwordFile }) {
+      return [
+        "account",
+        "validator",
+        "exit",
+        "--network",
+        ctx.network,
+        "--keystore",
+        keystorePath,
+        "--password-file",
+        passwordFile,
+        "--beacon-node",
+        "http://localhost:5052",
+        "--no-confirmation",
+        "--no-wait",
+      ];
+    },
+  },
+};
@@ -0,0 +1,119 @@
+import path from "path";
+
+export default {
+  name: "lodestar",
+  label: "Lodestar",
+  role: "consensus",
+  latestVersion: "1.36.0",
+  // Lodestar does not publish macOS binaries
+  platforms: ["linux"],
+
+  getDownload({ version, arch }) {
+    const fileName = `lodestar-v${version}-linux-${
+      arch === "arm64" ? "arm64" : "amd64"
+    }.tar.gz`;
+    return {
+      url: `https://github.com/ChainSafe/lodestar/releases/download/v${version}/${fileName}`,
+      fileName,
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/v(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    const args = [
+      "beacon",
+      "--network",
+      ctx.network,
+      "--dataDir",
+      ctx.dataDir,
+      "--execution.urls",
+      "http://localhost:8551",
+      "--jwt-secret",
+      ctx.jwtPath,
+      "--port",
+      ctx.consensusPeerPorts[0],
+      "--rest",
+      "--rest.address",
+      "0.0.0.0",
+      "--rest.port",
+      "5052",
+      "--metrics",
+      "--metrics.address",
+      "127.0.0.1",
+      "--metrics.port",
+      "5054",
+    ];
+
+    if (ctx.checkpointUrl) {
+      args.push("--checkpointSyncUrl", ctx.checkpointUrl);
+    }
+    if (ctx.bgConsensusAddrs.length > 0) {
+      args.push("--directPeers", ctx.bgConsensusAddrs.join(","));
+    }
+    if (ctx.feeRecipient) {
+      args.push("--suggestedFeeRecipient", ctx.feeRecipient);
+    }
+    if (ctx.mevBoost) {
+      args.push("--builder", "--builder.urls", "http://localhost:18550");
+    }
+    // Lodestar uses the same level names as the control socket
+    if (ctx.logLevel) {
+      args.push("--logLevel", ctx.logLevel);
+    }
+    return args;
+  },
+
+  metrics: {
+    url: "http://localhost:5054/metrics",
+    peerCountMetric: "libp2p_peers",
+  },
+  defaultPeerPorts: [9000, 9001],
+  beaconDbDir: "chain-db",
+  diskFootprint: { mainnet: 250, sepolia: 150, holesky: 150, hoodi: 100 },
+
+  validator: {
+    // --importKeystores loads the keystores for this run only, so Lodestar
+    // never keeps its own copy of the keys or the password on disk.
+    buildArgs(ctx) {
+      const args = [
+        "validator",
+        "--network",
+        ctx.network,
+        "--dataDir",
+        path.join(ctx.validatorDir, "database"),
+        "--beaconNodes",
+        "http://localhost:5052",
+        "--importKeystores",
+        ctx.keystoresDir,
+        "--importKeystoresPassword",
+        ctx.passwordFile,
+        "--metrics",
+        "--metrics.address",
+        "127.0.0.1",
+        "--metrics.port",
+        "5064",
+        "--doppelgangerProtection",
+      ];
+
+      if (ctx.feeRecipient) {
+        args.push("--suggestedFeeRecipient", ctx.feeRecipient);
+      }
+      if (ctx.graffiti) {
+        args.push("--graffiti", ctx.graffiti);
+      }
+      if (ctx.mevBoost) {
+        args.push("--builder");
+      }
+      if (ctx.logLevel) {
+        args.push("--logLevel", ctx.logLevel);
+      }
+      return args;
+    },
+
+    metrics: { url: "http://localhost:5064/metrics" },
+  },
+};
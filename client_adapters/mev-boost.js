@@ -0,0 +1,66 @@
+// Well-known MEV relay URLs per network
+const DEFAULT_RELAYS = {
+  mainnet: [
+    // Flashbots
+    "https://0xac6e77dfe25ecd6110b8e780608cce0dab71fdd5ebea22a16c0205200f2f8e2e3ad3b71d3499c54ad14d6c21b41a37ae@boost-relay.flashbots.net",
+    // bloXroute Max Profit
+    "https://0x8b5d2e73e2a3a55c6c87b8b6eb92e0149a125c852751db1422fa951e42a09b82c142c3ea98d0d9930b056a3bc9896b8f@bloxroute.max-profit.blxrbdn.com",
+    // Agnostic Gnosis
+    "https://0xa7ab7a996c8584251c8f925da3170bdfd6ebc75d50f5ddc4050a6fdc77f2a3b5fce2cc750d0865e05d7228af97d69561@agnostic-relay.net",
+    // Ultra Sound
+    "https://0xa1559ace749633b997cb3fdacffb890aeebdb0f5a3b6aaa7eeeaf1a38af0a8fe88b9e4b1f61f236d2e64d95733327a62@relay.ultrasound.money",
+  ],
+  sepolia: [
+    // Flashbots
+    "https://0x845bd072b7cd566f02faeb0a4033ce9399e42839ced64e8b2adcfc859ed1e8e1a5a293336a49feac6d9a5edb779be53a@boost-relay-sepolia.flashbots.net",
+  ],
+  holesky: [
+    // Flashbots
+    "https://0xafa4c6985aa049fb79dd37010438cfebeb0f2bd42b115b89dd678dab0670c1de38da0c4e9138c9290a398ecd9a0b3110@boost-relay-holesky.flashbots.net",
+  ],
+  hoodi: [
+    // Flashbots
+    "https://0xafa4c6985aa049fb79dd37010438cfebeb0f2bd42b115b89dd678dab0670c1de38da0c4e9138c9290a398ecd9a0b3110@boost-relay-hoodi.flashbots.net",
+  ],
+};
+
+const targets = {
+  darwin: { x64: "darwin_amd64", arm64: "darwin_arm64" },
+  linux: { x64: "linux_amd64", arm64: "linux_arm64" },
+};
+
+export default {
+  name: "mev-boost",
+  label: "MEV-Boost",
+  role: "mev-boost",
+  latestVersion: "1.8.1",
+  logPrefix: "mevboost",
+
+  getDownload({ version, platform, arch }) {
+    const fileName = `mev-boost_${version}_${targets[platform][arch]}.tar.gz`;
+    return {
+      url: `https://github.com/flashbots/mev-boost/releases/download/v${version}/${fileName}`,
+      fileName,
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/v?(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    const relays = DEFAULT_RELAYS[ctx.network] || DEFAULT_RELAYS.mainnet;
+    const args = [
+      `-${ctx.network}`,
+      "-relay-check",
+      "-relays",
+      relays.join(","),
+    ];
+
+    if (ctx.logLevel) {
+      args.push("-loglevel", ctx.logLevel);
+    }
+    return args;
+  },
+};
@@ -0,0 +1,97 @@
+import path from "path";
+
+// Log level set through the control socket ("ctl set-log-level")
+const nethermindLogLevels = {
+  error: "ERROR",
+  warn: "WARN",
+  info: "INFO",
+  debug: "DEBUG",
+  trace: "TRACE",
+};
+
+export default {
+  name: "nethermind",
+  label: "Nethermind",
+  role: "execution",
+  latestVersion: "1.35.2",
+  executable: path.join("nethermind", "nethermind"),
+  prerequisites: [
+    {
+      command: "unzip -v",
+      message: "Nethermind releases are zip files. Please install 'unzip'.",
+    },
+  ],
+
+  getDownload({ version, platform, arch, findReleaseAsset }) {
+    // Release asset names contain the commit hash, so look them up
+    const asset = findReleaseAsset(
+      "NethermindEth/nethermind",
+      version,
+      `nethermind-${version}-`,
+      `-${platform === "darwin" ? "macos" : "linux"}-${
+        arch === "arm64" ? "arm64" : "x64"
+      }.zip`
+    );
+    return {
+      url: asset.url,
+      fileName: "nethermind.zip",
+      extractTo: "nethermind",
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/Version:\s*(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    return [
+      // Nethermind ships a config per network, with an "_archive" variant
+      "--config",
+      ctx.executionType === "archive" ? `${ctx.network}_archive` : ctx.network,
+      "--datadir",
+      ctx.dataDir,
+      "--Network.P2PPort",
+      ctx.executionPeerPort,
+      "--Network.DiscoveryPort",
+      ctx.executionPeerPort,
+      "--JsonRpc.Enabled",
+      "true",
+      "--JsonRpc.Host",
+      "0.0.0.0",
+      "--JsonRpc.Port",
+      "8545",
+      "--JsonRpc.EnabledModules",
+      "Eth,Net,Web3,Admin",
+      "--JsonRpc.EngineHost",
+      "127.0.0.1",
+      "--JsonRpc.EnginePort",
+      "8551",
+      "--JsonRpc.JwtSecretFile",
+      ctx.jwtPath,
+      "--Init.WebSocketsEnabled",
+      "true",
+      "--JsonRpc.WebSocketsPort",
+      "8546",
+      "--Metrics.Enabled",
+      "true",
+      "--Metrics.ExposeHost",
+      "127.0.0.1",
+      "--Metrics.ExposePort",
+      "6060",
+      ...(nethermindLogLevels[ctx.logLevel]
+        ? ["--log", nethermindLogLevels[ctx.logLevel]]
+        : []),
+    ];
+  },
+
+  metrics: { url: "http://127.0.0.1:6060/metrics" },
+  newBlockPattern: /(?:Received New Block:|Processed)\s+(\d+)/,
+  syncProgress: "rpc",
+  diskFootprint: {
+    mainnet: { full: 1200, archive: 14000 },
+    sepolia: { full: 700, archive: 2000 },
+    holesky: { full: 300, archive: 1000 },
+    hoodi: { full: 150, archive: 300 },
+  },
+};
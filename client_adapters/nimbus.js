@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+
+// Log level set through the control socket ("ctl set-log-level")
+const nimbusLogLevels = {
+  error: "ERROR",
+  warn: "WARN",
+  info: "INFO",
+  debug: "DEBUG",
+  trace: "TRACE",
+};
+
+// Nimbus expects --secrets-dir to contain one file per validator, named
+// after the validator directory (0x<pubkey>), containing the keystore
+// password. The validator directories are created by importKeysForNimbus()
+// in keyManager.js.
+function writeValidatorSecrets(ctx, validatorsDir, secretsDir) {
+  if (!fs.existsSync(ctx.passwordFile) || !fs.existsSync(validatorsDir)) {
+    return;
+  }
+  if (!fs.existsSync(secretsDir)) {
+    fs.mkdirSync(secretsDir, { recursive: true, mode: 0o700 });
+  }
+  const password = fs.readFileSync(ctx.passwordFile, "utf8");
+  const validatorDirs = fs
+    .readdirSync(validatorsDir)
+    .filter((dir) => /^0x[0-9a-fA-F]+$/.test(dir));
+  for (const dir of validatorDirs) {
+    fs.writeFileSync(path.join(secretsDir, dir), password, { mode: 0o600 });
+  }
+}
+
+export default {
+  name: "nimbus",
+  label: "Nimbus",
+  role: "consensus",
+  latestVersion: "25.11.0",
+  executable: path.join("nimbus", "build", "nimbus_beacon_node"),
+
+  getDownload({ version, platform, arch, findReleaseAsset }) {
+    // Release asset names contain the commit hash, so look them up
+    const target =
+      platform === "darwin"
+        ? `macOS_${arch === "arm64" ? "arm64" : "amd64"}`
+        : `Linux_${arch === "arm64" ? "arm64v8" : "amd64"}`;
+    const asset = findReleaseAsset(
+      "status-im/nimbus-eth2",
+      `v${version}`,
+      `nimbus-eth2_${target}_${version}_`,
+      ".tar.gz"
+    );
+    return {
+      url: asset.url,
+      fileName: asset.name,
+      move: { from: asset.name.replace(/\.tar\.gz$/, ""), to: "nimbus" },
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/Nimbus beacon node v(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  // Nimbus has no checkpoint sync flag on the beacon node itself. The
+  // database is seeded with the separate trustedNodeSync command before
+  // the first start.
+  preStartArgs(ctx) {
+    if (!ctx.checkpointUrl) return null;
+    return [
+      "trustedNodeSync",
+      `--network=${ctx.network}`,
+      `--data-dir=${ctx.dataDir}`,
+      `--trusted-node-url=${ctx.checkpointUrl}`,
+      "--backfill=false",
+    ];
+  },
+
+  buildArgs(ctx) {
+    const args = [
+      `--network=${ctx.network}`,
+      `--data-dir=${ctx.dataDir}`,
+      "--el=http://localhost:8551",
+      `--jwt-secret=${ctx.jwtPath}`,
+      `--tcp-port=${ctx.consensusPeerPorts[0]}`,
+      `--udp-port=${ctx.consensusPeerPorts[0]}`,
+      "--rest",
+      "--rest-address=0.0.0.0",
+      "--rest-port=5052",
+      "--metrics",
+      "--metrics-address=127.0.0.1",
+      "--metrics-port=5054",
+      "--non-interactive",
+    ];
+
+    ctx.bgConsensusAddrs.forEach((peer) => args.push(`--direct-peer=${peer}`));
+    if (ctx.feeRecipient) {
+      args.push(`--suggested-fee-recipient=${ctx.feeRecipient}`);
+    }
+    if (ctx.mevBoost) {
+      args.push(
+        "--payload-builder=true",
+        "--payload-builder-url=http://localhost:18550"
+      );
+    }
+    if (nimbusLogLevels[ctx.logLevel]) {
+      args.push(`--log-level=${nimbusLogLevels[ctx.logLevel]}`);
+    }
+    return args;
+  },
+
+  metrics: {
+    url: "http://localhost:5054/metrics",
+    peerCountMetric: "libp2p_peers",
+  },
+  defaultPeerPorts: [9000, 9001],
+  beaconDbDir: "db",
+  diskFootprint: { mainnet: 200, sepolia: 150, holesky: 150, hoodi: 100 },
+
+  validator: {
+    executable: path.join("nimbus", "build", "nimbus_validator_client"),
+
+    prepare(ctx) {
+      writeValidatorSecrets(
+        ctx,
+        path.join(ctx.validatorDir, "validators"),
+        path.join(ctx.secureDir, "secrets")
+      );
+    },
+
+    buildArgs(ctx) {
+      const args = [
+        `--data-dir=${path.join(ctx.validatorDir, "database")}`,
+        `--validators-dir=${path.join(ctx.validatorDir, "validators")}`,
+        `--secrets-dir=${path.join(ctx.secureDir, "secrets")}`,
+        "--beacon-node=http://localhost:5052",
+        "--metrics",
+        "--metrics-address=127.0.0.1",
+        "--metrics-port=5064",
+        "--doppelganger-detection=true",
+        "--non-interactive",
+      ];
+
+      if (ctx.feeRecipient) {
+        args.push(`--suggested-fee-recipient=${ctx.feeRecipient}`);
+      }
+      if (ctx.graffiti) {
+        args.push(`--graffiti=${ctx.graffiti}`);
+      }
+      if (ctx.mevBoost) {
+        args.push("--payload-builder=true");
+      }
+      if (nimbusLogLevels[ctx.logLevel]) {
+        args.push(`--log-level=${nimbusLogLevels[ctx.logLevel]}`);
+      }
+      return args;
+    },
+
+    metrics: { url: "http://localhost:5064/metrics" },
+  },
+};
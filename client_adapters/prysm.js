@@ -0,0 +1,172 @@
+import path from "path";
+
+const archs = { x64: "amd64", arm64: "arm64" };
+
+export default {
+  name: "prysm",
+  label: "Prysm",
+  role: "consensus",
+  latestVersion: "7.0.0",
+  executable: "beacon-chain",
+  // Release binaries are signed with the Prysmatic Labs release key
+  signature: {
+    type: "gpg",
+    url: (download) => `${download.url}.sig`,
+    key: "0AE0051D647BA3C1A917AF4072E33E4DF1A5036E",
+  },
+  // Each binary has a "<sha256>  <file name>" file next to it
+  publishedChecksumUrl: (download) => `${download.url}.sha256`,
+
+  // The beacon node and the validator client are separate binaries
+  getDownload({ version, platform, arch }) {
+    return ["beacon-chain", "validator"].map((binary) => {
+      const fileName = `${binary}-v${version}-${platform}-${archs[arch]}`;
+      return {
+        url: `https://github.com/prysmaticlabs/prysm/releases/download/v${version}/${fileName}`,
+        fileName,
+        move: { from: fileName, to: binary },
+      };
+    });
+  },
+
+  // "beacon-chain version v7.0.0/<commit>. Built at: ..."
+  parseVersion(output) {
+    const match = output.match(/\bv(\d+\.\d+\.\d+)\b/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    const args = [
+      `--${ctx.network}`,
+      "--p2p-udp-port",
+      ctx.consensusPeerPorts[1],
+      "--p2p-quic-port",
+      ctx.consensusPeerPorts[0],
+      "--p2p-tcp-port",
+      ctx.consensusPeerPorts[0],
+      "--execution-endpoint",
+      "http://localhost:8551",
+      "--grpc-gateway-host=0.0.0.0",
+      "--grpc-gateway-port=5052",
+      "--datadir",
+      ctx.dataDir,
+      "--accept-terms-of-use=true",
+      "--jwt-secret",
+      ctx.jwtPath,
+      "--rpc-host=127.0.0.1",
+      "--rpc-port=4000",
+      "--monitoring-host",
+      "127.0.0.1",
+      "--monitoring-port",
+      "5054",
+    ];
+
+    if (ctx.checkpointUrl) {
+      args.push(
+        `--checkpoint-sync-url=${ctx.checkpointUrl}`,
+        `--genesis-beacon-api-url=${ctx.checkpointUrl}`
+      );
+    }
+    ctx.bgConsensusAddrs.forEach((peer) => args.push("--peer", peer));
+    if (ctx.feeRecipient) {
+      args.push(`--suggested-fee-recipient=${ctx.feeRecipient}`);
+    }
+    if (ctx.mevBoost) {
+      args.push("--http-mev-relay=http://localhost:18550");
+    }
+    if (ctx.logLevel) {
+      args.push(`--verbosity=${ctx.logLevel}`);
+    }
+    return args;
+  },
+
+  metrics: {
+    url: "http://localhost:5054/metrics",
+    peerCountMetric: 'p2p_peer_count{state="Connected"}',
+  },
+  defaultPeerPorts: [12000, 13000],
+  beaconDbDir: "beaconchaindata",
+  diskFootprint: { mainnet: 300, sepolia: 150, holesky: 150, hoodi: 100 },
+  // The origin state and block are downloaded from the checkpoint URL,
+  // the genesis state from the same server
+  checkpointFailurePattern:
+    /(checkpoint sync|origin (state|block)|genesis state)[^\n]*(error|fail|timeout|deadline exceeded)/i,
+
+  validator: {
+    executable: "validator",
+    buildArgs(ctx) {
+      // Keys are imported into this wallet by importKeysForPrysm() in
+      // keyManager.js
+      const args = [
+        `--${ctx.network}`,
+        "--beacon-rpc-provider=localhost:4000",
+        "--grpc-gateway-host=127.0.0.1",
+        "--grpc-gateway-port=7500",
+        `--wallet-dir=${path.join(ctx.validatorDir, "database")}`,
+        `--wallet-password-file=${ctx.passwordFile}`,
+        "--accept-terms-of-use",
+        "--monitoring-host",
+        "127.0.0.1",
+        "--monitoring-port",
+        "5064",
+        "--enable-doppelganger",
+      ];
+
+      if (ctx.feeRecipient) {
+        args.push(`--suggested-fee-recipient=${ctx.feeRecipient}`);
+      }
+      if (ctx.graffiti) {
+        args.push(`--graffiti=${ctx.graffiti}`);
+      }
+      if (ctx.mevBoost) {
+        args.push("--enable-builder");
+      }
+      if (ctx.logLevel) {
+        args.push(`--verbosity=${ctx.logLevel}`);
+      }
+      return args;
+    },
+
+    metrics: {
+      url: "http://localhost:5064/metrics",
+      publishedAttestationsMetric: "validator_successful_attestations",
+    },
+
+    // Without --datadir the validator keeps its database in the wallet dir
+    slashingProtection: {
+      exportArgs(ctx, dir) {
+        return [
+          "slashing-protection-history",
+          "export",
+          `--datadir=${path.join(ctx.validatorDir, "database")}`,
+          `--slashing-protection-export-dir=${dir}`,
+          "--accept-terms-of-use",
+        ];
+      },
+      importArgs(ctx, file) {
+        return [
+          "slashing-protection-history",
+          "import",
+          `--datadir=${path.join(ctx.validatorDir, "database")}`,
+          `--slashing-protection-json-file=${file}`,
+          "--accept-terms-of-use",
+        ];
+      },
+    },
+
+    // Signs with the key in the wallet, which uses the keystore password
+    voluntaryExitArgs(ctx, { pubkey, passwordFile }) {
+      return [
+        "accounts",
+        "voluntary-exit",
+        `--${ctx.network}`,
+        `--wallet-dir=${path.join(ctx.validatorDir, "database")}`,
+        `--wallet-password-file=${passwordFile}`,
+        "--beacon-rpc-provider=localhost:4000",
+        `--public-keys=${pubkey}`,
+        "--force-exit",
+        "--accept-terms-of-use",
+      ];
+    },
+  },
+};
@@ -0,0 +1,108 @@
+// Log level set through the control socket ("ctl set-log-level")
+const rethVerbosity = {
+  error: "-v",
+  warn: "-vv",
+  info: "-vvv",
+  debug: "-vvvv",
+  trace: "-vvvvv",
+};
+
+// Paris (merge) block per network, used to prune pre-merge receipts.
+// Holesky and Hoodi launched post-merge, so there is nothing to prune.
+const mergeBlocks = {
+  mainnet: "15537394",
+  sepolia: "1450409",
+};
+
+const targets = {
+  darwin: { x64: "x86_64-apple-darwin", arm64: "aarch64-apple-darwin" },
+  linux: {
+    x64: "x86_64-unknown-linux-gnu",
+    arm64: "aarch64-unknown-linux-gnu",
+  },
+};
+
+export default {
+  name: "reth",
+  label: "Reth",
+  role: "execution",
+  latestVersion: "1.9.3",
+  // Releases are signed with the key listed in the Reth book
+  signature: {
+    type: "gpg",
+    url: (download) => `${download.url}.asc`,
+    key: "50FB7CC55B2E8AFA59FE03B7AA5ED56A7FBF253E",
+  },
+
+  getDownload({ version, platform, arch }) {
+    const fileName = `reth-v${version}-${targets[platform][arch]}.tar.gz`;
+    return {
+      url: `https://github.com/paradigmxyz/reth/releases/download/v${version}/${fileName}`,
+      fileName,
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(
+      /[Rr]eth(?:-ethereum-cli)? Version: (\d+\.\d+\.\d+)/
+    );
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    return [
+      "node",
+      "--chain",
+      ctx.network,
+      ...(ctx.executionType === "archive" ? [] : ["--full"]),
+      "--port",
+      ctx.executionPeerPort,
+      "--discovery.port",
+      ctx.executionPeerPort,
+      "--http",
+      "--http.addr",
+      "0.0.0.0",
+      "--http.api",
+      "eth,net,admin",
+      "--http.corsdomain",
+      "*",
+      "--authrpc.addr",
+      "127.0.0.1",
+      "--authrpc.port",
+      "8551",
+      "--datadir",
+      ctx.dataDir,
+      "--authrpc.jwtsecret",
+      ctx.jwtPath,
+      "--metrics",
+      "127.0.0.1:9001",
+      "--ws",
+      "--ws.api",
+      "eth,net,admin",
+      "--ws.origins",
+      "*",
+      "--ws.addr",
+      "127.0.0.1",
+      "--ws.port",
+      "8546",
+      ...(mergeBlocks[ctx.network]
+        ? [
+            "--prune.bodies.pre-merge",
+            "--prune.receipts.before",
+            mergeBlocks[ctx.network],
+          ]
+        : []),
+      ...(rethVerbosity[ctx.logLevel] ? [rethVerbosity[ctx.logLevel]] : []),
+    ];
+  },
+
+  metrics: { url: "http://127.0.0.1:9001" },
+  newBlockPattern: /block=(\d+)/,
+  syncProgress: "reth-stages",
+  diskFootprint: {
+    mainnet: { full: 1300, archive: 2800 },
+    sepolia: { full: 700, archive: 1100 },
+    holesky: { full: 300, archive: 500 },
+    hoodi: { full: 150, archive: 250 },
+  },
+};
@@ -0,0 +1,148 @@
+import fs from "fs";
+import path from "path";
+
+// Log level set through the control socket ("ctl set-log-level")
+const tekuLogLevels = {
+  error: "ERROR",
+  warn: "WARN",
+  info: "INFO",
+  debug: "DEBUG",
+  trace: "TRACE",
+};
+
+// Teku pairs every keystore-<name>.json in the keys directory with
+// <name>.txt in the passwords directory. Write one password file per
+// keystore from the master password file.
+function writeKeystorePasswords(ctx, passwordsDir) {
+  if (!fs.existsSync(ctx.passwordFile) || !fs.existsSync(ctx.keystoresDir)) {
+    return;
+  }
+  if (!fs.existsSync(passwordsDir)) {
+    fs.mkdirSync(passwordsDir, { recursive: true, mode: 0o700 });
+  }
+  const password = fs.readFileSync(ctx.passwordFile, "utf8");
+  const keystoreFiles = fs
+    .readdirSync(ctx.keystoresDir)
+    .filter((f) => f.startsWith("keystore") && f.endsWith(".json"));
+  for (const ksFile of keystoreFiles) {
+    fs.writeFileSync(
+      path.join(passwordsDir, ksFile.replace(/\.json$/, ".txt")),
+      password,
+      { mode: 0o600 }
+    );
+  }
+}
+
+export default {
+  name: "teku",
+  label: "Teku",
+  role: "consensus",
+  latestVersion: "25.11.0",
+  executable: path.join("teku", "bin", "teku"),
+  prerequisites: [
+    {
+      command: "java -version",
+      message:
+        "Teku runs on Java. Please install Java 21 or newer (e.g. 'sudo apt install openjdk-21-jre-headless' or 'brew install openjdk@21').",
+    },
+  ],
+  env: ["JAVA_HOME"],
+
+  getDownload({ version }) {
+    return {
+      url: `https://artifacts.consensys.net/public/teku/raw/names/teku.tar.gz/versions/${version}/teku-${version}.tar.gz`,
+      fileName: `teku-${version}.tar.gz`,
+      move: { from: `teku-${version}`, to: "teku" },
+    };
+  },
+
+  parseVersion(output) {
+    const match = output.match(/teku\/v?(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  },
+
+  buildArgs(ctx) {
+    const args = [
+      `--network=${ctx.network}`,
+      `--data-path=${ctx.dataDir}`,
+      "--ee-endpoint=http://localhost:8551",
+      `--ee-jwt-secret-file=${ctx.jwtPath}`,
+      `--p2p-port=${ctx.consensusPeerPorts[0]}`,
+      "--rest-api-enabled=true",
+      "--rest-api-interface=0.0.0.0",
+      "--rest-api-port=5052",
+      "--rest-api-host-allowlist=*",
+      "--metrics-enabled=true",
+      "--metrics-interface=127.0.0.1",
+      "--metrics-port=5054",
+    ];
+
+    if (ctx.checkpointUrl) {
+      args.push(`--checkpoint-sync-url=${ctx.checkpointUrl}`);
+    }
+    if (ctx.bgConsensusAddrs.length > 0) {
+      args.push(`--p2p-static-peers=${ctx.bgConsensusAddrs.join(",")}`);
+    }
+    if (ctx.feeRecipient) {
+      args.push(
+        `--validators-proposer-default-fee-recipient=${ctx.feeRecipient}`
+      );
+    }
+    if (ctx.mevBoost) {
+      args.push("--builder-endpoint=http://localhost:18550");
+    }
+    if (tekuLogLevels[ctx.logLevel]) {
+      args.push(`--logging=${tekuLogLevels[ctx.logLevel]}`);
+    }
+    return args;
+  },
+
+  metrics: {
+    url: "http://localhost:5054/metrics",
+    peerCountMetric: "beacon_peer_count",
+  },
+  defaultPeerPorts: [9000, 9001],
+  beaconDbDir: "beacon",
+  diskFootprint: { mainnet: 250, sepolia: 150, holesky: 150, hoodi: 100 },
+
+  validator: {
+    prepare(ctx) {
+      writeKeystorePasswords(ctx, path.join(ctx.secureDir, "teku-passwords"));
+    },
+
+    buildArgs(ctx) {
+      const args = [
+        "validator-client",
+        `--network=${ctx.network}`,
+        "--beacon-node-api-endpoint=http://localhost:5052",
+        `--data-path=${path.join(ctx.validatorDir, "database")}`,
+        `--validator-keys=${ctx.keystoresDir}:${path.join(
+          ctx.secureDir,
+          "teku-passwords"
+        )}`,
+        "--metrics-enabled=true",
+        "--metrics-interface=127.0.0.1",
+        "--metrics-port=5064",
+        "--doppelganger-detection-enabled=true",
+      ];
+
+      if (ctx.feeRecipient) {
+        args.push(
+          `--validators-proposer-default-fee-recipient=${ctx.feeRecipient}`
+        );
+      }
+      if (ctx.graffiti) {
+        args.push(`--validators-graffiti=${ctx.graffiti}`);
+      }
+      if (ctx.mevBoost) {
+        args.push("--validators-builder-registration-default-enabled=true");
+      }
+      if (tekuLogLevels[ctx.logLevel]) {
+        args.push(`--logging=${tekuLogLevels[ctx.logLevel]}`);
+      }
+      return args;
+    },
+
+    metrics: { url: "http://localhost:5064/metrics" },
+  },
+};
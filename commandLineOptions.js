@@ -2,19 +2,39 @@ import os from "os";
 import fs from "fs";
 import path from "path";
 import minimist from "minimist";
-import readlineSync from "readline-sync";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import {
-  installMacLinuxClient,
-  getVersionNumber,
-  compareClientVersions,
-  removeClient,
-  latestGethVer,
-  latestRethVer,
-  latestLighthouseVer,
+  useClientVersion,
+  rollbackClient,
+  migrateLegacyInstall,
+  getInstalledVersions,
+  pinClientChecksums,
+  exportReleaseBundle,
 } from "./ethereum_client_scripts/install.js";
+import { useReleaseBundle } from "./ethereum_client_scripts/releaseBundle.js";
+import { allowUnpinnedDownloads } from "./ethereum_client_scripts/verifyDownload.js";
+import { runUpdateCommand, recordVersionChange } from "./clientUpdater.js";
+import { runCheckpointCommand } from "./checkpointHealthCheck.js";
+import { runSlashingProtectionCommand } from "./ethereum_client_scripts/slashingProtection.js";
+import { runValidatorMigration } from "./ethereum_client_scripts/validatorMigration.js";
+import { runValidatorExitCommand } from "./ethereum_client_scripts/voluntaryExit.js";
 import { debugToFile } from "./helpers.js";
+import {
+  getClientAdapter,
+  getClientNames,
+  hasClientAdapter,
+} from "./clientRegistry.js";
+import {
+  CONFIG_FILE_NAME,
+  OPTION_SCHEMA,
+  validateOption,
+  validateCombination,
+  loadConfigFile,
+  getProfileOptions,
+  getEnvOptions,
+  runConfigCommand,
+} from "./configFile.js";
 
 debugToFile(
   `\n\n\n\n\n\n--------------------------------------------------------------------------`
@@ -23,39 +43,91 @@ debugToFile(
   `----------------------------  CLIENT STARTED  ----------------------------`
 );
 
-/// Set default command line option values
-let executionClient = "reth";
-let executionType = "full";
-let consensusClient = "lighthouse";
-let executionPeerPort = 30303;
-let consensusPeerPorts = [null, null];
-let consensusCheckpoint = null;
-let owner = null;
-let validatorEnabled = false;
-let feeRecipient = null;
-let graffiti = "BuidlGuidl";
-let validatorKeysDir = null;
-let mevBoostEnabled = false;
-
 const filename = fileURLToPath(import.meta.url);
-let installDir = dirname(filename);
+const scriptDir = dirname(filename);
+
+/// Default option values, overridden by the config file, BG_* environment
+/// variables and command line flags (in that order)
+const DEFAULT_OPTIONS = {
+  network: "mainnet",
+  executionClient: "reth",
+  executionType: "full",
+  consensusClient: "lighthouse",
+  executionPeerPort: 30303,
+  consensusPeerPorts: null, // Depends on the consensus client, see below
+  consensusCheckpoint: null,
+  checkpointProviders: null, // The public servers for the network
+  installDir: scriptDir,
+  owner: null,
+  validatorEnabled: false,
+  feeRecipient: null,
+  graffiti: "BuidlGuidl",
+  missedDutyThreshold: 2,
+  validatorKeysDir: null,
+  mevBoostEnabled: false,
+  headless: false,
+};
+
+let network;
+let executionClient;
+let executionType;
+let consensusClient;
+let executionPeerPort;
+let consensusPeerPorts;
+let consensusCheckpoint;
+let checkpointProviders;
+let owner;
+let validatorEnabled;
+let feeRecipient;
+let graffiti;
+let missedDutyThreshold;
+let validatorKeysDir;
+let mevBoostEnabled;
+let headless;
+let installDir;
+// { source, checksum } of --snapshot, see snapshotBootstrap.js
+let executionSnapshot = null;
+// --allow-missing-slashing-protection, see slashingProtection.js
+let allowMissingSlashingProtection = false;
 
-const optionsFilePath = join(installDir, "options.json");
+// Runtime copy of the resolved options of the instance that runs the
+// clients, read by dashboard viewers and "ctl". Not a configuration file.
+const optionsFilePath = join(scriptDir, "options.json");
+
+// "'a', 'b' or 'c'"
+function formatClientList(role) {
+  const names = getClientNames(role).map((name) => `'${name}'`);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}`
+    : names.join("");
+}
 
 function showHelp() {
   console.log("");
   console.log(
-    "  -e, --executionclient <client>            Specify the execution client ('reth' or 'geth')"
+    "  -n, --network <network>                   Specify the Ethereum network ('mainnet', 'sepolia', 'holesky' or 'hoodi')"
+  );
+  console.log("                                            Default: mainnet");
+  console.log(
+    "                                            Note: the BuidlGuidl RPC network and points system are mainnet only\n"
+  );
+  console.log(
+    `  -e, --executionclient <client>            Specify the execution client (${formatClientList(
+      "execution"
+    )})`
   );
   console.log("                                            Default: reth");
   console.log(
-    "                                            Note: geth is only supported on Ubuntu/Linux\n"
+    "                                            Note: geth is only supported on Ubuntu/Linux. besu requires Java 21+\n"
   );
   console.log(
-    "  -c, --consensusclient <client>            Specify the consensus client ('lighthouse' or 'prysm')"
+    `  -c, --consensusclient <client>            Specify the consensus client (${formatClientList(
+      "consensus"
+    )})`
   );
+  console.log("                                            Default: lighthouse");
   console.log(
-    "                                            Default: lighthouse\n"
+    "                                            Note: lodestar is only supported on Linux. teku requires Java 21+\n"
   );
   console.log(
     "       --archive                            Perform an archive sync for the execution client\n"
@@ -68,7 +140,7 @@ function showHelp() {
     "  -cp, --consensuspeerports <port>,<port>   Specify the consensus peer ports (must be two comma-separated numbers between 1 and 65535)"
   );
   console.log(
-    "                                            lighthouse defaults: 9000,9001. prysm defaults: 12000,13000\n"
+    "                                            prysm defaults: 12000,13000. Other clients: 9000,9001\n"
   );
   console.log(
     "  -cc, --consensuscheckpoint <url>          Specify a custom consensus checkpoint server URL"
@@ -77,7 +149,13 @@ function showHelp() {
     "                                            If not provided, the fastest and most current checkpoint server will be automatically"
   );
   console.log(
-    "                                            selected from 8 public servers (see: https://eth-clients.github.io/checkpoint-sync-endpoints)\n"
+    "                                            selected from the public servers for the chosen network (see: https://eth-clients.github.io/checkpoint-sync-endpoints)\n"
+  );
+  console.log(
+    "       --checkpoint-providers <url>,<url>   Choose the checkpoint server from these comma-separated URLs instead of the public servers"
+  );
+  console.log(
+    "                                            May include your own beacon node (e.g. http://192.168.1.10:5052)\n"
   );
   console.log(
     "  -d, --directory <path>                    Specify ethereum client executable, database, and logs directory"
@@ -106,6 +184,12 @@ function showHelp() {
   console.log(
     '                                            Default: "BuidlGuidl"\n'
   );
+  console.log(
+    "       --missed-duty-threshold <epochs>     Send a Telegram alert after this many missed or late attestations in a row"
+  );
+  console.log(
+    "                                            and for every missed block proposal. 0 turns the alerts off. Default: 2\n"
+  );
   console.log(
     "       --validator-keys-dir <path>          Specify a directory containing existing validator keystore files to import\n"
   );
@@ -113,38 +197,177 @@ function showHelp() {
     "       --mev-boost                          Enable MEV-boost for additional execution layer rewards (optional)\n"
   );
   console.log(
-    "      --update                              Update the execution and consensus clients to the latest version."
+    "       --headless                           Run without the terminal dashboard (for servers and service managers)"
+  );
+  console.log(
+    "                                            Status is written to ethereum_clients/node_status.json. Run index.js again to attach the dashboard\n"
   );
   console.log(
-    `                                            Latest versions: Reth: ${latestRethVer}, Geth: ${latestGethVer}, Lighthouse: ${latestLighthouseVer}, (Prysm is handled by its executable automatically)\n`
+    "       --config <path>                      Read options from a config file. Default: bgclient.config.json next to index.js"
+  );
+  console.log(
+    "       --profile <name>                     Use a named profile from the config file. Default: the file's defaultProfile"
+  );
+  console.log(
+    "                                            Precedence: config file < BG_* environment variables < command line flags\n"
+  );
+  console.log(
+    "      --update                              Update the execution and consensus clients to the latest version. Same as 'update'"
+  );
+  console.log(
+    `                                            Latest versions: ${[
+      ...getClientNames("execution"),
+      ...getClientNames("consensus"),
+    ]
+      .map(getClientAdapter)
+      .map((adapter) => `${adapter.label}: ${adapter.latestVersion}`)
+      .join(", ")}`
+  );
+  console.log(
+    "                                            The previous versions are kept for --rollback and --use-version\n"
+  );
+  console.log(
+    "      --rollback <client>                   Switch a client back to the previously installed version"
+  );
+  console.log(
+    "      --use-version <client>@<version>      Switch a client to a specific version, downloading it if needed\n"
+  );
+  console.log(
+    "      --bundle <dir|url>                    Install clients from a bundle made with 'bundle export' instead of downloading them"
+  );
+  console.log(
+    "                                            (a directory or the URL of an HTTP mirror of one). Works with --update and --use-version\n"
+  );
+  console.log(
+    "      --snapshot <file|url>                 Fill an empty execution client database from a snapshot archive (.tar, .tar.zst, .tar.gz,"
+  );
+  console.log(
+    "                                            .tar.xz or .tar.lz4 of the client's data directory) instead of syncing from scratch"
+  );
+  console.log(
+    "      --snapshot-sha256 <hash>              SHA256 of the snapshot archive. Default: read from <archive>.sha256\n"
+  );
+  console.log(
+    "      --allow-unpinned-downloads            Install client releases that have no pinned SHA256 hash in client_checksums.json."
+  );
+  console.log(
+    "                                            Signed releases must still pass their signature check\n"
+  );
+  console.log(
+    "      --allow-missing-slashing-protection   Start the validator even though keys imported with --validator-keys-dir have no"
+  );
+  console.log(
+    "                                            slashing protection history. Only for keys that have never signed anything\n"
   );
   console.log(
     "  -h, --help                                Display this help message and exit"
   );
   console.log("");
+  console.log("  Commands:");
+  console.log("");
+  console.log(
+    "  service install [options]                 Install a systemd (Linux) or launchd (macOS) service that runs the client headless"
+  );
+  console.log(
+    "                                            with the given options and restarts it on failure and at boot"
+  );
+  console.log(
+    "                                            Validators: set VALIDATOR_PASSWORD_FILE to a file containing the keystore password\n"
+  );
+  console.log(
+    "  service uninstall                         Stop and remove the service"
+  );
+  console.log(
+    "  service status                            Show whether the service is installed and running\n"
+  );
+  console.log(
+    "  ctl <command>                             Control the running instance: status, restart <client>, stop, reload-peers,"
+  );
+  console.log(
+    "                                            tail <client>, set-log-level <client> <level> (see 'node index.js ctl --help')\n"
+  );
+  console.log(
+    "  config show [--json]                      Show the resolved options and where each value came from"
+  );
+  console.log(
+    "  config validate                           Check the config file and every profile in it"
+  );
+  console.log(
+    "  config init [options]                     Save the given options as a profile (--profile <name>, --force to overwrite)\n"
+  );
+  console.log(
+    "  update [--yes | --check] [--restart]      Update the installed clients, asking for each one unless --yes is given"
+  );
+  console.log(
+    "                                            --check prints the installed and latest versions as JSON and changes nothing"
+  );
+  console.log(
+    "                                            Refuses to run while the client is running, unless --restart is given to restart"
+  );
+  console.log(
+    "                                            the updated clients. Changes are logged to ethereum_clients/update_history.jsonl\n"
+  );
+  console.log(
+    "  checksums pin [client ...]                Maintainers: download the current client releases and pin their SHA256 hashes"
+  );
+  console.log(
+    "                                            in client_checksums.json (all clients by default)\n"
+  );
+  console.log(
+    "  bundle export <dir> [client ...]          Download and verify the current client releases and the staking-deposit-cli into <dir>,"
+  );
+  console.log(
+    "                                            to install them with --bundle on a machine without internet access (all clients by default)"
+  );
+  console.log(
+    "                                            --platform <linux|darwin> and --arch <x64|arm64> select the target machine. Default: this one\n"
+  );
+  console.log(
+    "  checkpoint test [url ...] [--json]        Health check the checkpoint servers (or the given URLs) and print their ranking"
+  );
+  console.log(
+    "                                            --endpoints also tests every beacon API endpoint of each server\n"
+  );
+  console.log(
+    "  validator slashing-protection export <file>  Export the slashing protection history of the validator client (EIP-3076)"
+  );
+  console.log(
+    "  validator slashing-protection import <file>  Import a slashing protection history, e.g. when moving keys from another machine"
+  );
+  console.log(
+    "                                            Lighthouse and Prysm only. The client must not be running"
+  );
+  console.log(
+    "  validator migrate --to <client> [--yes]   Move the validator keys and their slashing protection history to the validator"
+  );
+  console.log(
+    "                                            client of another consensus client (lighthouse or prysm) and start the node with it"
+  );
+  console.log(
+    "  validator exit <pubkey|index>             Sign and submit a voluntary exit for one of your validators and follow it"
+  );
+  console.log(
+    "                                            through the exit queue. Needs the running node; lighthouse or prysm"
+  );
 }
 
-function isValidPath(p) {
-  try {
-    return fs.existsSync(p) && fs.statSync(p).isDirectory();
-  } catch (err) {
-    return false;
-  }
-}
-
-// Function to save options to a file
+// Save the resolved options of the running instance for viewers and ctl
 function saveOptionsToFile() {
   const options = {
+    network,
     executionClient,
+    executionType,
     consensusClient,
     executionPeerPort,
     consensusPeerPorts,
     consensusCheckpoint,
+    checkpointProviders,
     installDir,
     owner,
     validatorEnabled,
     feeRecipient,
     graffiti,
+    missedDutyThreshold,
     validatorKeysDir,
     mevBoostEnabled,
   };
@@ -154,74 +377,62 @@ function saveOptionsToFile() {
   });
 }
 
-// Function to load options from a file with basic schema validation
+// Load the options of the running instance, validated against the schema
 function loadOptionsFromFile() {
-  if (fs.existsSync(optionsFilePath)) {
-    const raw = fs.readFileSync(optionsFilePath, "utf8");
-    const options = JSON.parse(raw);
+  const raw = fs.readFileSync(optionsFilePath, "utf8");
+  const options = JSON.parse(raw);
 
-    // Validate types to prevent prototype pollution and unexpected values
-    if (typeof options !== "object" || options === null || Array.isArray(options)) {
-      throw new Error("Invalid options file: root must be an object");
-    }
-    if (options.__proto__ !== undefined || options.constructor !== undefined) {
-      throw new Error("Invalid options file: suspicious keys detected");
-    }
+  // Validate types to prevent prototype pollution and unexpected values
+  if (typeof options !== "object" || options === null || Array.isArray(options)) {
+    throw new Error("Invalid options file: root must be an object");
+  }
+  if (Object.hasOwn(options, "__proto__") || Object.hasOwn(options, "constructor")) {
+    throw new Error("Invalid options file: suspicious keys detected");
+  }
 
-    const stringFields = ["executionClient", "consensusClient", "consensusCheckpoint", "installDir", "owner", "feeRecipient", "graffiti", "validatorKeysDir"];
-    for (const field of stringFields) {
-      if (options[field] !== undefined && options[field] !== null && typeof options[field] !== "string") {
-        throw new Error(`Invalid options file: ${field} must be a string or null`);
+  for (const [key, value] of Object.entries(options)) {
+    // The install directory was validated when the instance started
+    if (key === "installDir") {
+      if (typeof value !== "string") {
+        throw new Error("Invalid options file: installDir must be a string");
       }
+      continue;
     }
-    const boolFields = ["validatorEnabled", "mevBoostEnabled"];
-    for (const field of boolFields) {
-      if (options[field] !== undefined && typeof options[field] !== "boolean") {
-        throw new Error(`Invalid options file: ${field} must be a boolean`);
-      }
-    }
-    if (options.executionPeerPort !== undefined && typeof options.executionPeerPort !== "number") {
-      throw new Error("Invalid options file: executionPeerPort must be a number");
-    }
-    if (options.consensusPeerPorts !== undefined && !Array.isArray(options.consensusPeerPorts)) {
-      throw new Error("Invalid options file: consensusPeerPorts must be an array");
+    const error = validateOption(key, value);
+    if (error) {
+      throw new Error(`Invalid options file: ${key} ${error}`);
     }
-
-    return options;
-  } else {
-    debugToFile(`loadOptionsFromFile(): Options file not found`);
   }
+
+  return options;
 }
 
-// Check if the options file already exists
-let optionsLoaded = false;
-if (fs.existsSync(optionsFilePath)) {
+/**
+ * Options of an instance that is currently running, or null. A leftover
+ * options.json from an instance that did not exit cleanly is ignored, so
+ * it can no longer mask the command line.
+ */
+function loadRunningInstanceOptions() {
+  if (!fs.existsSync(optionsFilePath)) {
+    debugToFile(`loadRunningInstanceOptions(): Options file not found`);
+    return null;
+  }
+
   try {
     const options = loadOptionsFromFile();
-    executionClient = options.executionClient;
-    consensusClient = options.consensusClient;
-    executionPeerPort = options.executionPeerPort;
-    consensusPeerPorts = options.consensusPeerPorts;
-    consensusCheckpoint = options.consensusCheckpoint;
-    installDir = options.installDir;
-    owner = options.owner;
-    validatorEnabled = options.validatorEnabled || false;
-    feeRecipient = options.feeRecipient || null;
-    graffiti = options.graffiti || "BuidlGuidl";
-    validatorKeysDir = options.validatorKeysDir || null;
-    mevBoostEnabled = options.mevBoostEnabled || false;
-    optionsLoaded = true;
-
-    // Check if loaded geth option is being used on macOS (not supported)
-    if (executionClient === "geth" && os.platform() === "darwin") {
-      console.log("");
-      console.log("❌ Error: Geth is currently not supported on macOS.");
-      console.log("🔄 Please use 'reth' as your execution client instead:");
-      console.log("");
-      process.exit(1);
-    }
+    const lockFilePath = join(
+      options.installDir,
+      "ethereum_clients",
+      "script.lock"
+    );
+    const pid = parseInt(fs.readFileSync(lockFilePath, "utf8"), 10);
+    process.kill(pid, 0);
+    return options;
   } catch (error) {
-    debugToFile(`Failed to load options from file: ${error}`);
+    debugToFile(
+      `loadRunningInstanceOptions(): Ignoring options file, no running instance (${error.message})`
+    );
+    return null;
   }
 }
 
@@ -235,6 +446,12 @@ function deleteOptionsFile() {
   }
 }
 
+function exitWithErrors(title, errors) {
+  console.log(`❌ ${title}`);
+  errors.forEach((error) => console.log(`   - ${error}`));
+  process.exit(1);
+}
+
 // Preprocess arguments to handle "-ep", "-cp", "-fr" as aliases
 const args = process.argv.slice(2).flatMap((arg) => {
   if (arg === "-ep") {
@@ -249,10 +466,93 @@ const args = process.argv.slice(2).flatMap((arg) => {
   return arg;
 });
 
-// If options were not loaded from the file, process command-line arguments
-if (!optionsLoaded) {
+// Subcommands come first and take positional arguments, e.g.
+// "node index.js service install --owner 0x..."
+const commands = [
+  "service",
+  "ctl",
+  "config",
+  "checksums",
+  "bundle",
+  "update",
+  "checkpoint",
+  "validator",
+];
+let command = null;
+const commandArgs = [];
+if (commands.includes(args[0])) {
+  command = args.shift();
+  if (command === "ctl") {
+    // ctl talks to a running instance and parses its own flags
+    commandArgs.push(...args.splice(0));
+  }
+  while (args.length > 0 && !args[0].startsWith("-")) {
+    commandArgs.push(args.shift());
+  }
+} else if (args.includes("--update")) {
+  // --update is the original spelling of the update command
+  args.splice(args.indexOf("--update"), 1);
+  command = "update";
+}
+
+function flagGiven(...names) {
+  return args.some((arg) => names.includes(arg));
+}
+
+// Version switches change the installed clients, even while a client is running
+const switchesVersion = args.some((arg) =>
+  /^--(rollback|use-version)(=|$)/.test(arg)
+);
+
+// Dashboard viewers and ctl attach to the running instance with its options
+const runningOptions =
+  (command === null && !switchesVersion) || command === "ctl"
+    ? loadRunningInstanceOptions()
+    : null;
+
+let optionSources = {};
+let configPath = null;
+let profileName = null;
+let activeProfile = null;
+let cliArgv = {};
+
+if (runningOptions) {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...runningOptions,
+    // Headless mode belongs to this process, not the running instance
+    headless: flagGiven("--headless"),
+  };
+  ({
+    network,
+    executionClient,
+    executionType,
+    consensusClient,
+    executionPeerPort,
+    consensusPeerPorts,
+    consensusCheckpoint,
+    checkpointProviders,
+    installDir,
+    owner,
+    validatorEnabled,
+    feeRecipient,
+    graffiti,
+    missedDutyThreshold,
+    validatorKeysDir,
+    mevBoostEnabled,
+    headless,
+  } = options);
+
+  if (command === null && args.some((arg) => arg !== "--headless")) {
+    console.log(
+      "ℹ️  A client is already running. Ignoring command line options and attaching to it."
+    );
+  }
+} else {
   const argv = minimist(args, {
     string: [
+      "n",
+      "network",
       "e",
       "executionclient",
       "c",
@@ -260,15 +560,28 @@ if (!optionsLoaded) {
       "executionpeerport",
       "consensuspeerports",
       "consensuscheckpoint",
+      "checkpoint-providers",
       "d",
       "directory",
       "o",
       "owner",
       "fee-recipient",
       "graffiti",
+      "missed-duty-threshold",
       "validator-keys-dir",
+      "config",
+      "profile",
+      "rollback",
+      "use-version",
+      "bundle",
+      "snapshot",
+      "snapshot-sha256",
+      "platform",
+      "arch",
+      "to",
     ],
     alias: {
+      n: "network",
       e: "executionclient",
       c: "consensusclient",
       d: "directory",
@@ -276,257 +589,449 @@ if (!optionsLoaded) {
       h: "help",
       v: "validator",
     },
-    boolean: ["h", "help", "update", "archive", "validator", "mev-boost"],
+    boolean: [
+      "h",
+      "help",
+      "archive",
+      "validator",
+      "mev-boost",
+      "headless",
+      "force",
+      "json",
+      "yes",
+      "check",
+      "restart",
+      "endpoints",
+      "allow-missing-slashing-protection",
+      "allow-unpinned-downloads",
+    ],
     unknown: (option) => {
       console.log(`Invalid option: ${option}`);
       showHelp();
       process.exit(1);
     },
   });
+  cliArgv = argv;
 
-  if (argv.executionclient) {
-    executionClient = argv.executionclient;
-    if (executionClient !== "reth" && executionClient !== "geth") {
-      console.log(
-        "Invalid option for --executionclient (-e). Use 'reth' or 'geth'."
-      );
-      process.exit(1);
-    }
-  }
-
-  // Check if geth is being used on macOS (not supported)
-  if (executionClient === "geth" && os.platform() === "darwin") {
-    console.log("");
-    console.log("❌ Error: Geth is currently not supported on macOS.");
-    console.log("🔄 Please use 'reth' as your execution client instead:");
-    console.log("");
-    process.exit(1);
+  if (argv.help) {
+    showHelp();
+    process.exit(0);
   }
 
-  if (argv.archive) {
-    executionType = "archive";
-  }
+  // Config file: --config, then BG_CONFIG, then bgclient.config.json next to index.js
+  const explicitConfig = argv.config || process.env.BG_CONFIG;
+  configPath = path.resolve(explicitConfig || join(scriptDir, CONFIG_FILE_NAME));
+  profileName = argv.profile || process.env.BG_PROFILE || null;
 
-  if (argv.consensusclient) {
-    consensusClient = argv.consensusclient;
-    if (consensusClient !== "lighthouse" && consensusClient !== "prysm") {
-      console.log(
-        "Invalid option for --consensusclient (-c). Use 'lighthouse' or 'prysm'."
-      );
+  let fileOptions = {};
+  let fileDefaults = {};
+  if (fs.existsSync(configPath) && !(command === "config" && commandArgs[0] === "init")) {
+    try {
+      const config = loadConfigFile(configPath);
+      const profile = getProfileOptions(config, profileName);
+      activeProfile = profile.name;
+      fileOptions = profile.options;
+      fileDefaults = config.defaults;
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
       process.exit(1);
     }
+  } else if (explicitConfig && !(command === "config" && commandArgs[0] === "init")) {
+    console.log(`❌ Config file not found: ${configPath}`);
+    process.exit(1);
+  } else if (profileName && command !== "config") {
+    console.log(
+      `❌ --profile ${profileName} was given but there is no config file at ${configPath}`
+    );
+    process.exit(1);
   }
 
-  if (argv.executionpeerport) {
-    executionPeerPort = parseInt(argv.executionpeerport, 10);
-    if (isNaN(executionPeerPort) || executionPeerPort < 1 || executionPeerPort > 65535) {
-      console.log(
-        "Invalid option for --executionpeerport (-ep). Must be a number between 1 and 65535."
-      );
-      process.exit(1);
-    }
+  const { options: envOptions, errors: envErrors } = getEnvOptions();
+  if (envErrors.length > 0) {
+    exitWithErrors("Invalid environment variables:", envErrors);
   }
 
-  if (argv.consensuspeerports) {
-    consensusPeerPorts = argv.consensuspeerports
+  // Options given as command line flags
+  const cliRaw = {};
+  if (argv.network !== undefined) cliRaw.network = argv.network;
+  if (argv.executionclient !== undefined) {
+    cliRaw.executionClient = argv.executionclient;
+  }
+  if (flagGiven("--archive")) cliRaw.executionType = "archive";
+  if (argv.consensusclient !== undefined) {
+    cliRaw.consensusClient = argv.consensusclient;
+  }
+  if (argv.executionpeerport !== undefined) {
+    cliRaw.executionPeerPort = parseInt(argv.executionpeerport, 10);
+  }
+  if (argv.consensuspeerports !== undefined) {
+    cliRaw.consensusPeerPorts = argv.consensuspeerports
       .split(",")
       .map((port) => parseInt(port.trim(), 10));
-
-    // Check if there are exactly two ports and if both are valid numbers in range
-    if (
-      consensusPeerPorts.length !== 2 ||
-      consensusPeerPorts.some(isNaN) ||
-      consensusPeerPorts.some((p) => p < 1 || p > 65535)
-    ) {
-      console.log(
-        "Invalid option for --consensuspeerports (-cp). Must be two comma-separated numbers between 1 and 65535 (e.g., 9000,9001)."
-      );
-      process.exit(1);
-    }
+  }
+  if (argv.consensuscheckpoint !== undefined) {
+    cliRaw.consensusCheckpoint = argv.consensuscheckpoint;
+  }
+  if (argv["checkpoint-providers"] !== undefined) {
+    cliRaw.checkpointProviders = OPTION_SCHEMA.checkpointProviders.parse(
+      argv["checkpoint-providers"]
+    );
+  }
+  if (argv.directory !== undefined) {
+    cliRaw.installDir = path.resolve(argv.directory);
+  }
+  if (argv.owner !== undefined) cliRaw.owner = argv.owner;
+  if (flagGiven("--validator", "-v", "--no-validator")) {
+    cliRaw.validatorEnabled = argv.validator;
+  }
+  if (argv["fee-recipient"] !== undefined) {
+    cliRaw.feeRecipient = argv["fee-recipient"];
+  }
+  if (argv.graffiti !== undefined) cliRaw.graffiti = argv.graffiti;
+  if (argv["missed-duty-threshold"] !== undefined) {
+    cliRaw.missedDutyThreshold = parseInt(argv["missed-duty-threshold"], 10);
+  }
+  if (argv["validator-keys-dir"] !== undefined) {
+    cliRaw.validatorKeysDir = path.resolve(argv["validator-keys-dir"]);
+  }
+  if (flagGiven("--mev-boost", "--no-mev-boost")) {
+    cliRaw.mevBoostEnabled = argv["mev-boost"];
+  }
+  if (flagGiven("--headless", "--no-headless")) {
+    cliRaw.headless = argv.headless;
   }
 
-  if (argv.consensuscheckpoint) {
-    consensusCheckpoint = argv.consensuscheckpoint;
+  const cliErrors = [];
+  for (const [key, value] of Object.entries(cliRaw)) {
+    const error = validateOption(key, value);
+    if (error) cliErrors.push(`${OPTION_SCHEMA[key].flag}: ${error}`);
+  }
+  if (cliErrors.length > 0) {
+    exitWithErrors("Invalid command line options:", cliErrors);
   }
 
-  if (argv.directory) {
-    installDir = path.resolve(argv.directory);
-    if (!isValidPath(installDir)) {
-      console.log(
-        `Invalid option for --directory (-d). '${installDir}' is not a valid path.`
-      );
-      process.exit(1);
-    }
-    // Prevent path traversal into system directories
-    const homeDir = os.homedir();
-    if (!installDir.startsWith(homeDir) && !installDir.startsWith("/opt") && !installDir.startsWith("/srv")) {
-      console.log(
-        `Invalid option for --directory (-d). Path must be within your home directory, /opt, or /srv.`
-      );
-      process.exit(1);
+  // Merge the layers and remember where each value came from
+  const options = {};
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    if (key in cliRaw) {
+      options[key] = cliRaw[key];
+      optionSources[key] = "cli";
+    } else if (key in envOptions) {
+      options[key] = envOptions[key];
+      optionSources[key] = `env ${OPTION_SCHEMA[key].env}`;
+    } else if (key in fileOptions) {
+      options[key] = fileOptions[key];
+      optionSources[key] =
+        key in fileDefaults && fileDefaults[key] === fileOptions[key]
+          ? "file (defaults)"
+          : `file (profile ${activeProfile})`;
+    } else {
+      options[key] = DEFAULT_OPTIONS[key];
+      optionSources[key] = "default";
     }
   }
 
-  if (argv.owner) {
-    owner = argv.owner;
+  if (
+    options.consensusPeerPorts === null &&
+    hasClientAdapter(options.consensusClient)
+  ) {
+    options.consensusPeerPorts = getClientAdapter(
+      options.consensusClient
+    ).defaultPeerPorts;
   }
 
-  if (argv.validator) {
-    validatorEnabled = true;
+  // "config" commands report problems themselves
+  const combinationErrors = validateCombination(options);
+  if (combinationErrors.length > 0 && command !== "config") {
+    exitWithErrors("Invalid configuration:", combinationErrors);
   }
 
-  if (argv["fee-recipient"]) {
-    feeRecipient = argv["fee-recipient"];
-    // Validate ETH address format
-    if (!/^0x[0-9a-fA-F]{40}$/.test(feeRecipient)) {
-      console.log(
-        "Invalid option for --fee-recipient (-fr). Must be a valid Ethereum address (0x followed by 40 hex characters)."
-      );
-      process.exit(1);
-    }
-  }
+  ({
+    network,
+    executionClient,
+    executionType,
+    consensusClient,
+    executionPeerPort,
+    consensusPeerPorts,
+    consensusCheckpoint,
+    checkpointProviders,
+    installDir,
+    owner,
+    validatorEnabled,
+    feeRecipient,
+    graffiti,
+    missedDutyThreshold,
+    validatorKeysDir,
+    mevBoostEnabled,
+    headless,
+  } = options);
 
-  if (argv.graffiti) {
-    graffiti = argv.graffiti;
-    if (graffiti.length > 32) {
-      console.log(
-        "Invalid option for --graffiti. Must be 32 characters or fewer."
-      );
-      process.exit(1);
-    }
-    // Restrict graffiti to safe characters (alphanumeric, spaces, basic punctuation)
-    if (!/^[a-zA-Z0-9 _\-.:!@#]+$/.test(graffiti)) {
-      console.log(
-        "Invalid option for --graffiti. Only alphanumeric characters, spaces, and basic punctuation (_-.:!@#) are allowed."
-      );
-      process.exit(1);
-    }
-  }
+  debugToFile(
+    `Options resolved (config: ${configPath}, profile: ${
+      activeProfile || "none"
+    })`
+  );
+}
 
-  if (argv["validator-keys-dir"]) {
-    validatorKeysDir = path.resolve(argv["validator-keys-dir"]);
-    if (!isValidPath(validatorKeysDir)) {
-      console.log(
-        `Invalid option for --validator-keys-dir. '${validatorKeysDir}' is not a valid path.`
-      );
-      process.exit(1);
-    }
-    // Prevent path traversal into system directories
-    const homeDir2 = os.homedir();
-    if (!validatorKeysDir.startsWith(homeDir2) && !validatorKeysDir.startsWith("/opt") && !validatorKeysDir.startsWith("/srv")) {
-      console.log(
-        `Invalid option for --validator-keys-dir. Path must be within your home directory, /opt, or /srv.`
-      );
-      process.exit(1);
-    }
+if (!runningOptions && cliArgv.bundle) {
+  const bundleLocation = /^https?:\/\//.test(cliArgv.bundle)
+    ? cliArgv.bundle
+    : path.resolve(cliArgv.bundle);
+  try {
+    useReleaseBundle(bundleLocation);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
   }
+}
+
+if (!runningOptions && cliArgv["allow-unpinned-downloads"]) {
+  allowUnpinnedDownloads();
+}
 
-  if (argv["mev-boost"]) {
-    mevBoostEnabled = true;
+if (!runningOptions && cliArgv.snapshot) {
+  const checksum = cliArgv["snapshot-sha256"] || null;
+  if (checksum && !/^[0-9a-fA-F]{64}$/.test(checksum)) {
+    console.log("❌ --snapshot-sha256 must be a SHA256 hash (64 hex characters)");
+    process.exit(1);
   }
+  executionSnapshot = {
+    source: /^https?:\/\//.test(cliArgv.snapshot)
+      ? cliArgv.snapshot
+      : path.resolve(cliArgv.snapshot),
+    checksum,
+  };
+}
 
-  // Validate that --fee-recipient is provided when --validator is enabled
-  if (validatorEnabled && !feeRecipient) {
-    console.log(
-      "❌ Error: --fee-recipient (-fr) is required when --validator (-v) is enabled."
-    );
-    console.log(
-      "   Please provide an Ethereum address to receive execution layer rewards."
-    );
+if (!runningOptions) {
+  allowMissingSlashingProtection = Boolean(
+    cliArgv["allow-missing-slashing-protection"]
+  );
+}
+
+if (command === "update") {
+  await runUpdateCommand({
+    installDir,
+    running: loadRunningInstanceOptions() !== null,
+    check: cliArgv.check,
+    yes: cliArgv.yes,
+    restart: cliArgv.restart,
+  });
+}
+
+if (!runningOptions && (cliArgv.rollback || cliArgv["use-version"])) {
+  const [client, version] = cliArgv.rollback
+    ? [cliArgv.rollback, null]
+    : cliArgv["use-version"].split("@");
+
+  if (!hasClientAdapter(client) || (!cliArgv.rollback && !version)) {
     console.log(
-      "   Example: node index.js --validator --fee-recipient 0xYourAddress"
+      cliArgv.rollback
+        ? `❌ Unknown client '${client}'`
+        : "❌ --use-version expects <client>@<version>, e.g. reth@1.9.3"
     );
     process.exit(1);
   }
 
-  if (argv.update) {
-    // Get list of installed clients from directory
-    const clientsDir = join(installDir, "ethereum_clients");
-    const clients = fs.existsSync(clientsDir)
-      ? fs
-          .readdirSync(clientsDir)
-          .filter((dir) => fs.statSync(join(clientsDir, dir)).isDirectory())
-      : [];
-
-    for (const client of clients) {
-      if (client !== "prysm" && client !== "jwt") {
-        const installedVersion = getVersionNumber(client);
-
-        // Skip if no version number found
-        if (!installedVersion) {
-          console.log(
-            `⚠️  Could not determine version for ${client}, skipping update check.`
-          );
-          continue;
-        }
-
-        const [isLatest, latestVersion] = compareClientVersions(
+  try {
+    if (cliArgv.rollback) {
+      const { from, to } = rollbackClient(client);
+      recordVersionChange(installDir, {
+        action: "rollback",
+        client,
+        from,
+        to,
+        ok: true,
+      });
+      console.log(`⏪ Rolled back ${client} from ${from} to ${to}`);
+    } else {
+      migrateLegacyInstall(client);
+      const previous = useClientVersion(client, version, os.platform());
+      if (previous !== version) {
+        recordVersionChange(installDir, {
+          action: "use-version",
           client,
-          installedVersion
-        );
-        if (isLatest) {
-          console.log(
-            `\n✅ The currently installed ${client} version (${installedVersion}) is the latest available.`
-          );
-        } else {
-          console.log(
-            `\n❓ An updated version of ${client} is available. ${installedVersion} is currently installed. Would you like to update to ${latestVersion}? (y/yes)`
-          );
-
-          const answer = readlineSync.question("");
-          if (answer.toLowerCase() === "y" || answer.toLowerCase() === "yes") {
-            console.log(`Removing old version of ${client}`);
-            removeClient(client);
-
-            const platform = os.platform();
-            if (["darwin", "linux"].includes(platform)) {
-              installMacLinuxClient(client, platform);
-            }
-            console.log("");
-            console.log(`👍 Updated ${client} to ${latestVersion}`);
-          } else {
-            console.log("Update cancelled.");
-          }
-        }
+          from: previous,
+          to: version,
+          ok: true,
+        });
       }
+      console.log(
+        previous === version
+          ? `✅ ${client} ${version} is already the active version.`
+          : `👍 Switched ${client} to ${version}`
+      );
     }
-    process.exit(0);
+  } catch (error) {
+    recordVersionChange(installDir, {
+      action: cliArgv.rollback ? "rollback" : "use-version",
+      client,
+      to: version,
+      ok: false,
+      error: error.message,
+    });
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
   }
 
-  if (argv.help) {
-    showHelp();
-    process.exit(0);
+  const { versions } = getInstalledVersions(client);
+  console.log(`   Installed versions: ${versions.join(", ")}`);
+  if (loadRunningInstanceOptions()) {
+    console.log(
+      `   Run 'node index.js ctl restart ${client}' to restart the running client on it.`
+    );
   }
+  process.exit(0);
+}
 
-  if (
-    consensusPeerPorts.every((port) => port === null) &&
-    consensusClient === "lighthouse"
-  ) {
-    consensusPeerPorts = [9000, 9001];
+const resolvedOptions = {
+  network,
+  executionClient,
+  executionType,
+  consensusClient,
+  executionPeerPort,
+  consensusPeerPorts,
+  consensusCheckpoint,
+  checkpointProviders,
+  installDir,
+  owner,
+  validatorEnabled,
+  feeRecipient,
+  graffiti,
+  missedDutyThreshold,
+  validatorKeysDir,
+  mevBoostEnabled,
+  headless,
+};
+
+if (command === "config") {
+  runConfigCommand(commandArgs[0], {
+    configPath,
+    profileName,
+    activeProfile,
+    defaults: { ...DEFAULT_OPTIONS, consensusPeerPorts },
+    options: resolvedOptions,
+    sources: optionSources,
+    force: cliArgv.force,
+    json: cliArgv.json,
+  });
+  process.exit(0);
+}
+
+if (command === "service") {
+  const { runServiceCommand } = await import("./serviceManager.js");
+  runServiceCommand(commandArgs[0], {
+    ...resolvedOptions,
+    validatorPasswordFile: process.env.VALIDATOR_PASSWORD_FILE
+      ? path.resolve(process.env.VALIDATOR_PASSWORD_FILE)
+      : null,
+  });
+  process.exit(0);
+}
+
+if (command === "checksums") {
+  if (commandArgs[0] !== "pin") {
+    console.log("Usage: node index.js checksums pin [client ...]");
+    process.exit(1);
   }
+  try {
+    pinClientChecksums(commandArgs.slice(1));
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
 
-  if (
-    consensusPeerPorts.every((port) => port === null) &&
-    consensusClient === "prysm"
-  ) {
-    consensusPeerPorts = [12000, 13000];
+if (command === "bundle") {
+  if (commandArgs[0] !== "export" || !commandArgs[1]) {
+    console.log(
+      "Usage: node index.js bundle export <dir> [client ...] [--platform <linux|darwin>] [--arch <x64|arm64>]"
+    );
+    process.exit(1);
+  }
+  const platform = cliArgv.platform || os.platform();
+  const arch = cliArgv.arch || os.arch();
+  if (!["linux", "darwin"].includes(platform) || !["x64", "arm64"].includes(arch)) {
+    console.log(`❌ Cannot export a bundle for ${platform}/${arch}`);
+    process.exit(1);
   }
+  try {
+    exportReleaseBundle(path.resolve(commandArgs[1]), commandArgs.slice(2), {
+      platform,
+      arch,
+    });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (command === "checkpoint") {
+  await runCheckpointCommand(commandArgs[0], {
+    urls: commandArgs.slice(1),
+    network,
+    providers: checkpointProviders,
+    installDir,
+    endpoints: cliArgv.endpoints,
+    json: cliArgv.json,
+  });
+}
+
+if (command === "validator" && commandArgs[0] === "migrate") {
+  await runValidatorMigration(
+    { ...resolvedOptions, ...loadRunningInstanceOptions() },
+    { to: cliArgv.to, yes: cliArgv.yes }
+  );
+} else if (command === "validator" && commandArgs[0] === "exit") {
+  await runValidatorExitCommand(commandArgs[1], {
+    ...resolvedOptions,
+    ...loadRunningInstanceOptions(),
+  });
+} else if (command === "validator") {
+  if (commandArgs[0] !== "slashing-protection") {
+    console.log(
+      "Usage: node index.js validator slashing-protection <export|import> <file>"
+    );
+    console.log("       node index.js validator migrate --to <lighthouse|prysm>");
+    console.log("       node index.js validator exit <pubkey|index>");
+    process.exit(1);
+  }
+  runSlashingProtectionCommand(commandArgs[1], {
+    file: commandArgs[2] ? path.resolve(commandArgs[2]) : null,
+    installDir,
+    consensusClient,
+    network,
+    running: loadRunningInstanceOptions() !== null,
+  });
+}
+
+if (command === "ctl") {
+  const { runCtlCommand } = await import("./controlSocket.js");
+  await runCtlCommand(installDir, commandArgs);
 }
 
 export {
+  network,
   executionClient,
   executionType,
   consensusClient,
   executionPeerPort,
   consensusPeerPorts,
   consensusCheckpoint,
+  checkpointProviders,
   installDir,
   owner,
   validatorEnabled,
   feeRecipient,
   graffiti,
+  missedDutyThreshold,
   validatorKeysDir,
   mevBoostEnabled,
+  headless,
+  executionSnapshot,
+  allowMissingSlashingProtection,
   saveOptionsToFile,
   deleteOptionsFile,
 };
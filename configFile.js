@@ -0,0 +1,572 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getClientAdapter,
+  getClientNames,
+  hasClientAdapter,
+} from "./clientRegistry.js";
+
+/**
+ * configFile.js
+ *
+ * Schema, loading and validation for the persistent configuration file
+ * (bgclient.config.json by default). The file holds named profiles:
+ *
+ *   {
+ *     "defaultProfile": "mainnet-validator",
+ *     "defaults": { "owner": "0x..." },
+ *     "profiles": {
+ *       "mainnet-validator": { "validatorEnabled": true, "feeRecipient": "0x..." },
+ *       "sepolia-rpc": { "network": "sepolia" }
+ *     }
+ *   }
+ *
+ * Option values are resolved in this order, later sources winning:
+ * built-in defaults < config file ("defaults", then the profile) <
+ * environment variables < command line flags.
+ */
+
+export const CONFIG_FILE_NAME = "bgclient.config.json";
+
+export const SUPPORTED_NETWORKS = ["mainnet", "sepolia", "holesky", "hoodi"];
+export const EXECUTION_CLIENTS = getClientNames("execution");
+export const CONSENSUS_CLIENTS = getClientNames("consensus");
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const GRAFFITI_PATTERN = /^[a-zA-Z0-9 _\-.:!@#]+$/;
+
+function oneOf(values) {
+  return (value) =>
+    values.includes(value)
+      ? null
+      : `must be one of ${values.map((v) => `'${v}'`).join(", ")}`;
+}
+
+function isPort(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+// Client data and keys must not end up in system directories
+function allowedDirectory(value) {
+  if (!fs.existsSync(value) || !fs.statSync(value).isDirectory()) {
+    return `'${value}' is not an existing directory`;
+  }
+  if (
+    !value.startsWith(os.homedir()) &&
+    !value.startsWith("/opt") &&
+    !value.startsWith("/srv")
+  ) {
+    return "must be within your home directory, /opt, or /srv";
+  }
+  return null;
+}
+
+function parseBoolean(value) {
+  if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+  if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+  return value;
+}
+
+function parsePorts(value) {
+  return value.split(",").map((port) => parseInt(port.trim(), 10));
+}
+
+function parseUrls(value) {
+  return value
+    .split(",")
+    .map((url) => url.trim().replace(/\/+$/, ""))
+    .filter((url) => url !== "");
+}
+
+/**
+ * Every option that can be set in the config file, the environment or on
+ * the command line. `parse` converts a string from the environment or the
+ * command line; `validate` returns an error message or null.
+ */
+export const OPTION_SCHEMA = {
+  network: {
+    flag: "--network (-n)",
+    env: "BG_NETWORK",
+    type: "string",
+    validate: oneOf(SUPPORTED_NETWORKS),
+  },
+  executionClient: {
+    flag: "--executionclient (-e)",
+    env: "BG_EXECUTION_CLIENT",
+    type: "string",
+    validate: oneOf(EXECUTION_CLIENTS),
+  },
+  executionType: {
+    flag: "--archive",
+    env: "BG_EXECUTION_TYPE",
+    type: "string",
+    validate: oneOf(["full", "archive"]),
+  },
+  consensusClient: {
+    flag: "--consensusclient (-c)",
+    env: "BG_CONSENSUS_CLIENT",
+    type: "string",
+    validate: oneOf(CONSENSUS_CLIENTS),
+  },
+  executionPeerPort: {
+    flag: "--executionpeerport (-ep)",
+    env: "BG_EXECUTION_PEER_PORT",
+    type: "number",
+    parse: (value) => parseInt(value, 10),
+    validate: (value) =>
+      isPort(value) ? null : "must be a number between 1 and 65535",
+  },
+  consensusPeerPorts: {
+    flag: "--consensuspeerports (-cp)",
+    env: "BG_CONSENSUS_PEER_PORTS",
+    type: "array",
+    parse: parsePorts,
+    validate: (value) =>
+      value.length === 2 && value.every(isPort)
+        ? null
+        : "must be two ports between 1 and 65535 (e.g. 9000,9001)",
+  },
+  consensusCheckpoint: {
+    flag: "--consensuscheckpoint (-cc)",
+    env: "BG_CONSENSUS_CHECKPOINT",
+    type: "string",
+    nullable: true,
+    validate: (value) =>
+      /^https?:\/\//.test(value) ? null : "must be an http(s) URL",
+  },
+  checkpointProviders: {
+    flag: "--checkpoint-providers",
+    env: "BG_CHECKPOINT_PROVIDERS",
+    type: "array",
+    nullable: true,
+    parse: parseUrls,
+    validate: (value) =>
+      value.length > 0 && value.every((url) => /^https?:\/\/[^\s,]+$/.test(url))
+        ? null
+        : "must be a list of http(s) URLs",
+  },
+  installDir: {
+    flag: "--directory (-d)",
+    env: "BG_DIRECTORY",
+    type: "string",
+    path: true,
+    validate: allowedDirectory,
+  },
+  owner: {
+    flag: "--owner (-o)",
+    env: "BG_OWNER",
+    type: "string",
+    nullable: true,
+  },
+  validatorEnabled: {
+    flag: "--validator (-v)",
+    env: "BG_VALIDATOR",
+    type: "boolean",
+    parse: parseBoolean,
+  },
+  feeRecipient: {
+    flag: "--fee-recipient (-fr)",
+    env: "BG_FEE_RECIPIENT",
+    type: "string",
+    nullable: true,
+    validate: (value) =>
+      ADDRESS_PATTERN.test(value)
+        ? null
+        : "must be a valid Ethereum address (0x followed by 40 hex characters)",
+  },
+  graffiti: {
+    flag: "--graffiti",
+    env: "BG_GRAFFITI",
+    type: "string",
+    validate: (value) => {
+      if (value.length > 32) return "must be 32 characters or fewer";
+      if (!GRAFFITI_PATTERN.test(value)) {
+        return "may only contain alphanumeric characters, spaces, and _-.:!@#";
+      }
+      return null;
+    },
+  },
+  missedDutyThreshold: {
+    flag: "--missed-duty-threshold",
+    env: "BG_MISSED_DUTY_THRESHOLD",
+    type: "number",
+    parse: (value) => parseInt(value, 10),
+    validate: (value) =>
+      Number.isInteger(value) && value >= 0
+        ? null
+        : "must be a whole number of epochs (0 turns the alerts off)",
+  },
+  validatorKeysDir: {
+    flag: "--validator-keys-dir",
+    env: "BG_VALIDATOR_KEYS_DIR",
+    type: "string",
+    nullable: true,
+    path: true,
+    validate: allowedDirectory,
+  },
+  mevBoostEnabled: {
+    flag: "--mev-boost",
+    env: "BG_MEV_BOOST",
+    type: "boolean",
+    parse: parseBoolean,
+  },
+  headless: {
+    flag: "--headless",
+    env: "BG_HEADLESS",
+    type: "boolean",
+    parse: parseBoolean,
+  },
+};
+
+/**
+ * Check a single option value. Returns an error message or null.
+ */
+export function validateOption(key, value) {
+  const schema = OPTION_SCHEMA[key];
+  if (!schema) {
+    return `unknown option (valid options: ${Object.keys(OPTION_SCHEMA).join(
+      ", "
+    )})`;
+  }
+  if (value === null) {
+    return schema.nullable ? null : "must not be null";
+  }
+
+  const actualType = Array.isArray(value) ? "array" : typeof value;
+  if (actualType !== schema.type) {
+    return `must be a ${schema.type} (got ${JSON.stringify(value)})`;
+  }
+
+  return schema.validate ? schema.validate(value) : null;
+}
+
+/**
+ * Check an object of options. Returns a list of error messages, each
+ * prefixed with `label(key)`.
+ */
+export function validateOptions(options, label = (key) => key) {
+  const errors = [];
+  for (const [key, value] of Object.entries(options)) {
+    const error = validateOption(key, value);
+    if (error) {
+      errors.push(`${label(key)}: ${error}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checks that involve more than one option, run on the final options.
+ */
+export function validateCombination(options) {
+  const errors = [];
+  if (options.validatorEnabled && !options.feeRecipient) {
+    errors.push(
+      "feeRecipient (--fee-recipient) is required when the validator is enabled"
+    );
+  }
+  for (const name of [options.executionClient, options.consensusClient]) {
+    if (!hasClientAdapter(name)) continue;
+    const adapter = getClientAdapter(name);
+    if (!adapter.platforms.includes(os.platform())) {
+      errors.push(
+        `${adapter.label} is currently not supported on ${
+          os.platform() === "darwin" ? "macOS" : os.platform()
+        }. Use another ${adapter.role} client instead`
+      );
+    }
+  }
+  return errors;
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Make relative paths in a config file relative to the file itself.
+ */
+function resolvePaths(options, baseDir) {
+  const resolved = { ...options };
+  for (const [key, value] of Object.entries(resolved)) {
+    if (
+      OPTION_SCHEMA[key] &&
+      OPTION_SCHEMA[key].path &&
+      typeof value === "string"
+    ) {
+      resolved[key] = path.resolve(baseDir, value);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Read and validate a config file. Throws with every problem found, so all
+ * of them can be fixed in one go.
+ */
+export function loadConfigFile(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${configPath}: ${error.message}`);
+  }
+
+  const baseDir = path.dirname(configPath);
+  if (isObject(config) && isObject(config.defaults)) {
+    config.defaults = resolvePaths(config.defaults, baseDir);
+  }
+  if (isObject(config) && isObject(config.profiles)) {
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      if (isObject(profile)) {
+        config.profiles[name] = resolvePaths(profile, baseDir);
+      }
+    }
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid config file ${configPath}:\n${errors
+        .map((e) => `  - ${e}`)
+        .join("\n")}`
+    );
+  }
+
+  return {
+    defaultProfile: config.defaultProfile || null,
+    defaults: config.defaults || {},
+    profiles: config.profiles || {},
+  };
+}
+
+/**
+ * Validate a parsed config file (with paths already resolved).
+ * Returns a list of error messages.
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!isObject(config)) {
+    return ["the file must contain a JSON object"];
+  }
+
+  const allowedKeys = ["defaultProfile", "defaults", "profiles"];
+  for (const key of Object.keys(config)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${key}: unknown key (allowed: ${allowedKeys.join(", ")})`);
+    }
+  }
+
+  if (config.defaults !== undefined) {
+    if (!isObject(config.defaults)) {
+      errors.push("defaults: must be an object");
+    } else {
+      errors.push(
+        ...validateOptions(config.defaults, (key) => `defaults.${key}`)
+      );
+    }
+  }
+
+  if (config.profiles !== undefined) {
+    if (!isObject(config.profiles)) {
+      errors.push("profiles: must be an object");
+    } else {
+      for (const [name, profile] of Object.entries(config.profiles)) {
+        if (!isObject(profile)) {
+          errors.push(`profiles.${name}: must be an object`);
+          continue;
+        }
+        errors.push(
+          ...validateOptions(profile, (key) => `profiles.${name}.${key}`)
+        );
+      }
+    }
+  }
+
+  if (config.defaultProfile !== undefined) {
+    if (typeof config.defaultProfile !== "string") {
+      errors.push("defaultProfile: must be a string");
+    } else if (
+      !isObject(config.profiles) ||
+      !(config.defaultProfile in config.profiles)
+    ) {
+      errors.push(
+        `defaultProfile: profile '${config.defaultProfile}' is not defined in profiles`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Options from the config file for a profile (or the default profile).
+ * Throws if a profile was requested that does not exist.
+ */
+export function getProfileOptions(config, profileName) {
+  const name = profileName || config.defaultProfile;
+  if (!name) {
+    return { name: null, options: { ...config.defaults } };
+  }
+  if (!config.profiles[name]) {
+    const available = Object.keys(config.profiles);
+    throw new Error(
+      `Profile '${name}' not found in the config file. Available profiles: ${
+        available.length > 0 ? available.join(", ") : "(none)"
+      }`
+    );
+  }
+  return { name, options: { ...config.defaults, ...config.profiles[name] } };
+}
+
+/**
+ * Options set through BG_* environment variables.
+ * Returns { options, errors }.
+ */
+export function getEnvOptions(env = process.env) {
+  const options = {};
+  const errors = [];
+
+  for (const [key, schema] of Object.entries(OPTION_SCHEMA)) {
+    const raw = env[schema.env];
+    if (raw === undefined || raw === "") continue;
+
+    let value = schema.parse ? schema.parse(raw) : raw;
+    if (schema.path) value = path.resolve(value);
+
+    const error = validateOption(key, value);
+    if (error) {
+      errors.push(`${schema.env}: ${error}`);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { options, errors };
+}
+
+function printErrors(errors) {
+  errors.forEach((error) => console.log(`   - ${error}`));
+}
+
+/**
+ * Entry point for `node index.js config <show|validate|init>`.
+ *
+ * @param {string} action
+ * @param {object} context
+ * @param {string} context.configPath - Config file in use (may not exist)
+ * @param {string|null} context.profileName - Profile selected with --profile / BG_PROFILE
+ * @param {object} context.defaults - Built-in option defaults
+ * @param {object} context.options - Fully resolved options
+ * @param {object} context.sources - Where each resolved option came from
+ * @param {boolean} context.force - Overwrite an existing profile on init
+ * @param {boolean} context.json - Print machine readable output
+ */
+export function runConfigCommand(action, context) {
+  const { configPath, profileName, defaults, options, sources } = context;
+
+  if (action === "show") {
+    if (context.json) {
+      console.log(JSON.stringify(options, null, 2));
+      return;
+    }
+    console.log(
+      `Config file: ${configPath}${
+        fs.existsSync(configPath) ? "" : " (not found)"
+      }`
+    );
+    console.log(`Profile:     ${context.activeProfile || "(none)"}\n`);
+    const width = Math.max(...Object.keys(options).map((key) => key.length));
+    for (const [key, value] of Object.entries(options)) {
+      console.log(
+        `  ${key.padEnd(width)}  ${JSON.stringify(value)}  (${sources[key]})`
+      );
+    }
+    console.log("\nPrecedence: default < file < env < cli");
+  } else if (action === "validate") {
+    if (!fs.existsSync(configPath)) {
+      console.log(`❌ No config file found at ${configPath}`);
+      console.log("   Create one with 'node index.js config init'.");
+      process.exit(1);
+    }
+
+    let config;
+    try {
+      config = loadConfigFile(configPath);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    // Each profile must also make sense as a whole
+    let valid = true;
+    const names = Object.keys(config.profiles);
+    for (const name of names) {
+      const errors = validateCombination({
+        ...defaults,
+        ...getProfileOptions(config, name).options,
+      });
+      if (errors.length > 0) {
+        valid = false;
+        console.log(`❌ Profile '${name}':`);
+        printErrors(errors);
+      }
+    }
+
+    if (!valid) process.exit(1);
+    console.log(
+      `✅ ${configPath} is valid (${names.length} profile(s)${
+        config.defaultProfile ? `, default: ${config.defaultProfile}` : ""
+      })`
+    );
+  } else if (action === "init") {
+    const name = profileName || "default";
+    let config = { defaultProfile: name, profiles: {} };
+
+    if (fs.existsSync(configPath)) {
+      try {
+        config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+      } catch (error) {
+        console.log(`❌ Could not read ${configPath}: ${error.message}`);
+        process.exit(1);
+      }
+      config.profiles = config.profiles || {};
+      if (config.profiles[name] && !context.force) {
+        console.log(
+          `❌ Profile '${name}' already exists in ${configPath}. Use --force to overwrite it.`
+        );
+        process.exit(1);
+      }
+    }
+
+    // Only save what was given on the command line or in the environment,
+    // so built-in defaults (e.g. the consensus peer ports of a client) are
+    // not pinned in the profile
+    const profile = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (
+        key !== "headless" &&
+        (sources[key] === "cli" || sources[key].startsWith("env "))
+      ) {
+        profile[key] = value;
+      }
+    }
+    config.profiles[name] = profile;
+    if (!config.defaultProfile) {
+      config.defaultProfile = name;
+    }
+
+    fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`, {
+      mode: 0o600,
+    });
+    console.log(`✅ Saved profile '${name}' to ${configPath}`);
+    console.log(`   Start it with 'node index.js --profile ${name}'.`);
+  } else {
+    console.log(
+      "Usage: node index.js config <show|validate|init> [--config <path>] [--profile <name>] [options]"
+    );
+    process.exit(1);
+  }
+}
@@ -0,0 +1,355 @@
+import fs from "fs";
+import net from "net";
+import path from "path";
+import minimist from "minimist";
+import { debugToFile } from "./helpers.js";
+import { formatNodeStatus } from "./nodeStatus.js";
+
+/**
+ * controlSocket.js
+ *
+ * Unix domain socket owned by the instance that runs the clients, plus the
+ * `node index.js ctl <command>` client that talks to it.
+ *
+ * Protocol: the client writes one JSON request per connection,
+ * {"command": "...", "args": [...]}, terminated by a newline. The server
+ * answers with newline separated JSON messages:
+ *
+ * - {"ok": true, "result": ...} or {"ok": false, "error": "..."}, after
+ *   which the connection is closed
+ * - {"line": "..."} for streaming commands (tail), until the client
+ *   disconnects
+ */
+
+export const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+
+const CTL_USAGE = `Usage: node index.js ctl <command>
+
+  status                               Show client, sync and restart status (--json for raw output)
+  restart <client>                     Restart one client without stopping the others
+  stop                                 Shut down all clients and the primary instance
+  reload-peers                         Fetch the BuidlGuidl peer list and add it to the execution client
+  tail <client> [--lines <n>]          Print the last lines of a client log and follow it (Ctrl+C to stop)
+  set-log-level <client> <level>       Restart a client with a new log level (${LOG_LEVELS.join(
+    ", "
+  )})
+
+  <client> is execution, consensus, validator, mev-boost or a client name (e.g. reth, lighthouse)`;
+
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+let server = null;
+let socketPath = null;
+
+/**
+ * Get the path of the control socket for an install directory. It lives in
+ * a directory only the owner can enter, see startControlServer().
+ */
+export function getControlSocketPath(installDir) {
+  return path.join(installDir, "ethereum_clients", "control", "control.sock");
+}
+
+/**
+ * Start the control server.
+ *
+ * Each handler receives the request arguments and a connection object
+ * ({ send(message), onClose(fn) }). Returning a value answers the request
+ * and closes the connection; returning undefined leaves the connection
+ * open for the handler to stream messages on.
+ *
+ * @param {string} installDir
+ * @param {Object<string, Function>} handlers - Keyed by command name
+ */
+export function startControlServer(installDir, handlers) {
+  socketPath = getControlSocketPath(installDir);
+
+  // Anyone who can connect can stop the node. The socket file gets the
+  // permissions of the umask when it is created, so restrict the directory
+  // it is created in before listening
+  const socketDir = path.dirname(socketPath);
+  fs.mkdirSync(socketDir, { recursive: true, mode: 0o700 });
+  fs.chmodSync(socketDir, 0o700);
+
+  // Only the primary instance gets here, so any existing socket is stale.
+  // Older versions created it directly in ethereum_clients
+  try {
+    fs.rmSync(socketPath, { force: true });
+    fs.rmSync(path.join(installDir, "ethereum_clients", "control.sock"), {
+      force: true,
+    });
+  } catch (error) {
+    debugToFile(`startControlServer(): ${error}`);
+  }
+
+  server = net.createServer((socket) => {
+    let buffer = "";
+    let handled = false;
+    const closeHandlers = [];
+
+    const connection = {
+      send: (message) => {
+        if (!socket.destroyed) {
+          socket.write(`${JSON.stringify(message)}\n`);
+        }
+      },
+      onClose: (fn) => closeHandlers.push(fn),
+    };
+
+    socket.on("close", () => closeHandlers.forEach((fn) => fn()));
+    socket.on("error", (error) => {
+      debugToFile(`Control socket connection error: ${error.message}`);
+    });
+
+    socket.on("data", async (chunk) => {
+      if (handled) return;
+      buffer += chunk.toString();
+      const newline = buffer.indexOf("\n");
+      if (newline === -1) return;
+      handled = true;
+
+      let request;
+      try {
+        request = JSON.parse(buffer.slice(0, newline));
+      } catch (error) {
+        socket.end(
+          `${JSON.stringify({ ok: false, error: "Invalid request" })}\n`
+        );
+        return;
+      }
+
+      const handler = handlers[request.command];
+      if (!handler) {
+        socket.end(
+          `${JSON.stringify({
+            ok: false,
+            error: `Unknown command '${request.command}'`,
+          })}\n`
+        );
+        return;
+      }
+
+      debugToFile(
+        `Control socket: ${request.command} ${(request.args || []).join(" ")}`
+      );
+
+      try {
+        const result = await handler(request.args || [], connection);
+        if (result !== undefined) {
+          socket.end(`${JSON.stringify({ ok: true, result })}\n`);
+        }
+      } catch (error) {
+        socket.end(`${JSON.stringify({ ok: false, error: error.message })}\n`);
+      }
+    });
+  });
+
+  server.on("error", (error) => {
+    debugToFile(`Control socket error: ${error.message}`);
+  });
+
+  server.listen(socketPath, () => {
+    debugToFile(`Control socket listening on ${socketPath}`);
+  });
+}
+
+/**
+ * Close the control server and remove the socket file.
+ */
+export function stopControlServer() {
+  if (server) {
+    server.close();
+    server = null;
+  }
+  if (socketPath) {
+    try {
+      fs.rmSync(socketPath, { force: true });
+    } catch (error) {
+      debugToFile(`stopControlServer(): ${error}`);
+    }
+  }
+}
+
+/**
+ * The last `lines` lines of a file and its size. Reads backwards from the
+ * end in chunks, as client logs can be gigabytes.
+ */
+function readLastLines(filePath, lines) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    let start = size;
+    let buffer = Buffer.alloc(0);
+    let found = [];
+
+    while (start > 0 && found.length <= lines) {
+      const length = Math.min(TAIL_CHUNK_SIZE, start);
+      start -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, start);
+      buffer = Buffer.concat([chunk, buffer]);
+      // The first line may be cut off. Reading on until more than `lines`
+      // lines are found leaves it out of the result
+      found = buffer
+        .toString()
+        .split("\n")
+        .filter((line) => line.length > 0);
+    }
+
+    return { lines: found.slice(-lines), size };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Send the last `lines` lines of a file, then every line appended to it,
+ * until the returned stop function is called.
+ */
+export function followFile(filePath, lines, onLine) {
+  const tail = readLastLines(filePath, lines);
+  tail.lines.forEach(onLine);
+
+  let position = tail.size;
+  let partial = "";
+
+  const interval = setInterval(() => {
+    try {
+      const size = fs.statSync(filePath).size;
+      if (size < position) {
+        position = 0; // Truncated
+      }
+      if (size === position) return;
+
+      const fd = fs.openSync(filePath, "r");
+      const chunk = Buffer.alloc(size - position);
+      fs.readSync(fd, chunk, 0, chunk.length, position);
+      fs.closeSync(fd);
+      position = size;
+
+      const text = partial + chunk.toString();
+      const newLines = text.split("\n");
+      partial = newLines.pop();
+      newLines.filter((line) => line.length > 0).forEach(onLine);
+    } catch (error) {
+      debugToFile(`followFile(): ${error}`);
+    }
+  }, 1000);
+
+  return () => clearInterval(interval);
+}
+
+/**
+ * Send a request to the control socket. Resolves with the result, or calls
+ * onLine for every streamed line until the connection closes.
+ */
+export function sendRequest(installDir, command, args, onLine = null) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(getControlSocketPath(installDir));
+    let buffer = "";
+    let settled = false;
+
+    socket.on("connect", () => {
+      socket.write(`${JSON.stringify({ command, args })}\n`);
+    });
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const message = JSON.parse(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+
+        if (message.line !== undefined && onLine) {
+          onLine(message.line);
+        } else if (message.ok) {
+          settled = true;
+          resolve(message.result);
+        } else {
+          settled = true;
+          reject(new Error(message.error));
+        }
+      }
+    });
+
+    socket.on("error", (error) => {
+      settled = true;
+      reject(error);
+    });
+
+    socket.on("close", () => {
+      if (!settled) resolve(null);
+    });
+  });
+}
+
+/**
+ * Entry point for `node index.js ctl <command> [...]`.
+ */
+export async function runCtlCommand(installDir, rawArgs) {
+  const argv = minimist(rawArgs, {
+    string: ["lines"],
+    boolean: ["json", "help"],
+  });
+  const [command, ...args] = argv._.map(String);
+
+  if (!command || argv.help) {
+    console.log(CTL_USAGE);
+    process.exit(command || argv.help ? 0 : 1);
+  }
+
+  try {
+    if (command === "status") {
+      const status = await sendRequest(installDir, "status", []);
+      if (argv.json) {
+        console.log(JSON.stringify(status, null, 2));
+      } else {
+        formatNodeStatus(status).forEach((line) => console.log(line));
+      }
+    } else if (command === "restart") {
+      if (!args[0]) throw new Error("Usage: ctl restart <client>");
+      const name = await sendRequest(installDir, "restart", [args[0]]);
+      console.log(`🔄 Restarting ${name}`);
+    } else if (command === "stop") {
+      await sendRequest(installDir, "stop", []);
+      console.log("🛑 Shutting down the clients");
+    } else if (command === "reload-peers") {
+      const count = await sendRequest(installDir, "reload-peers", []);
+      console.log(
+        `✅ Sent ${count} BuidlGuidl peer(s) to the execution client`
+      );
+    } else if (command === "tail") {
+      if (!args[0]) throw new Error("Usage: ctl tail <client> [--lines <n>]");
+      const lines = parseInt(argv.lines || "50", 10);
+      process.on("SIGINT", () => process.exit(0));
+      await sendRequest(installDir, "tail", [args[0], lines], (line) =>
+        console.log(line)
+      );
+    } else if (command === "set-log-level") {
+      if (!args[0] || !args[1]) {
+        throw new Error("Usage: ctl set-log-level <client> <level>");
+      }
+      const name = await sendRequest(installDir, "set-log-level", [
+        args[0],
+        args[1],
+      ]);
+      console.log(`🔄 Restarting ${name} with log level '${args[1]}'`);
+    } else {
+      console.log(`Unknown ctl command '${command}'\n`);
+      console.log(CTL_USAGE);
+      process.exit(1);
+    }
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ECONNREFUSED") {
+      console.log(
+        `❌ No running BuidlGuidl Client found (no control socket at ${getControlSocketPath(
+          installDir
+        )}).`
+      );
+    } else {
+      console.log(`❌ ${error.message}`);
+    }
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
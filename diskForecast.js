@@ -0,0 +1,294 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import readlineSync from "readline-sync";
+import { debugToFile } from "./helpers.js";
+import { getClientAdapter } from "./clientRegistry.js";
+import { getDiskSpace } from "./getSystemStats.js";
+import { sendTelegramAlert } from "./telegramAlert.js";
+
+/**
+ * diskForecast.js
+ *
+ * Before the clients start, the free space on the drive of the install
+ * directory is compared with the expected database size of the selected
+ * clients (diskFootprint in their adapters), minus what their databases
+ * already use.
+ *
+ * While they run, the size of the databases is sampled every hour into
+ * ethereum_clients/disk_forecast.json. The growth over the last few days
+ * gives the number of days until the drive is full, which is shown on the
+ * dashboard and in the node status, and sent as a Telegram alert when it
+ * drops below each of ALERT_DAYS.
+ */
+
+const GB = 1024 * 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Extra space on top of the footprints for logs and growth after the sync
+const FOOTPRINT_MARGIN = 1.1;
+
+const SAMPLE_INTERVAL = 60 * 60 * 1000;
+const FORECAST_WINDOW = 3 * DAY;
+const MIN_FORECAST_SPAN = 6 * 60 * 60 * 1000;
+const MAX_SAMPLE_AGE = 14 * DAY;
+const DU_TIMEOUT = 10 * 60 * 1000;
+
+// Days until full at which an alert is sent, once each
+const ALERT_DAYS = [30, 14, 7, 3, 1];
+
+export const DISK_FORECAST_WARN_DAYS = ALERT_DAYS[0];
+
+const execFileAsync = promisify(execFile);
+
+let forecastInterval = null;
+let latestForecast = null;
+
+export function getDiskForecastPath(installDir) {
+  return path.join(installDir, "ethereum_clients", "disk_forecast.json");
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * GB
+    ? `${(bytes / (1024 * GB)).toFixed(1)} TB`
+    : `${(bytes / GB).toFixed(1)} GB`;
+}
+
+/**
+ * "~23 days", "~5 hours" or "<1 hour" until the disk is full.
+ */
+export function formatTimeUntilFull(days) {
+  if (days >= 1) return `~${Math.round(days)} day${days < 1.5 ? "" : "s"}`;
+  const hours = Math.round(days * 24);
+  return hours >= 1 ? `~${hours} hour${hours === 1 ? "" : "s"}` : "<1 hour";
+}
+
+function getDatabaseDir(installDir, clientName) {
+  return path.join(installDir, "ethereum_clients", clientName, "database");
+}
+
+/**
+ * Size in bytes of a directory, 0 if it does not exist.
+ */
+async function getDirectorySize(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  const { stdout } = await execFileAsync("du", ["-sk", dir], {
+    timeout: DU_TIMEOUT,
+  });
+  return parseInt(stdout.split(/\s/)[0], 10) * 1024;
+}
+
+async function getDatabaseSize(installDir, clientNames) {
+  const sizes = await Promise.all(
+    clientNames.map((name) =>
+      getDirectorySize(getDatabaseDir(installDir, name))
+    )
+  );
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+/**
+ * Expected database size in bytes of a client, or null if its adapter has
+ * no estimate for the network.
+ */
+function getFootprint(clientName, network, executionType) {
+  const footprint = (getClientAdapter(clientName).diskFootprint || {})[network];
+  if (footprint === undefined) return null;
+  return (
+    (typeof footprint === "number" ? footprint : footprint[executionType]) * GB
+  );
+}
+
+/**
+ * Compare the free disk space with the expected size of the client
+ * databases. Asks whether to start anyway if it is not enough, or only
+ * warns (and alerts) when `interactive` is false.
+ */
+export async function checkDiskSpace(
+  installDir,
+  { executionClient, consensusClient, executionType, network, interactive }
+) {
+  const clients = [executionClient, consensusClient].filter(
+    (name) => getFootprint(name, network, executionType) !== null
+  );
+  const diskSpace = await getDiskSpace(installDir);
+  if (!diskSpace || clients.length === 0) {
+    debugToFile("checkDiskSpace(): No disk space or footprint, skipping");
+    return;
+  }
+
+  const footprint =
+    clients.reduce(
+      (total, name) => total + getFootprint(name, network, executionType),
+      0
+    ) * FOOTPRINT_MARGIN;
+  const description = `${executionClient} (${executionType}) and ${consensusClient} on ${network}`;
+
+  // Only measure the databases if the free space alone is not enough
+  let required = footprint;
+  if (diskSpace.available < footprint) {
+    try {
+      required -= await getDatabaseSize(installDir, clients);
+    } catch (error) {
+      debugToFile(`checkDiskSpace(): ${error}`);
+    }
+  }
+
+  if (diskSpace.available >= required) {
+    console.log(
+      `💾 ${formatSize(
+        diskSpace.available
+      )} free, ${description} need about ${formatSize(footprint)}.`
+    );
+    return;
+  }
+
+  console.log(`\n⚠️  Not enough disk space for ${description}:`);
+  console.log(
+    `   About ${formatSize(required)} more needed, ${formatSize(
+      diskSpace.available
+    )} free on the drive of ${installDir}.`
+  );
+  console.log(
+    `   The clients stop working once the disk is full. Free up space${
+      executionType === "archive" ? ", run a full node" : ""
+    } or use a larger drive.`
+  );
+
+  if (!interactive) {
+    sendTelegramAlert(
+      "warning",
+      `🟡 ${os.hostname()} started with ${formatSize(
+        diskSpace.available
+      )} free disk space, about ${formatSize(required)} is needed.`
+    ).catch((error) => debugToFile(`checkDiskSpace(): ${error}`));
+    return;
+  }
+
+  console.log("❓ Start the clients anyway? (y/yes)");
+  const answer = readlineSync.question("").toLowerCase();
+  if (answer !== "y" && answer !== "yes") {
+    process.exit(1);
+  }
+}
+
+/**
+ * Read the samples and the last forecast. Returns null if the file does
+ * not exist or cannot be parsed.
+ */
+export function readDiskForecast(installDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getDiskForecastPath(installDir), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Database growth per day over FORECAST_WINDOW, or null with too few
+ * samples.
+ */
+function getGrowthPerDay(samples) {
+  const last = samples[samples.length - 1];
+  const first = samples.find(
+    (sample) => last.time - sample.time <= FORECAST_WINDOW
+  );
+  if (!first || last.time - first.time < MIN_FORECAST_SPAN) return null;
+  return (
+    ((last.databaseBytes - first.databaseBytes) / (last.time - first.time)) *
+    DAY
+  );
+}
+
+/**
+ * Alert when the forecast drops below the next of ALERT_DAYS. Returns the
+ * lowest of ALERT_DAYS alerted for, which is reset once the forecast is
+ * back above all of them.
+ */
+function alertDiskForecast(forecast, previousAlertDays) {
+  const alertDays = ALERT_DAYS.filter(
+    (days) => forecast.daysUntilFull !== null && forecast.daysUntilFull <= days
+  ).pop();
+  if (alertDays === undefined) return null;
+
+  if (previousAlertDays === null || alertDays < previousAlertDays) {
+    const icon = alertDays <= 3 ? "🔴" : "🟡";
+    const message = `${icon} The disk of ${os.hostname()} will be full in ${formatTimeUntilFull(
+      forecast.daysUntilFull
+    )}: ${formatSize(
+      forecast.available
+    )} free, the databases grow by ${formatSize(
+      forecast.bytesPerDay
+    )} per day.`;
+    sendTelegramAlert("warning", message).catch((error) =>
+      debugToFile(`alertDiskForecast(): ${error}`)
+    );
+    return alertDays;
+  }
+  return previousAlertDays;
+}
+
+async function sampleDiskUsage(installDir, clientNames) {
+  const diskSpace = await getDiskSpace(installDir);
+  if (!diskSpace) return;
+  const databaseBytes = await getDatabaseSize(installDir, clientNames);
+
+  const previous = readDiskForecast(installDir) || {};
+  const now = Date.now();
+  const samples = (previous.samples || [])
+    .filter((sample) => now - sample.time <= MAX_SAMPLE_AGE)
+    .concat({ time: now, databaseBytes, available: diskSpace.available });
+
+  const bytesPerDay = getGrowthPerDay(samples);
+  const forecast = {
+    updatedAt: now,
+    databaseBytes,
+    available: diskSpace.available,
+    bytesPerDay,
+    daysUntilFull: bytesPerDay > 0 ? diskSpace.available / bytesPerDay : null,
+  };
+  const alertedDays = alertDiskForecast(forecast, previous.alertedDays || null);
+
+  latestForecast = forecast;
+  const forecastPath = getDiskForecastPath(installDir);
+  fs.writeFileSync(
+    `${forecastPath}.tmp`,
+    JSON.stringify({ samples, forecast, alertedDays }, null, 2)
+  );
+  fs.renameSync(`${forecastPath}.tmp`, forecastPath);
+}
+
+/**
+ * Start sampling the database size of the given clients every
+ * `intervalMs` and updating the forecast.
+ */
+export function startDiskForecast(
+  installDir,
+  clientNames,
+  intervalMs = SAMPLE_INTERVAL
+) {
+  const sample = () =>
+    sampleDiskUsage(installDir, clientNames).catch((error) =>
+      debugToFile(`startDiskForecast(): ${error}`)
+    );
+
+  stopDiskForecast();
+  forecastInterval = setInterval(sample, intervalMs);
+  sample();
+}
+
+export function stopDiskForecast() {
+  if (forecastInterval) {
+    clearInterval(forecastInterval);
+    forecastInterval = null;
+  }
+}
+
+/**
+ * Last forecast of this instance, see sampleDiskUsage().
+ */
+export function getDiskForecast() {
+  return latestForecast;
+}
@@ -1,236 +1,603 @@
 import fs from "fs";
 import path from "path";
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
 import os from "os";
 import { installDir } from "../commandLineOptions.js";
 import { debugToFile } from "./../helpers.js";
+import {
+  getClientAdapter,
+  getClientCommand,
+  getClientNames,
+  getClientVersionDir,
+  ACTIVE_VERSION_LINK,
+} from "../clientRegistry.js";
+import {
+  verifyClientDownload,
+  verifySignature,
+  sha256File,
+  loadChecksumManifest,
+  saveChecksumManifest,
+  CHECKSUM_MANIFEST_PATH,
+  getSigningKeyUrl,
+} from "./verifyDownload.js";
+import {
+  fetchReleaseFile,
+  getReleaseBundle,
+  getBundledDownloads,
+  BUNDLE_MANIFEST_FILE,
+  BUNDLE_CHECKSUMS_FILE,
+} from "./releaseBundle.js";
+import { getDepositCliDownload } from "./keyManager.js";
 
-export const latestGethVer = "1.16.7";
-export const latestRethVer = "1.9.3";
-export const latestLighthouseVer = "8.0.1";
-export const latestMevBoostVer = "1.8.1";
+// Releases kept next to the active one, so a bad update can be rolled back
+// without downloading anything
+const PREVIOUS_VERSIONS_TO_KEEP = 2;
 
-export function installMacLinuxClient(clientName, platform) {
-  const arch = os.arch();
-
-  const gethHash = {
-    "1.14.3": "ab48ba42",
-    "1.14.12": "293a300d",
-    "1.15.10": "2bf8a789",
-    "1.15.11": "36b2371c",
-    "1.16.3": "d818a9af",
-    "1.16.5": "737ffd1b",
-    "1.16.7": "b9f3a3d9",
-  };
+// Entries of ethereum_clients/<client> that are not part of a release
+const CLIENT_DATA_ENTRIES = [
+  "database",
+  "logs",
+  "versions",
+  ACTIVE_VERSION_LINK,
+];
 
-  const configs = {
-    darwin: {
-      x64: {
-        geth: `geth-darwin-amd64-${latestGethVer}-${gethHash[latestGethVer]}`,
-        reth: `reth-v${latestRethVer}-x86_64-apple-darwin`,
-        lighthouse: `lighthouse-v${latestLighthouseVer}-aarch64-apple-darwin`,
-        prysm: "prysm.sh",
-        "mev-boost": `mev-boost_${latestMevBoostVer}_darwin_amd64`,
-      },
-      arm64: {
-        geth: `geth-darwin-arm64-${latestGethVer}-${gethHash[latestGethVer]}`,
-        reth: `reth-v${latestRethVer}-aarch64-apple-darwin`,
-        lighthouse: `lighthouse-v${latestLighthouseVer}-aarch64-apple-darwin`,
-        prysm: "prysm.sh",
-        "mev-boost": `mev-boost_${latestMevBoostVer}_darwin_arm64`,
-      },
-    },
-    linux: {
-      x64: {
-        geth: `geth-linux-amd64-${latestGethVer}-${gethHash[latestGethVer]}`,
-        reth: `reth-v${latestRethVer}-x86_64-unknown-linux-gnu`,
-        lighthouse: `lighthouse-v${latestLighthouseVer}-x86_64-unknown-linux-gnu`,
-        prysm: "prysm.sh",
-        "mev-boost": `mev-boost_${latestMevBoostVer}_linux_amd64`,
-      },
-      arm64: {
-        geth: `geth-linux-arm64-${latestGethVer}-${gethHash[latestGethVer]}`,
-        reth: `reth-v${latestRethVer}-aarch64-unknown-linux-gnu`,
-        lighthouse: `lighthouse-v${latestLighthouseVer}-aarch64-unknown-linux-gnu`,
-        prysm: "prysm.sh",
-        "mev-boost": `mev-boost_${latestMevBoostVer}_linux_arm64`,
-      },
-    },
-  };
-
-  const fileName = configs[platform][arch][clientName];
-  const clientDir = path.join(installDir, "ethereum_clients", clientName);
+function getClientDir(clientName) {
+  return path.join(installDir, "ethereum_clients", clientName);
+}
 
-  // Determine the expected binary/script name
-  let clientBinName;
-  if (clientName === "prysm") {
-    clientBinName = "prysm.sh";
-  } else if (clientName === "mev-boost") {
-    clientBinName = "mev-boost";
-  } else {
-    clientBinName = clientName;
-  }
+export function installMacLinuxClient(clientName, platform) {
+  const adapter = getClientAdapter(clientName);
+  const clientDir = getClientDir(clientName);
+  const clientScript = getClientCommand(installDir, clientName);
 
-  const clientScript = path.join(clientDir, clientBinName);
+  migrateLegacyInstall(clientName);
 
   if (!fs.existsSync(clientScript)) {
     console.log(`\nInstalling ${clientName}.`);
     if (!fs.existsSync(clientDir)) {
       console.log(`Creating '${clientDir}'`);
-      fs.mkdirSync(`${clientDir}/database`, { recursive: true });
-      fs.mkdirSync(`${clientDir}/logs`, { recursive: true });
     }
+    fs.mkdirSync(`${clientDir}/database`, { recursive: true });
+    fs.mkdirSync(`${clientDir}/logs`, { recursive: true });
+
+    installClientVersion(clientName, platform, adapter.latestVersion);
+    activateClientVersion(clientName, adapter.latestVersion);
+  } else {
+    console.log(`${clientName} is already installed.`);
+  }
+}
+
+/**
+ * Download a release of a client into its versions/<version> directory,
+ * unless it is already there. The release is unpacked in a staging
+ * directory first, so an interrupted install is never mistaken for a
+ * complete one.
+ */
+function installClientVersion(clientName, platform, version) {
+  const adapter = getClientAdapter(clientName);
+  const versionDir = getClientVersionDir(installDir, clientName, version);
+  if (fs.existsSync(versionDir)) return;
+
+  const stagingDir = path.join(path.dirname(versionDir), `.${version}.partial`);
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  try {
+    downloadClientRelease(adapter, platform, version, stagingDir);
+  } catch (error) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    throw error;
+  }
+  fs.renameSync(stagingDir, versionDir);
+}
+
+function downloadClientRelease(adapter, platform, version, stagingDir) {
+  const downloads = getReleaseBundle()
+    ? getBundledDownloads(adapter.name, version)
+    : getClientDownloads(adapter, version, platform, os.arch());
+
+  console.log(`Downloading ${adapter.label} ${version}.`);
+  downloads.forEach((download) =>
+    unpackClientDownload(adapter, version, download, stagingDir)
+  );
+
+  fs.chmodSync(path.join(stagingDir, adapter.executable), 0o755);
+  if (adapter.validator && adapter.validator.executable) {
+    fs.chmodSync(path.join(stagingDir, adapter.validator.executable), 0o755);
+  }
+}
+
+/**
+ * Install specs of a client release for a platform. getDownload() returns
+ * one spec, or an array of them for clients that ship several files.
+ */
+function getClientDownloads(adapter, version, platform, arch) {
+  return [].concat(
+    adapter.getDownload({
+      version,
+      platform,
+      arch,
+      findReleaseAsset: getReleaseAsset,
+    })
+  );
+}
+
+// { url, fileName, extractTo, move: { from, to }, remove: [paths] }
+function unpackClientDownload(adapter, version, download, stagingDir) {
+  const isArchive = /\.(tar\.gz|zip)$/.test(download.fileName);
+
+  fetchReleaseFile(download.url, path.join(stagingDir, download.fileName));
+  verifyClientDownload(
+    adapter,
+    version,
+    download,
+    path.join(stagingDir, download.fileName)
+  );
+
+  if (isArchive) {
+    const extractTo = download.extractTo || ".";
+    console.log(`Uncompressing ${adapter.label}.`);
+    fs.mkdirSync(path.join(stagingDir, extractTo), { recursive: true });
+    execSync(
+      download.fileName.endsWith(".zip")
+        ? `cd "${stagingDir}" && unzip -q -o "${download.fileName}" -d "${extractTo}"`
+        : `cd "${stagingDir}" && tar -xzf "${download.fileName}" -C "${extractTo}"`,
+      { stdio: "inherit" }
+    );
+  }
+
+  if (download.move) {
+    execSync(
+      `cd "${stagingDir}" && mv "${download.move.from}" "${download.move.to}"`,
+      { stdio: "inherit" }
+    );
+  }
+  (download.remove || []).forEach((target) => {
+    fs.rmSync(path.join(stagingDir, target), { recursive: true, force: true });
+  });
 
-    const downloadUrls = {
-      geth: `https://gethstore.blob.core.windows.net/builds/${fileName}.tar.gz`,
-      reth: `https://github.com/paradigmxyz/reth/releases/download/v${latestRethVer}/${fileName}.tar.gz`,
-      lighthouse: `https://github.com/sigp/lighthouse/releases/download/v${latestLighthouseVer}/${fileName}.tar.gz`,
-      prysm:
-        "https://raw.githubusercontent.com/prysmaticlabs/prysm/master/prysm.sh",
-      "mev-boost": `https://github.com/flashbots/mev-boost/releases/download/v${latestMevBoostVer}/${fileName}.tar.gz`,
-    };
-
-    if (clientName === "prysm") {
-      console.log("Downloading Prysm.");
-      execSync(
-        `cd "${clientDir}" && curl -L -O -# ${downloadUrls.prysm} && chmod +x prysm.sh`,
-        { stdio: "inherit" }
+  if (isArchive) {
+    console.log(`Cleaning up ${adapter.name} download.`);
+    fs.rmSync(path.join(stagingDir, download.fileName), { force: true });
+  }
+}
+
+/**
+ * Point the "current" symlink of a client at an installed version. The
+ * link is replaced atomically, so a starting client never sees it missing.
+ */
+function activateClientVersion(clientName, version) {
+  const clientDir = getClientDir(clientName);
+  const linkPath = path.join(clientDir, ACTIVE_VERSION_LINK);
+  const tmpLinkPath = `${linkPath}.tmp`;
+
+  fs.rmSync(tmpLinkPath, { force: true });
+  fs.symlinkSync(path.join("versions", version), tmpLinkPath);
+  fs.renameSync(tmpLinkPath, linkPath);
+  debugToFile(`activateClientVersion(): ${clientName} ${version}`);
+}
+
+/**
+ * Move a client installed before releases were versioned (release files
+ * directly in ethereum_clients/<client>) into versions/<version>, so it can
+ * be rolled back to after the next update.
+ */
+export function migrateLegacyInstall(clientName) {
+  const adapter = getClientAdapter(clientName);
+  const clientDir = getClientDir(clientName);
+  const legacyCommand = path.join(clientDir, adapter.executable);
+
+  if (
+    fs.existsSync(path.join(clientDir, ACTIVE_VERSION_LINK)) ||
+    !fs.existsSync(legacyCommand)
+  ) {
+    return;
+  }
+
+  const version = readClientVersion(adapter, legacyCommand) || "legacy";
+  const versionDir = getClientVersionDir(installDir, clientName, version);
+  fs.mkdirSync(versionDir, { recursive: true });
+  fs.readdirSync(clientDir)
+    .filter((entry) => !CLIENT_DATA_ENTRIES.includes(entry))
+    .forEach((entry) => {
+      fs.renameSync(path.join(clientDir, entry), path.join(versionDir, entry));
+    });
+
+  activateClientVersion(clientName, version);
+  console.log(`Moved the installed ${clientName} to ${versionDir}`);
+}
+
+/**
+ * Installed versions of a client, newest first, and the active one.
+ */
+export function getInstalledVersions(clientName) {
+  const clientDir = getClientDir(clientName);
+  const versionsDir = path.join(clientDir, "versions");
+  const versions = fs.existsSync(versionsDir)
+    ? fs
+        .readdirSync(versionsDir)
+        .filter((entry) => !entry.startsWith("."))
+        .sort((v1, v2) => compareVersions(v2, v1))
+    : [];
+
+  let active = null;
+  try {
+    active = path.basename(
+      fs.readlinkSync(path.join(clientDir, ACTIVE_VERSION_LINK))
+    );
+  } catch (error) {
+    // Not installed yet
+  }
+
+  return { active, versions };
+}
+
+/**
+ * Remove the oldest releases of a client, keeping the active one and the
+ * PREVIOUS_VERSIONS_TO_KEEP newest others.
+ */
+function pruneClientVersions(clientName) {
+  const { active, versions } = getInstalledVersions(clientName);
+  versions
+    .filter((version) => version !== active)
+    .slice(PREVIOUS_VERSIONS_TO_KEEP)
+    .forEach((version) => {
+      console.log(`Removing ${clientName} ${version}`);
+      fs.rmSync(getClientVersionDir(installDir, clientName, version), {
+        recursive: true,
+        force: true,
+      });
+    });
+}
+
+/**
+ * Make a version of a client the active one, downloading it first if it is
+ * not installed. The new release must print its version before it is
+ * activated; if it does not, it is removed and the active version is kept.
+ * Returns the previously active version.
+ */
+export function useClientVersion(clientName, version, platform) {
+  const adapter = getClientAdapter(clientName);
+  const { active } = getInstalledVersions(clientName);
+  if (version === active) {
+    return active;
+  }
+
+  installClientVersion(clientName, platform, version);
+
+  const versionDir = getClientVersionDir(installDir, clientName, version);
+  if (!readClientVersion(adapter, path.join(versionDir, adapter.executable))) {
+    const versionCommand = [adapter.executable, ...adapter.versionArgs];
+    fs.rmSync(versionDir, { recursive: true, force: true });
+    throw new Error(
+      `${adapter.label} ${version} failed to run '${versionCommand.join(" ")}'`
+    );
+  }
+
+  activateClientVersion(clientName, version);
+  pruneClientVersions(clientName);
+  return active;
+}
+
+/**
+ * Switch a client back to the newest installed version older than the
+ * active one. Returns { from, to }.
+ */
+export function rollbackClient(clientName) {
+  migrateLegacyInstall(clientName);
+  const { active, versions } = getInstalledVersions(clientName);
+  if (!active) {
+    throw new Error(`${clientName} is not installed`);
+  }
+
+  // Releases laid out for an older adapter (e.g. Prysm before it was
+  // pinned) cannot be started by the current one
+  const executable = getClientAdapter(clientName).executable;
+  const previous = versions.find(
+    (version) =>
+      compareVersions(version, active) < 0 &&
+      fs.existsSync(
+        path.join(
+          getClientVersionDir(installDir, clientName, version),
+          executable
+        )
+      )
+  );
+  if (!previous) {
+    throw new Error(
+      `No version of ${clientName} older than ${active} is installed`
+    );
+  }
+
+  activateClientVersion(clientName, previous);
+  return { from: active, to: previous };
+}
+
+/**
+ * Look up a GitHub release asset by name prefix and suffix, for projects
+ * whose asset names contain a commit hash. Returns { name, url }.
+ */
+function getReleaseAsset(repo, tag, prefix, suffix) {
+  const release = JSON.parse(
+    execSync(
+      `curl -sL https://api.github.com/repos/${repo}/releases/tags/${tag}`,
+      {
+        encoding: "utf-8",
+      }
+    )
+  );
+  const asset = (release.assets || []).find(
+    (asset) => asset.name.startsWith(prefix) && asset.name.endsWith(suffix)
+  );
+
+  if (!asset) {
+    throw new Error(`No ${prefix}*${suffix} download found in ${repo} ${tag}`);
+  }
+  return { name: asset.name, url: asset.browser_download_url };
+}
+
+/**
+ * Download the release files of the given clients (all by default) for
+ * every supported platform, check their signatures and published hashes and
+ * write their SHA256 hashes to the checksum manifest. Run by maintainers after changing a
+ * client's latestVersion; review the diff before committing it.
+ */
+export function pinClientChecksums(clientNames = []) {
+  const names = clientNames.length > 0 ? clientNames : getClientNames();
+  const manifest = loadChecksumManifest();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bgclient-pin-"));
+
+  try {
+    for (const name of names) {
+      const adapter = getClientAdapter(name);
+      if (adapter.verifyChecksum === false) {
+        console.log(`⏭️  ${adapter.label} downloads are not pinned, skipping.`);
+        continue;
+      }
+
+      const hashes = {};
+      for (const platform of adapter.platforms) {
+        for (const arch of ["x64", "arm64"]) {
+          const downloads = getClientDownloads(
+            adapter,
+            adapter.latestVersion,
+            platform,
+            arch
+          );
+          for (const download of downloads) {
+            if (hashes[download.fileName]) continue;
+
+            const filePath = path.join(tmpDir, download.fileName);
+            console.log(`Downloading ${download.fileName}`);
+            execFileSync("curl", ["-fL", "-o", filePath, "-#", download.url], {
+              stdio: "inherit",
+            });
+            verifySignature(adapter, download, filePath, { required: true });
+            hashes[download.fileName] = sha256File(filePath);
+            fs.rmSync(filePath);
+
+            if (adapter.publishedChecksumUrl) {
+              const published = execFileSync(
+                "curl",
+                ["-fsL", adapter.publishedChecksumUrl(download)],
+                { encoding: "utf8" }
+              )
+                .trim()
+                .split(/\s+/)[0]
+                .toLowerCase();
+              if (published !== hashes[download.fileName]) {
+                throw new Error(
+                  `${download.fileName} does not match its published SHA256 checksum ${published}`
+                );
+              }
+            }
+          }
+        }
+      }
+
+      manifest[name] = { ...manifest[name], [adapter.latestVersion]: hashes };
+      console.log(
+        `✅ Pinned ${Object.keys(hashes).length} file(s) for ${adapter.label} ${
+          adapter.latestVersion
+        }`
       );
-    } else if (clientName === "mev-boost") {
-      console.log("Downloading MEV-Boost.");
-      execSync(
-        `cd "${clientDir}" && curl -L -O -# ${downloadUrls["mev-boost"]}`,
-        { stdio: "inherit" }
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  saveChecksumManifest(manifest);
+  console.log(`\nWrote ${CHECKSUM_MANIFEST_PATH}`);
+}
+
+/**
+ * Download the current releases of the given clients (all by default) and
+ * of the staking-deposit-cli for one platform into `bundleDir`, checked the
+ * same way as an install, for machines that install with --bundle. See
+ * releaseBundle.js for the layout.
+ */
+export function exportReleaseBundle(
+  bundleDir,
+  clientNames = [],
+  { platform = os.platform(), arch = os.arch() } = {}
+) {
+  const names = clientNames.length > 0 ? clientNames : getClientNames();
+  const pinnedChecksums = loadChecksumManifest();
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    platform,
+    arch,
+    clients: {},
+    files: {},
+  };
+  const checksums = {};
+
+  const addFile = (url, relativePath) => {
+    const filePath = path.join(bundleDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fetchReleaseFile(url, filePath);
+    manifest.files[url] = relativePath;
+    return filePath;
+  };
+
+  for (const name of names) {
+    const adapter = getClientAdapter(name);
+    if (adapter.verifyChecksum === false) {
+      console.log(
+        `⏭️  ${adapter.label} downloads are not pinned and cannot be bundled, skipping.`
       );
-      console.log("Extracting MEV-Boost.");
-      execSync(`cd "${clientDir}" && tar -xzvf "${fileName}.tar.gz"`, {
-        stdio: "inherit",
-      });
-      execSync(`cd "${clientDir}" && chmod +x mev-boost`, {
-        stdio: "inherit",
-      });
-      console.log("Cleaning up mev-boost directory.");
-      execSync(`cd "${clientDir}" && rm "${fileName}.tar.gz"`, {
-        stdio: "inherit",
-      });
-    } else {
-      console.log(`Downloading ${clientName}.`);
-      execSync(
-        `cd "${clientDir}" && curl -L -O -# ${downloadUrls[clientName]}`,
-        { stdio: "inherit" }
+      continue;
+    }
+    if (!adapter.platforms.includes(platform)) {
+      console.log(
+        `⏭️  ${adapter.label} does not run on ${platform}, skipping.`
       );
-      console.log(`Uncompressing ${clientName}.`);
-      execSync(`cd "${clientDir}" && tar -xzvf "${fileName}.tar.gz"`, {
-        stdio: "inherit",
-      });
+      continue;
+    }
+
+    const version = adapter.latestVersion;
+    const downloads = getClientDownloads(adapter, version, platform, arch);
+    checksums[name] = { [version]: {} };
 
-      if (clientName === "geth") {
-        execSync(`cd "${clientDir}/${fileName}" && mv geth ..`, {
-          stdio: "inherit",
-        });
-        execSync(`cd "${clientDir}" && rm -r "${fileName}"`, {
-          stdio: "inherit",
-        });
+    console.log(`\nAdding ${adapter.label} ${version}.`);
+    for (const download of downloads) {
+      const filePath = addFile(
+        download.url,
+        path.join(name, download.fileName)
+      );
+      verifyClientDownload(adapter, version, download, filePath);
+
+      // Signatures are checked again on the installing machine
+      if (adapter.signature) {
+        addFile(
+          adapter.signature.url(download),
+          path.join(name, `${download.fileName}.sig`)
+        );
+        if (adapter.signature.type !== "minisign") {
+          addFile(
+            getSigningKeyUrl(adapter.signature),
+            path.join("keys", `${adapter.signature.key}.asc`)
+          );
+        }
       }
 
-      console.log(`Cleaning up ${clientName} directory.`);
-      execSync(`cd "${clientDir}" && rm "${fileName}.tar.gz"`, {
-        stdio: "inherit",
-      });
+      // Files without a pinned hash (--allow-unpinned-downloads) are only
+      // bundled when their signature was checked, with the hash of the
+      // verified file
+      const pinnedChecksum = ((pinnedChecksums[name] || {})[version] || {})[
+        download.fileName
+      ];
+      if (!pinnedChecksum && !adapter.signature) {
+        fs.rmSync(filePath, { force: true });
+        throw new Error(
+          `${download.fileName} has neither a pinned SHA256 checksum nor a signature and cannot be bundled`
+        );
+      }
+      checksums[name][version][download.fileName] =
+        pinnedChecksum || sha256File(filePath);
+    }
+
+    manifest.clients[name] = { version, downloads };
+  }
+
+  const depositCli = getDepositCliDownload(platform, arch);
+  console.log(`\nAdding staking-deposit-cli ${depositCli.version}.`);
+  const depositCliPath = addFile(
+    depositCli.url,
+    path.join("deposit-cli", depositCli.fileName)
+  );
+  if (sha256File(depositCliPath) !== depositCli.checksum) {
+    fs.rmSync(depositCliPath, { force: true });
+    throw new Error(
+      `SHA256 checksum verification FAILED for ${depositCli.fileName}`
+    );
+  }
+  checksums["deposit-cli"] = {
+    [depositCli.version]: { [depositCli.fileName]: depositCli.checksum },
+  };
+
+  fs.writeFileSync(
+    path.join(bundleDir, BUNDLE_MANIFEST_FILE),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+  fs.writeFileSync(
+    path.join(bundleDir, BUNDLE_CHECKSUMS_FILE),
+    `${JSON.stringify(checksums, null, 2)}\n`
+  );
+  console.log(
+    `\n✅ Exported ${
+      Object.keys(manifest.clients).length
+    } client(s) for ${platform}/${arch} to ${bundleDir}`
+  );
+}
+
+/**
+ * Check the system tools a client needs that are not part of its download.
+ * Exits with an explanation if one is missing.
+ */
+export function checkClientPrerequisites(clientName) {
+  for (const requirement of getClientAdapter(clientName).prerequisites) {
+    try {
+      execSync(requirement.command, { stdio: "ignore" });
+    } catch (error) {
+      console.log(`\n❌ ${requirement.message}`);
+      process.exit(1);
     }
-  } else {
-    console.log(`${clientName} is already installed.`);
   }
 }
 
 export function getVersionNumber(client) {
   const platform = os.platform();
+  const adapter = getClientAdapter(client);
   let clientCommand;
-  let argument;
-  let versionOutput;
-  let versionMatch;
-
-  if (client === "reth" || client === "lighthouse" || client === "geth") {
-    argument = "--version";
-  } else if (client === "prysm") {
-    argument = "beacon-chain --version";
-  }
 
   if (["darwin", "linux"].includes(platform)) {
-    clientCommand = path.join(
-      installDir,
-      "ethereum_clients",
-      `${client}`,
-      client === "prysm" ? `${client}.sh` : `${client}`
-    );
+    clientCommand = getClientCommand(installDir, client);
+    if (!fs.existsSync(clientCommand)) {
+      // Installed before releases were versioned and not migrated yet
+      clientCommand = path.join(getClientDir(client), adapter.executable);
+    }
   } else if (platform === "win32") {
     console.log("getVersionNumber() for windows is yet not implemented");
     process.exit(1);
   }
 
+  return readClientVersion(adapter, clientCommand);
+}
+
+function readClientVersion(adapter, clientCommand) {
   try {
     const versionCommand = execSync(
-      `${clientCommand} ${argument} 2>/dev/null`,
+      `"${clientCommand}" ${adapter.versionArgs.join(" ")} 2>/dev/null`,
       {
         encoding: "utf-8",
         stdio: ["pipe", "pipe", "ignore"],
       }
     );
-    versionOutput = versionCommand.trim();
-
-    if (client === "reth") {
-      versionMatch = versionOutput.match(
-        /[Rr]eth(?:-ethereum-cli)? Version: (\d+\.\d+\.\d+)/
-      );
-    } else if (client === "lighthouse") {
-      versionMatch = versionOutput.match(/Lighthouse v(\d+\.\d+\.\d+)/);
-    } else if (client === "geth") {
-      versionMatch = versionOutput.match(/geth version (\d+\.\d+\.\d+)/);
-    } else if (client === "prysm") {
-      versionMatch = versionOutput.match(/beacon-chain-v(\d+\.\d+\.\d+)-/);
-    }
-
-    const parsedVersion = versionMatch ? versionMatch[1] : null;
+    const parsedVersion = adapter.parseVersion(versionCommand.trim());
 
     if (parsedVersion) {
       return parsedVersion;
     } else {
-      debugToFile(`Unable to parse version number for ${client}`);
+      debugToFile(`Unable to parse version number for ${adapter.name}`);
       return null;
     }
   } catch (error) {
-    debugToFile(`Error getting version for ${client}:`, error.message);
+    debugToFile(`Error getting version for ${adapter.name}:`, error.message);
     return null;
   }
 }
 
 export function compareClientVersions(client, installedVersion) {
-  let isLatest = true;
-  let latestVersion;
-
-  if (client === "reth") {
-    latestVersion = latestRethVer;
-  } else if (client === "geth") {
-    latestVersion = latestGethVer;
-  } else if (client === "lighthouse") {
-    latestVersion = latestLighthouseVer;
-  }
-  if (compareVersions(installedVersion, latestVersion) < 0) {
-    isLatest = false;
-  }
+  const latestVersion = getClientAdapter(client).latestVersion;
+  const isLatest = compareVersions(installedVersion, latestVersion) >= 0;
   return [isLatest, latestVersion];
 }
 
-export function removeClient(client) {
-  const clientDir = path.join(installDir, "ethereum_clients", client, client);
-  if (fs.existsSync(clientDir)) {
-    fs.rmSync(clientDir, { recursive: true });
-  }
-}
-
 function compareVersions(v1, v2) {
-  const parts1 = v1.split(".").map(Number);
-  const parts2 = v2.split(".").map(Number);
+  // Labels that are not version numbers, like "legacy", sort as oldest
+  const parts1 = v1.split(".").map((part) => parseInt(part, 10) || 0);
+  const parts2 = v2.split(".").map((part) => parseInt(part, 10) || 0);
 
   for (let i = 0; i < 3; i++) {
     if (parts1[i] > parts2[i]) return 1;
@@ -6,13 +6,34 @@ import { execFileSync, spawnSync } from "child_process";
 import readlineSync from "readline-sync";
 import { debugToFile } from "../helpers.js";
 import {
+  createSecureDir,
   getSecurePasswordPath,
   getSecureSecretsDir,
   getSecureDirPath,
 } from "./secureStore.js";
+import { getClientCommand } from "../clientRegistry.js";
+import { fetchReleaseFile } from "./releaseBundle.js";
+import {
+  INTERCHANGE_FILE_NAME,
+  getKeystorePubkeys,
+  supportsSlashingProtection,
+  requireSlashingProtection,
+  importSlashingProtection,
+} from "./slashingProtection.js";
 
 const latestDepositCliVer = "2.7.0";
 
+/**
+ * Networks accepted by the staking-deposit-cli v2.7.0 `--chain` argument,
+ * mapped to the launchpad used to submit deposits on that network.
+ * Hoodi is not supported by this deposit-cli release.
+ */
+const DEPOSIT_CLI_CHAINS = {
+  mainnet: "https://launchpad.ethereum.org/",
+  sepolia: "https://sepolia.launchpad.ethereum.org/",
+  holesky: "https://holesky.launchpad.ethereum.org/",
+};
+
 /**
  * Expected SHA256 checksums for staking-deposit-cli v2.7.0 archives.
  * Source: https://github.com/ethereum/staking-deposit-cli/releases/tag/v2.7.0
@@ -39,8 +60,7 @@ function verifySha256(filePath, expectedHash) {
 /**
  * Get the staking-deposit-cli download URL and filename for the current platform.
  */
-function getDepositCliConfig(platform) {
-  const arch = os.arch();
+function getDepositCliConfig(platform, arch = os.arch()) {
 
   // Note: macOS arm64 (Apple Silicon) uses the amd64 build via Rosetta 2.
   // There is no official darwin-arm64 build for v2.7.0.
@@ -67,6 +87,21 @@ function getDepositCliConfig(platform) {
   return { fileName, downloadUrl };
 }
 
+/**
+ * Release archive of the staking-deposit-cli for a platform, with its
+ * expected SHA256 checksum. Used to export install bundles.
+ */
+export function getDepositCliDownload(platform, arch) {
+  const { fileName, downloadUrl } = getDepositCliConfig(platform, arch);
+  const archiveName = `${fileName}.tar.gz`;
+  return {
+    version: latestDepositCliVer,
+    url: downloadUrl,
+    fileName: archiveName,
+    checksum: DEPOSIT_CLI_CHECKSUMS[archiveName],
+  };
+}
+
 /**
  * Install the staking-deposit-cli if not already present.
  * Downloads the binary, verifies its SHA256 checksum, and extracts it.
@@ -94,11 +129,9 @@ export function installDepositCli(installDir, platform) {
   const archiveName = `${fileName}.tar.gz`;
   const archivePath = path.join(depositCliDir, archiveName);
 
-  // Download using execFileSync (no shell interpolation)
+  // Download from GitHub, or copy from the install bundle if one is used
   console.log("Downloading staking-deposit-cli...");
-  execFileSync("curl", ["-L", "-o", archivePath, "-#", downloadUrl], {
-    stdio: "inherit",
-  });
+  fetchReleaseFile(downloadUrl, archivePath);
 
   // Verify SHA256 checksum
   const expectedChecksum = DEPOSIT_CLI_CHECKSUMS[archiveName];
@@ -270,16 +303,79 @@ export function promptAndSavePassword(installDir, { firstTime = false } = {}) {
   return passwordPath;
 }
 
+/**
+ * Copy the keystore password from a file (e.g. a systemd credential) into
+ * the RAM-backed secure directory. Used instead of prompting when running
+ * without a terminal.
+ */
+export function savePasswordFromFile(installDir, sourcePath) {
+  const passwordPath = getPasswordFilePath(installDir);
+  const parentDir = path.dirname(passwordPath);
+
+  if (!fs.existsSync(sourcePath)) {
+    console.log(`❌ Keystore password file not found: ${sourcePath}`);
+    process.exit(1);
+  }
+
+  // Editors and `echo` usually leave a trailing newline
+  const password = fs.readFileSync(sourcePath, "utf8").replace(/\r?\n$/, "");
+
+  if (password.length < 8) {
+    console.log("❌ Password must be at least 8 characters long.");
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(parentDir)) {
+    fs.mkdirSync(parentDir, { recursive: true, mode: 0o700 });
+  }
+
+  fs.writeFileSync(passwordPath, password, { mode: 0o600 });
+  debugToFile(
+    `Password file created in RAM-backed secure directory from ${sourcePath}.`
+  );
+
+  return passwordPath;
+}
+
+/**
+ * Load the keystore password for a command that signs with the keys:
+ * from VALIDATOR_PASSWORD_FILE if set, otherwise from a prompt.
+ */
+export function loadKeystorePassword(installDir) {
+  createSecureDir();
+  if (process.env.VALIDATOR_PASSWORD_FILE) {
+    return savePasswordFromFile(
+      installDir,
+      process.env.VALIDATOR_PASSWORD_FILE
+    );
+  }
+  return promptAndSavePassword(installDir);
+}
+
 /**
  * Generate new validator keys using the staking-deposit-cli.
  */
-export function generateValidatorKeys(installDir, feeRecipient) {
+export function generateValidatorKeys(
+  installDir,
+  feeRecipient,
+  network = "mainnet"
+) {
   const platform = os.platform();
   if (!["darwin", "linux"].includes(platform)) {
     console.log("❌ Key generation is only supported on macOS and Linux.");
     process.exit(1);
   }
 
+  if (!DEPOSIT_CLI_CHAINS[network]) {
+    console.log(
+      `❌ staking-deposit-cli v${latestDepositCliVer} cannot generate keys for ${network}.`
+    );
+    console.log(
+      "   Generate your keys with another tool and import them with --validator-keys-dir."
+    );
+    process.exit(1);
+  }
+
   const depositCliBin = installDepositCli(installDir, platform);
   const { keystoresDir, depositDataDir } = ensureValidatorDirs(
     installDir,
@@ -343,7 +439,7 @@ export function generateValidatorKeys(installDir, feeRecipient) {
     // Let deposit-cli prompt for password interactively (do NOT pass empty password)
     const depositCliArgs = [
       "new-mnemonic",
-      "--chain", "mainnet",
+      "--chain", network,
       "--num_validators", String(numValidators),
       "--execution_address", withdrawalAddress,
       "--folder", outputFolder,
@@ -399,7 +495,7 @@ export function generateValidatorKeys(installDir, feeRecipient) {
     "  1. BACK UP your mnemonic phrase in a secure, offline location"
   );
   console.log(
-    "  2. Go to https://launchpad.ethereum.org/ to make your 32 ETH deposit"
+    `  2. Go to ${DEPOSIT_CLI_CHAINS[network]} to make your 32 ETH deposit`
   );
   console.log(
     `  3. Upload the deposit_data JSON file from: ${depositDataDir}`
@@ -489,6 +585,13 @@ export function importValidatorKeys(installDir, keysSourceDir, consensusClient)
     console.log(`  ✅ Imported: ${file}`);
   }
 
+  // Keys that signed elsewhere must not sign here before their slashing
+  // protection history is imported
+  requireSlashingProtection(
+    installDir,
+    getKeystorePubkeys(keysSourceDir, keystoreFiles)
+  );
+
   // Copy deposit data files if present
   if (depositFiles.length > 0) {
     const depositDataDir = path.join(
@@ -517,7 +620,7 @@ export function importValidatorKeys(installDir, keysSourceDir, consensusClient)
 /**
  * Import keys into Prysm validator wallet (Prysm requires its own import step).
  */
-export function importKeysForPrysm(installDir) {
+export function importKeysForPrysm(installDir, network = "mainnet") {
   const keystoresDir = path.join(
     installDir,
     "ethereum_clients",
@@ -537,12 +640,7 @@ export function importKeysForPrysm(installDir) {
   let prysmCommand;
 
   if (["darwin", "linux"].includes(platform)) {
-    prysmCommand = path.join(
-      installDir,
-      "ethereum_clients",
-      "prysm",
-      "prysm.sh"
-    );
+    prysmCommand = getClientCommand(installDir, "prysm", { validator: true });
   } else {
     console.log("❌ Prysm key import is only supported on macOS and Linux.");
     process.exit(1);
@@ -557,12 +655,12 @@ export function importKeysForPrysm(installDir) {
 
   try {
     execFileSync(prysmCommand, [
-      "validator", "accounts", "import",
+      "accounts", "import",
       `--keys-dir=${keystoresDir}`,
       `--wallet-dir=${prysmWalletDir}`,
       `--wallet-password-file=${passwordPath}`,
       `--account-password-file=${passwordPath}`,
-      "--mainnet",
+      `--${network}`,
       "--accept-terms-of-use",
     ], {
       stdio: "inherit",
@@ -574,6 +672,105 @@ export function importKeysForPrysm(installDir) {
   }
 }
 
+/**
+ * Copy keystores into the Nimbus validators directory, which expects one
+ * 0x<pubkey>/keystore.json per validator. Passwords are written to the
+ * RAM-backed secrets dir by client_adapters/nimbus.js on every start.
+ */
+export function importKeysForNimbus(installDir) {
+  const keystoresDir = path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    "keystores"
+  );
+  const nimbusValidatorsDir = path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    "nimbus",
+    "validators"
+  );
+
+  const keystoreFiles = fs
+    .readdirSync(keystoresDir)
+    .filter((f) => f.startsWith("keystore") && f.endsWith(".json"));
+
+  let imported = 0;
+  for (const ksFile of keystoreFiles) {
+    try {
+      const srcPath = path.join(keystoresDir, ksFile);
+      const pubkey = JSON.parse(fs.readFileSync(srcPath, "utf8")).pubkey;
+      // Validate pubkey is strictly hex to prevent path traversal
+      if (!pubkey || !/^[0-9a-fA-F]+$/.test(pubkey)) {
+        continue;
+      }
+      const validatorDir = path.join(nimbusValidatorsDir, `0x${pubkey}`);
+      const destPath = path.join(validatorDir, "keystore.json");
+      if (fs.existsSync(destPath)) {
+        continue;
+      }
+      fs.mkdirSync(validatorDir, { recursive: true, mode: 0o700 });
+      fs.copyFileSync(srcPath, destPath);
+      fs.chmodSync(destPath, 0o600);
+      imported++;
+    } catch (e) {
+      debugToFile(`Warning: could not read keystore ${ksFile}: ${e.message}`);
+    }
+  }
+
+  if (imported > 0) {
+    console.log(`✅ Imported ${imported} keystore(s) for Nimbus.`);
+  }
+}
+
+/**
+ * Run the client specific import step, for consensus clients that keep
+ * their own copy of the keys. Lighthouse, Teku and Lodestar read the
+ * shared keystores directory directly.
+ */
+export function importKeysForClient(installDir, consensusClient, network) {
+  if (consensusClient === "prysm") {
+    importKeysForPrysm(installDir, network);
+  } else if (consensusClient === "nimbus") {
+    importKeysForNimbus(installDir);
+  }
+}
+
+/**
+ * Import the slashing protection history exported next to the keys
+ * (slashing_protection.json), if there is one.
+ */
+function importSlashingProtectionFromKeysDir(
+  installDir,
+  keysSourceDir,
+  consensusClient,
+  network
+) {
+  const interchangePath = path.join(keysSourceDir, INTERCHANGE_FILE_NAME);
+  if (
+    !fs.existsSync(interchangePath) ||
+    !supportsSlashingProtection(consensusClient)
+  ) {
+    return;
+  }
+
+  console.log(
+    `\n🛡️  Importing slashing protection history from ${interchangePath}`
+  );
+  try {
+    importSlashingProtection(
+      installDir,
+      consensusClient,
+      network,
+      interchangePath
+    );
+    console.log("✅ Slashing protection history imported.");
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+  }
+}
+
 /**
  * Main setup flow for validator keys.
  * Called from index.js when --validator is enabled.
@@ -582,14 +779,25 @@ export function setupValidatorKeys(
   installDir,
   feeRecipient,
   validatorKeysDir,
-  consensusClient
+  consensusClient,
+  network = "mainnet",
+  { passwordFile = null } = {}
 ) {
   // Check if keys already exist
   if (hasExistingKeys(installDir)) {
     console.log("\n✅ Existing validator keystores found. Skipping key setup.");
 
-    // Always prompt for password on startup (never persist between sessions)
-    promptAndSavePassword(installDir);
+    // Always load the password on startup (never persist between sessions)
+    if (passwordFile) {
+      savePasswordFromFile(installDir, passwordFile);
+    } else {
+      promptAndSavePassword(installDir);
+    }
+
+    // Picks up keys that were added before switching to Nimbus
+    if (consensusClient === "nimbus") {
+      importKeysForNimbus(installDir);
+    }
 
     return;
   }
@@ -598,10 +806,13 @@ export function setupValidatorKeys(
   if (validatorKeysDir) {
     importValidatorKeys(installDir, validatorKeysDir, consensusClient);
 
-    // Import into Prysm wallet if using Prysm
-    if (consensusClient === "prysm") {
-      importKeysForPrysm(installDir);
-    }
+    importKeysForClient(installDir, consensusClient, network);
+    importSlashingProtectionFromKeysDir(
+      installDir,
+      validatorKeysDir,
+      consensusClient,
+      network
+    );
 
     return;
   }
@@ -615,20 +826,22 @@ export function setupValidatorKeys(
   const choice = readlineSync.question("Choose an option (1/2/3): ");
 
   if (choice === "1") {
-    generateValidatorKeys(installDir, feeRecipient);
+    generateValidatorKeys(installDir, feeRecipient, network);
 
-    if (consensusClient === "prysm") {
-      importKeysForPrysm(installDir);
-    }
+    importKeysForClient(installDir, consensusClient, network);
   } else if (choice === "2") {
     const keysPath = readlineSync.question(
       "Enter the path to your validator keystores directory: "
     );
     importValidatorKeys(installDir, keysPath.trim(), consensusClient);
 
-    if (consensusClient === "prysm") {
-      importKeysForPrysm(installDir);
-    }
+    importKeysForClient(installDir, consensusClient, network);
+    importSlashingProtectionFromKeysDir(
+      installDir,
+      keysPath.trim(),
+      consensusClient,
+      network
+    );
   } else {
     console.log("Validator setup cancelled.");
     process.exit(0);
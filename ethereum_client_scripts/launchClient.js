@@ -0,0 +1,223 @@
+import pty from "node-pty";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { debugToFile } from "../helpers.js";
+import { stripAnsiCodes, getFormattedDateTime } from "../helpers.js";
+import minimist from "minimist";
+import {
+  getClientAdapter,
+  getClientCommand,
+  getClientLogLocation,
+  CHECKPOINT_FAILED_EXIT_CODE,
+} from "../clientRegistry.js";
+
+/**
+ * launchClient.js
+ *
+ * Runs one client (or validator client) described by an adapter in
+ * client_adapters/. Started by index.js as a child process: the client
+ * output is written to its log file and forwarded to the parent.
+ *
+ * Usage: node launchClient.js --client <name> [--validator] [options]
+ */
+
+// Everything is parsed as a string: minimist would otherwise turn values
+// like a 0x fee recipient into numbers
+const argv = minimist(process.argv.slice(2), {
+  string: [
+    "client",
+    "directory",
+    "network",
+    "executionpeerport",
+    "executiontype",
+    "consensuspeerports",
+    "consensuscheckpoint",
+    "bgconsensuspeers",
+    "bgconsensusaddrs",
+    "fee-recipient",
+    "graffiti",
+    "log-level",
+    "password-dir",
+  ],
+  boolean: ["validator", "mev-boost"],
+});
+
+const clientName = argv.client;
+const isValidator = argv.validator;
+const adapter = getClientAdapter(clientName);
+
+if (isValidator && !adapter.validator) {
+  console.error(`${adapter.label} has no validator client`);
+  process.exit(1);
+}
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item);
+}
+
+const installDir = argv.directory || os.homedir();
+const clientDir = path.join(installDir, "ethereum_clients", clientName);
+const secureDir =
+  argv["password-dir"] ||
+  path.join(installDir, "ethereum_clients", "validator");
+
+const ctx = {
+  installDir,
+  network: argv.network || "mainnet",
+  clientDir,
+  dataDir: path.join(clientDir, "database"),
+  jwtPath: path.join(installDir, "ethereum_clients", "jwt", "jwt.hex"),
+  executionPeerPort: argv.executionpeerport,
+  executionType: argv.executiontype,
+  consensusPeerPorts: splitList(argv.consensuspeerports),
+  checkpointUrl: argv.consensuscheckpoint || null,
+  bgConsensusPeers: splitList(argv.bgconsensuspeers),
+  bgConsensusAddrs: splitList(argv.bgconsensusaddrs),
+  feeRecipient: argv["fee-recipient"] || null,
+  mevBoost: argv["mev-boost"],
+  graffiti: argv.graffiti || "BuidlGuidl",
+  logLevel: argv["log-level"] || null,
+  validatorDir: path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    clientName
+  ),
+  keystoresDir: path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    "keystores"
+  ),
+  // When --password-dir is provided (RAM-backed tmpfs), password files are
+  // kept there so they never touch physical disk
+  secureDir,
+  passwordFile: path.join(secureDir, "password.txt"),
+};
+
+const command = getClientCommand(installDir, clientName, {
+  validator: isValidator,
+});
+const logLocation = getClientLogLocation(installDir, clientName, {
+  validator: isValidator,
+});
+
+if (!fs.existsSync(logLocation.dir)) {
+  fs.mkdirSync(logLocation.dir, { recursive: true });
+}
+
+const logStream = fs.createWriteStream(
+  path.join(
+    logLocation.dir,
+    `${logLocation.prefix}_${getFormattedDateTime()}.log`
+  ),
+  { flags: "a" }
+);
+
+const env = {
+  HOME: process.env.HOME,
+  PATH: process.env.PATH,
+  TERM: process.env.TERM || "xterm-color",
+  INSTALL_DIR: installDir,
+};
+adapter.env.forEach((name) => {
+  if (process.env[name]) {
+    env[name] = process.env[name];
+  }
+});
+
+let client;
+
+// Only a beacon node started from a checkpoint can fail to load one
+const checkpointFailurePattern =
+  !isValidator && ctx.checkpointUrl ? adapter.checkpointFailurePattern : null;
+let recentOutput = "";
+let checkpointFailed = false;
+
+function spawnClient(args) {
+  client = pty.spawn(command, args.map(String), {
+    name: "xterm-color",
+    cols: 80,
+    rows: 30,
+    cwd: process.env.HOME,
+    env,
+  });
+
+  // Pipe stdout and stderr to the log file and to the parent process
+  client.on("data", (data) => {
+    logStream.write(stripAnsiCodes(data));
+
+    // Output arrives in chunks, so match on the tail of it
+    if (checkpointFailurePattern && !checkpointFailed) {
+      recentOutput = (recentOutput + stripAnsiCodes(data)).slice(-4096);
+      checkpointFailed = checkpointFailurePattern.test(recentOutput);
+    }
+
+    if (process.send) {
+      process.send({ log: data }); // No need for .toString(), pty preserves colors
+    }
+  });
+
+  client.on("error", (err) => {
+    const errorMessage = `Error: ${err.message}`;
+    logStream.write(errorMessage);
+    if (process.send) {
+      process.send({ log: errorMessage }); // Send error message to parent process
+    }
+    debugToFile(`From launchClient.js (${clientName}): ${errorMessage}`);
+  });
+
+  return client;
+}
+
+function startClient() {
+  const args = isValidator
+    ? adapter.validator.buildArgs(ctx)
+    : adapter.buildArgs(ctx);
+
+  spawnClient(args).on("exit", (code, signal) => {
+    logStream.end();
+    if (checkpointFailed && code !== 0) {
+      debugToFile(
+        `${adapter.label}: Could not load the checkpoint from ${ctx.checkpointUrl}`
+      );
+      process.exitCode = CHECKPOINT_FAILED_EXIT_CODE;
+    } else {
+      // Pass the client's exit status on to the supervisor in index.js, a
+      // signal as 128 + its number like a shell does
+      process.exitCode = signal ? 128 + signal : code;
+    }
+  });
+}
+
+if (isValidator && adapter.validator.prepare) {
+  adapter.validator.prepare(ctx);
+}
+
+const preStartArgs =
+  !isValidator && adapter.preStartArgs ? adapter.preStartArgs(ctx) : null;
+
+if (preStartArgs) {
+  debugToFile(`${adapter.label}: Running ${preStartArgs[0]} before starting`);
+  spawnClient(preStartArgs).on("exit", (code) => {
+    if (code === 0) {
+      startClient();
+    } else {
+      debugToFile(
+        `${adapter.label}: ${preStartArgs[0]} exited with code ${code}`
+      );
+      logStream.end();
+      process.exitCode = code;
+    }
+  });
+} else {
+  startClient();
+}
+
+process.on("SIGINT", () => {
+  client.kill("SIGINT");
+});
@@ -0,0 +1,143 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { debugToFile } from "../helpers.js";
+
+/**
+ * releaseBundle.js
+ *
+ * Release files are downloaded from upstream (GitHub, gethstore, ...) by
+ * default. For machines without internet access they can instead come from
+ * a bundle exported with "node index.js bundle export", given as a
+ * directory or as the URL of a plain HTTP mirror of that directory.
+ *
+ * A bundle contains the release files, their signatures and signing keys,
+ * the client_checksums.json entries they were verified against, and
+ * bundle.json:
+ *
+ *   {
+ *     "platform": "linux", "arch": "x64", "createdAt": ...,
+ *     "clients": { "<client>": { "version", "downloads" } },
+ *     "files": { "<upstream url>": "<path inside the bundle>" }
+ *   }
+ *
+ * Files are looked up by their upstream URL, so installs from a bundle go
+ * through the same checksum and signature checks as online installs. Every
+ * client file must also match the hash in the bundle's client_checksums.json,
+ * which covers the transfer to the offline machine.
+ */
+
+export const BUNDLE_MANIFEST_FILE = "bundle.json";
+export const BUNDLE_CHECKSUMS_FILE = "client_checksums.json";
+
+let bundle = null;
+
+function isRemote(location) {
+  return /^https?:\/\//.test(location);
+}
+
+function fetchFromLocation(location, relativePath, destPath) {
+  if (isRemote(location)) {
+    execFileSync(
+      "curl",
+      [
+        "-fL",
+        "-o",
+        destPath,
+        "-#",
+        `${location.replace(/\/$/, "")}/${relativePath}`,
+      ],
+      { stdio: "inherit" }
+    );
+  } else {
+    fs.copyFileSync(path.join(location, relativePath), destPath);
+  }
+}
+
+/**
+ * Install release files from the bundle at `location` (a directory or an
+ * http(s) URL) instead of downloading them. Throws if the bundle cannot be
+ * read or was exported for another platform.
+ */
+function readBundleJson(location, fileName) {
+  try {
+    return JSON.parse(
+      isRemote(location)
+        ? execFileSync(
+            "curl",
+            ["-fsL", `${location.replace(/\/$/, "")}/${fileName}`],
+            { encoding: "utf8" }
+          )
+        : fs.readFileSync(path.join(location, fileName), "utf8")
+    );
+  } catch (error) {
+    debugToFile(`useReleaseBundle(): ${error}`);
+    throw new Error(`No readable ${fileName} in ${location}`);
+  }
+}
+
+export function useReleaseBundle(location) {
+  const manifest = readBundleJson(location, BUNDLE_MANIFEST_FILE);
+  const checksums = readBundleJson(location, BUNDLE_CHECKSUMS_FILE);
+
+  if (manifest.platform !== os.platform() || manifest.arch !== os.arch()) {
+    throw new Error(
+      `The bundle in ${location} was exported for ${manifest.platform}/${
+        manifest.arch
+      }, this machine is ${os.platform()}/${os.arch()}`
+    );
+  }
+
+  bundle = { location, manifest, checksums };
+  debugToFile(`useReleaseBundle(): Installing from ${location}`);
+}
+
+export function getReleaseBundle() {
+  return bundle;
+}
+
+/**
+ * SHA256 hash of a client file recorded in the active bundle, or null.
+ */
+export function getBundledChecksum(clientName, version, fileName) {
+  return (
+    ((bundle.checksums[clientName] || {})[version] || {})[fileName] || null
+  );
+}
+
+/**
+ * Install specs of a client in the active bundle, recorded at export time
+ * so that no release lookups are needed offline.
+ */
+export function getBundledDownloads(clientName, version) {
+  const entry = bundle.manifest.clients[clientName];
+  if (!entry) {
+    throw new Error(`${clientName} is not in the bundle in ${bundle.location}`);
+  }
+  if (entry.version !== version) {
+    throw new Error(
+      `The bundle in ${bundle.location} has ${clientName} ${entry.version}, not ${version}`
+    );
+  }
+  return entry.downloads;
+}
+
+/**
+ * Fetch a release file to `destPath`: from the active bundle if there is
+ * one, from its upstream URL otherwise.
+ */
+export function fetchReleaseFile(url, destPath) {
+  if (!bundle) {
+    execFileSync("curl", ["-fL", "-o", destPath, "-#", url], {
+      stdio: "inherit",
+    });
+    return;
+  }
+
+  const relativePath = bundle.manifest.files[url];
+  if (!relativePath) {
+    throw new Error(`${url} is not in the bundle in ${bundle.location}`);
+  }
+  fetchFromLocation(bundle.location, relativePath, destPath);
+}
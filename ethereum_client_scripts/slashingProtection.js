@@ -0,0 +1,434 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { debugToFile } from "../helpers.js";
+import { getClientAdapter, getClientCommand } from "../clientRegistry.js";
+
+/**
+ * slashingProtection.js
+ *
+ * Moves the slashing protection history of the validator keys between
+ * machines and clients as EIP-3076 interchange files, using the tooling of
+ * the consensus client (validator.slashingProtection in its adapter).
+ *
+ * Keys imported with --validator-keys-dir are recorded in
+ * ethereum_clients/validator/slashing_protection_status.json until a
+ * history covering them is imported. The validator client is not started
+ * while keys are waiting for their history, unless
+ * --allow-missing-slashing-protection is given. That is the only way to
+ * start them with clients that have no slashing protection tooling here.
+ */
+
+export const INTERCHANGE_FILE_NAME = "slashing_protection.json";
+
+const INTERCHANGE_FORMAT_VERSION = "5";
+
+const GENESIS_VALIDATORS_ROOTS = {
+  mainnet: "0x4b363db94e286120d76eb905340fdd4e54bfe9f06bf33ff6cf5ad27f511bfe95",
+  sepolia: "0xd8ea171f3c94aea21ebc42a1ed61052acf3f9209c00e4efbaaddac09ed9b8078",
+  holesky: "0x9143aa7c615a7f7115e2b6aac319c03529df8242ae705fba9df39b79c59fa8b1",
+  hoodi: "0x212f13fc4df078b6cb7db228f1c8307566dcecf900867401a92023d7ba99cb5f",
+};
+
+function getValidatorBaseDir(installDir) {
+  return path.join(installDir, "ethereum_clients", "validator");
+}
+
+function getStatusPath(installDir) {
+  return path.join(
+    getValidatorBaseDir(installDir),
+    "slashing_protection_status.json"
+  );
+}
+
+function loadStatus(installDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getStatusPath(installDir), "utf8"));
+  } catch (error) {
+    return { pending: [], imports: [] };
+  }
+}
+
+function saveStatus(installDir, status) {
+  fs.mkdirSync(getValidatorBaseDir(installDir), { recursive: true });
+  fs.writeFileSync(getStatusPath(installDir), JSON.stringify(status, null, 2));
+}
+
+function normalizePubkey(pubkey) {
+  return `0x${String(pubkey).replace(/^0x/, "").toLowerCase()}`;
+}
+
+/**
+ * Public keys of the keystore files in a directory.
+ */
+export function getKeystorePubkeys(keystoresDir, files = null) {
+  return (files || fs.readdirSync(keystoresDir))
+    .filter((file) => file.startsWith("keystore") && file.endsWith(".json"))
+    .map((file) => {
+      try {
+        const { pubkey } = JSON.parse(
+          fs.readFileSync(path.join(keystoresDir, file), "utf8")
+        );
+        return pubkey ? normalizePubkey(pubkey) : null;
+      } catch (error) {
+        debugToFile(`getKeystorePubkeys(): ${file}: ${error}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+export function supportsSlashingProtection(consensusClient) {
+  const { validator } = getClientAdapter(consensusClient);
+  return Boolean(validator && validator.slashingProtection);
+}
+
+/**
+ * Record keys that must not sign before their slashing protection history
+ * is imported.
+ */
+export function requireSlashingProtection(installDir, pubkeys) {
+  const status = loadStatus(installDir);
+  status.pending = [...new Set([...status.pending, ...pubkeys])];
+  saveStatus(installDir, status);
+}
+
+const isDecimal = (value) => typeof value === "string" && /^\d+$/.test(value);
+const isRoot = (value) =>
+  typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+/**
+ * Check an EIP-3076 interchange file (complete format) for the network.
+ * Throws with the list of problems if it is not valid.
+ *
+ * @returns {{pubkeys: string[], blocks: number, attestations: number}}
+ */
+export function validateInterchange(interchange, network) {
+  const errors = [];
+  const metadata = (interchange && interchange.metadata) || {};
+
+  if (metadata.interchange_format_version !== INTERCHANGE_FORMAT_VERSION) {
+    errors.push(
+      `interchange_format_version must be "${INTERCHANGE_FORMAT_VERSION}"`
+    );
+  }
+  if (!isRoot(metadata.genesis_validators_root)) {
+    errors.push("genesis_validators_root must be a 32 byte hex string");
+  } else if (
+    GENESIS_VALIDATORS_ROOTS[network] &&
+    metadata.genesis_validators_root.toLowerCase() !==
+      GENESIS_VALIDATORS_ROOTS[network]
+  ) {
+    errors.push(`genesis_validators_root is not the one of ${network}`);
+  }
+  if (!Array.isArray(interchange && interchange.data)) {
+    errors.push("data must be a list of validators");
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  let blocks = 0;
+  let attestations = 0;
+  interchange.data.forEach((entry, i) => {
+    const where = `data[${i}]`;
+    if (
+      typeof entry.pubkey !== "string" ||
+      !/^0x[0-9a-fA-F]{96}$/.test(entry.pubkey)
+    ) {
+      errors.push(`${where}.pubkey must be a 48 byte hex string`);
+    }
+    (entry.signed_blocks || []).forEach((block, j) => {
+      if (!isDecimal(block.slot)) {
+        errors.push(`${where}.signed_blocks[${j}].slot must be a number`);
+      }
+      if (block.signing_root !== undefined && !isRoot(block.signing_root)) {
+        errors.push(`${where}.signed_blocks[${j}].signing_root is invalid`);
+      }
+    });
+    (entry.signed_attestations || []).forEach((attestation, j) => {
+      const { source_epoch, target_epoch, signing_root } = attestation;
+      if (!isDecimal(source_epoch) || !isDecimal(target_epoch)) {
+        errors.push(
+          `${where}.signed_attestations[${j}] epochs must be numbers`
+        );
+      } else if (BigInt(source_epoch) > BigInt(target_epoch)) {
+        errors.push(
+          `${where}.signed_attestations[${j}].source_epoch is after target_epoch`
+        );
+      }
+      if (signing_root !== undefined && !isRoot(signing_root)) {
+        errors.push(
+          `${where}.signed_attestations[${j}].signing_root is invalid`
+        );
+      }
+    });
+    blocks += (entry.signed_blocks || []).length;
+    attestations += (entry.signed_attestations || []).length;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      errors.slice(0, 5).join("; ") +
+        (errors.length > 5 ? ` (and ${errors.length - 5} more)` : "")
+    );
+  }
+
+  return {
+    pubkeys: interchange.data.map((entry) => normalizePubkey(entry.pubkey)),
+    blocks,
+    attestations,
+  };
+}
+
+/**
+ * Read and validate an interchange file. Throws if it cannot be read or is
+ * not valid.
+ */
+export function readInterchangeFile(filePath, network) {
+  let interchange;
+  try {
+    interchange = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+  try {
+    return validateInterchange(interchange, network);
+  } catch (error) {
+    throw new Error(
+      `${filePath} is not a valid EIP-3076 file: ${error.message}`
+    );
+  }
+}
+
+function getToolContext(installDir, consensusClient, network) {
+  const adapter = getClientAdapter(consensusClient);
+  if (!supportsSlashingProtection(consensusClient)) {
+    throw new Error(
+      `Slashing protection import and export is not supported for ${adapter.label}`
+    );
+  }
+
+  const command = getClientCommand(installDir, consensusClient, {
+    validator: true,
+  });
+  if (!fs.existsSync(command)) {
+    throw new Error(`${adapter.label} is not installed`);
+  }
+
+  return {
+    command,
+    tool: adapter.validator.slashingProtection,
+    ctx: {
+      network,
+      validatorDir: path.join(getValidatorBaseDir(installDir), consensusClient),
+      keystoresDir: path.join(getValidatorBaseDir(installDir), "keystores"),
+    },
+  };
+}
+
+function runTool(command, args) {
+  try {
+    execFileSync(command, args, { stdio: "inherit" });
+  } catch (error) {
+    debugToFile(`runTool(): ${command} ${args.join(" ")}: ${error}`);
+    throw new Error(`${path.basename(command)} ${args[0]} failed`);
+  }
+}
+
+/**
+ * Export the slashing protection history of the validator client to an
+ * interchange file. Throws if the export fails or is not valid.
+ */
+export function exportSlashingProtection(
+  installDir,
+  consensusClient,
+  network,
+  filePath
+) {
+  const { command, tool, ctx } = getToolContext(
+    installDir,
+    consensusClient,
+    network
+  );
+
+  const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "bgclient-sp-"));
+  try {
+    runTool(command, tool.exportArgs(ctx, exportDir));
+    const exportedPath = path.join(exportDir, INTERCHANGE_FILE_NAME);
+    const summary = readInterchangeFile(exportedPath, network);
+    fs.copyFileSync(exportedPath, filePath);
+    debugToFile(
+      `exportSlashingProtection(): ${consensusClient} to ${filePath}, ${summary.pubkeys.length} validators`
+    );
+    return summary;
+  } finally {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Import an interchange file into the validator client, after validating
+ * it. Keys covered by the file may sign again.
+ */
+export function importSlashingProtection(
+  installDir,
+  consensusClient,
+  network,
+  filePath
+) {
+  const summary = readInterchangeFile(filePath, network);
+  const { command, tool, ctx } = getToolContext(
+    installDir,
+    consensusClient,
+    network
+  );
+
+  runTool(command, tool.importArgs(ctx, path.resolve(filePath)));
+
+  const status = loadStatus(installDir);
+  status.pending = status.pending.filter(
+    (pubkey) => !summary.pubkeys.includes(pubkey)
+  );
+  status.imports.push({
+    time: new Date().toISOString(),
+    client: consensusClient,
+    file: path.resolve(filePath),
+    validators: summary.pubkeys.length,
+  });
+  saveStatus(installDir, status);
+  debugToFile(
+    `importSlashingProtection(): ${filePath} into ${consensusClient}, ${summary.pubkeys.length} validators`
+  );
+  return summary;
+}
+
+/**
+ * Exit before the validator client starts if imported keys are still
+ * waiting for their slashing protection history, unless `allowMissing`.
+ */
+export function checkSlashingProtection(
+  installDir,
+  consensusClient,
+  { allowMissing = false }
+) {
+  const status = loadStatus(installDir);
+  if (status.pending.length === 0) return;
+
+  if (allowMissing) {
+    console.log(
+      `⚠️  Starting ${status.pending.length} imported validator key(s) without slashing protection history (--allow-missing-slashing-protection).`
+    );
+    status.pending = [];
+    saveStatus(installDir, status);
+    return;
+  }
+
+  console.log(
+    `\n❌ No slashing protection history was imported for ${status.pending.length} imported validator key(s):`
+  );
+  status.pending.forEach((pubkey) => console.log(`   ${pubkey}`));
+  console.log("");
+  if (supportsSlashingProtection(consensusClient)) {
+    console.log(
+      "   Export the history where the keys ran before, e.g. with 'node index.js validator slashing-protection export <file>',"
+    );
+    console.log(
+      "   and import it here with 'node index.js validator slashing-protection import <file>'."
+    );
+    console.log(
+      "   If these keys have never signed anything, start with --allow-missing-slashing-protection."
+    );
+  } else {
+    const { label } = getClientAdapter(consensusClient);
+    console.log(
+      `   The history cannot be imported into ${label} here. Import it with the ${label} validator client's own`
+    );
+    console.log(
+      "   slashing protection tooling, or make sure these keys have never signed anything, and then start with"
+    );
+    console.log("   --allow-missing-slashing-protection.");
+  }
+  process.exit(1);
+}
+
+function printSummary(summary) {
+  console.log(
+    `   ${summary.pubkeys.length} validator(s), ${summary.blocks} signed block(s), ${summary.attestations} signed attestation(s)`
+  );
+}
+
+/**
+ * Entry point for `node index.js validator slashing-protection`.
+ *
+ * @param {string} action - "export" or "import"
+ * @param {object} options
+ * @param {string} options.file - Interchange file to write or read
+ * @param {string} options.installDir
+ * @param {string} options.consensusClient
+ * @param {string} options.network
+ * @param {boolean} options.running - Whether a client instance is running
+ */
+export function runSlashingProtectionCommand(
+  action,
+  { file, installDir, consensusClient, network, running }
+) {
+  if (!["export", "import"].includes(action) || !file) {
+    console.log(
+      "Usage: node index.js validator slashing-protection <export|import> <file>"
+    );
+    process.exit(1);
+  }
+  if (running) {
+    console.log(
+      "❌ The BuidlGuidl Client is running. Stop it before moving the slashing protection history."
+    );
+    process.exit(1);
+  }
+
+  try {
+    if (action === "export") {
+      const summary = exportSlashingProtection(
+        installDir,
+        consensusClient,
+        network,
+        file
+      );
+      console.log(`\n✅ Slashing protection history exported to ${file}`);
+      printSummary(summary);
+    } else {
+      if (!fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+      }
+      const summary = importSlashingProtection(
+        installDir,
+        consensusClient,
+        network,
+        file
+      );
+      console.log(`\n✅ Slashing protection history imported from ${file}`);
+      printSummary(summary);
+
+      const keystoresDir = path.join(
+        getValidatorBaseDir(installDir),
+        "keystores"
+      );
+      const missing = fs.existsSync(keystoresDir)
+        ? getKeystorePubkeys(keystoresDir).filter(
+            (pubkey) => !summary.pubkeys.includes(pubkey)
+          )
+        : [];
+      if (missing.length > 0) {
+        console.log(
+          `⚠️  The file has no history for ${missing.length} of the installed keys:`
+        );
+        missing.forEach((pubkey) => console.log(`   ${pubkey}`));
+      }
+    }
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
@@ -0,0 +1,317 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { execFileSync, spawn } from "child_process";
+import { debugToFile } from "../helpers.js";
+import { getClientAdapter } from "../clientRegistry.js";
+import { getDiskSpace } from "../getSystemStats.js";
+
+/**
+ * snapshotBootstrap.js
+ *
+ * Fills the database of an execution client from a snapshot archive
+ * (--snapshot <file|url>) instead of syncing it from genesis. The archive
+ * must be a tarball of the client's data directory, the directory passed
+ * to the client as --datadir.
+ *
+ * Downloads go to ethereum_clients/<client>/snapshot/ and resume where
+ * they stopped when the client is started again. The archive must match a
+ * SHA256 hash, given with --snapshot-sha256 or published next to it as
+ * <archive>.sha256, and is unpacked into database.partial/, which becomes
+ * database/ once complete.
+ */
+
+// Unpacked databases are larger than the compressed archive
+const EXTRACTED_SIZE_FACTOR = 2;
+
+// Decompression flags of tar, by archive extension
+const TAR_FLAGS = [
+  { pattern: /\.(tar\.zst|tzst)$/, flags: ["--zstd"] },
+  { pattern: /\.(tar\.gz|tgz)$/, flags: ["-z"] },
+  { pattern: /\.(tar\.xz|txz)$/, flags: ["-J"] },
+  { pattern: /\.tar\.lz4$/, flags: ["-I", "lz4"] },
+  { pattern: /\.tar$/, flags: [] },
+];
+
+function isRemote(source) {
+  return /^https?:\/\//.test(source);
+}
+
+function formatBytes(bytes) {
+  const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
+  if (bytes === 0) return "0 Byte";
+  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)), 10);
+  return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + " " + sizes[i];
+}
+
+function writeProgress(label, done, total) {
+  const percent = total > 0 ? Math.min(100, (done / total) * 100) : 0;
+  const width = 30;
+  const filled = Math.round((percent / 100) * width);
+  process.stdout.write(
+    `\r${label} [${"█".repeat(filled)}${" ".repeat(
+      width - filled
+    )}] ${percent.toFixed(1)}% (${formatBytes(done)})`
+  );
+}
+
+function hasContents(dir) {
+  return fs.existsSync(dir) && fs.readdirSync(dir).length > 0;
+}
+
+/**
+ * Size of the archive in bytes, or null if the server does not report it.
+ */
+function getArchiveSize(source) {
+  if (!isRemote(source)) {
+    return fs.statSync(source).size;
+  }
+  try {
+    const headers = execFileSync("curl", ["-fsIL", source], {
+      encoding: "utf8",
+    });
+    // With redirects, the last response describes the archive
+    const lengths = [...headers.matchAll(/^content-length:\s*(\d+)/gim)];
+    return lengths.length > 0
+      ? parseInt(lengths[lengths.length - 1][1], 10)
+      : null;
+  } catch (error) {
+    debugToFile(`getArchiveSize(): ${error}`);
+    return null;
+  }
+}
+
+/**
+ * SHA256 hash the archive must match: the given one, or the first hash in
+ * <archive>.sha256 (the format written by sha256sum).
+ */
+function getExpectedChecksum(source, checksum) {
+  if (checksum) return checksum.toLowerCase();
+
+  try {
+    const checksumFile = isRemote(source)
+      ? execFileSync("curl", ["-fsL", `${source}.sha256`], { encoding: "utf8" })
+      : fs.readFileSync(`${source}.sha256`, "utf8");
+    const match = checksumFile.match(/\b[0-9a-fA-F]{64}\b/);
+    return match ? match[0].toLowerCase() : null;
+  } catch (error) {
+    debugToFile(`getExpectedChecksum(): ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Download the archive to `destPath`, continuing a previous partial
+ * download. curl renders the progress bar.
+ */
+function downloadArchive(source, destPath) {
+  const partialPath = `${destPath}.partial`;
+  if (fs.existsSync(partialPath)) {
+    console.log(
+      `⏯️  Resuming download at ${formatBytes(fs.statSync(partialPath).size)}`
+    );
+  }
+  execFileSync(
+    "curl",
+    ["-fL", "--retry", "5", "-C", "-", "-o", partialPath, "-#", source],
+    { stdio: "inherit" }
+  );
+  fs.renameSync(partialPath, destPath);
+}
+
+async function hashFile(filePath) {
+  const total = fs.statSync(filePath).size;
+  const hash = crypto.createHash("sha256");
+  let done = 0;
+  let lastUpdate = 0;
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    done += chunk.length;
+    if (Date.now() - lastUpdate > 500) {
+      lastUpdate = Date.now();
+      writeProgress("🔎 Verifying ", done, total);
+    }
+  }
+  writeProgress("🔎 Verifying ", total, total);
+  process.stdout.write("\n");
+  return hash.digest("hex");
+}
+
+/**
+ * Unpack the archive into `destDir`, streaming it through tar so that the
+ * progress can be shown.
+ */
+function extractArchive(archivePath, destDir) {
+  const format = TAR_FLAGS.find(({ pattern }) => pattern.test(archivePath));
+  const total = fs.statSync(archivePath).size;
+  fs.mkdirSync(destDir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    const tar = spawn("tar", ["-x", ...format.flags, "-C", destDir], {
+      stdio: ["pipe", "ignore", "inherit"],
+    });
+    const input = fs.createReadStream(archivePath);
+    let done = 0;
+    let lastUpdate = 0;
+
+    input.on("data", (chunk) => {
+      done += chunk.length;
+      if (Date.now() - lastUpdate > 500) {
+        lastUpdate = Date.now();
+        writeProgress("📦 Extracting", done, total);
+      }
+    });
+    input.on("error", reject);
+    tar.on("error", reject);
+    tar.on("close", (code) => {
+      if (code !== 0) {
+        process.stdout.write("\n");
+        reject(new Error(`tar exited with code ${code}`));
+        return;
+      }
+      writeProgress("📦 Extracting", total, total);
+      process.stdout.write("\n");
+      resolve();
+    });
+    input.pipe(tar.stdin);
+  });
+}
+
+function abortBootstrap(lines) {
+  lines.forEach((line) => console.log(line));
+  process.exit(1);
+}
+
+/**
+ * Fill the database of an execution client from a snapshot archive before
+ * it starts for the first time. Does nothing if the database is not empty.
+ * Exits if the snapshot cannot be used.
+ *
+ * @param {string} clientName
+ * @param {string} installDir
+ * @param {object} snapshot
+ * @param {string} snapshot.source - Path or http(s) URL of the archive
+ * @param {string|null} snapshot.checksum - Expected SHA256 of the archive
+ */
+export async function bootstrapExecutionSnapshot(
+  clientName,
+  installDir,
+  { source, checksum }
+) {
+  const clientLabel = getClientAdapter(clientName).label;
+  const clientDir = path.join(installDir, "ethereum_clients", clientName);
+  const dataDir = path.join(clientDir, "database");
+
+  if (hasContents(dataDir)) {
+    console.log(
+      `ℹ️  ${clientLabel} database already exists, ignoring --snapshot.`
+    );
+    return;
+  }
+
+  const fileName = path.basename(
+    isRemote(source) ? new URL(source).pathname : source
+  );
+  if (!TAR_FLAGS.some(({ pattern }) => pattern.test(fileName))) {
+    abortBootstrap([
+      `❌ Unsupported snapshot archive ${fileName}.`,
+      "   Use a .tar, .tar.zst, .tar.gz, .tar.xz or .tar.lz4 archive.",
+    ]);
+  }
+  if (!isRemote(source) && !fs.existsSync(source)) {
+    abortBootstrap([`❌ Snapshot archive not found: ${source}`]);
+  }
+
+  console.log(`\n📸 Bootstrapping the ${clientLabel} database from ${source}`);
+
+  const expectedChecksum = getExpectedChecksum(source, checksum);
+  if (!expectedChecksum) {
+    abortBootstrap([
+      `❌ No SHA256 checksum for ${fileName}.`,
+      "   Pass it with --snapshot-sha256, or publish it as <archive>.sha256.",
+    ]);
+  }
+
+  const snapshotDir = path.join(clientDir, "snapshot");
+  const archivePath = isRemote(source)
+    ? path.join(snapshotDir, fileName)
+    : source;
+  const archiveSize = getArchiveSize(source);
+
+  // The download and the unpacked database share the drive with the other
+  // clients; what is already downloaded needs no more space
+  const diskSpace = await getDiskSpace(installDir);
+  if (archiveSize && diskSpace) {
+    let downloaded = 0;
+    if (fs.existsSync(archivePath)) {
+      downloaded = fs.statSync(archivePath).size;
+    } else if (fs.existsSync(`${archivePath}.partial`)) {
+      downloaded = fs.statSync(`${archivePath}.partial`).size;
+    }
+    const required =
+      (isRemote(source) ? archiveSize - downloaded : 0) +
+      archiveSize * EXTRACTED_SIZE_FACTOR;
+    if (required > diskSpace.available) {
+      abortBootstrap([
+        `❌ Not enough disk space for the snapshot: about ${formatBytes(
+          required
+        )} needed, ${formatBytes(diskSpace.available)} available.`,
+      ]);
+    }
+    console.log(
+      `   Archive: ${formatBytes(archiveSize)}, free disk space: ${formatBytes(
+        diskSpace.available
+      )}`
+    );
+  } else {
+    console.log(
+      "⚠️  Could not determine the snapshot size, skipping the disk space check."
+    );
+  }
+
+  if (isRemote(source) && !fs.existsSync(archivePath)) {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    try {
+      downloadArchive(source, archivePath);
+    } catch (error) {
+      debugToFile(`bootstrapExecutionSnapshot(): ${error}`);
+      abortBootstrap([
+        "❌ The snapshot download failed. Start the client again to resume it.",
+      ]);
+    }
+  }
+
+  const actualChecksum = await hashFile(archivePath);
+  if (actualChecksum !== expectedChecksum) {
+    debugToFile(
+      `bootstrapExecutionSnapshot(): ${fileName} expected ${expectedChecksum}, got ${actualChecksum}`
+    );
+    if (isRemote(source)) fs.rmSync(archivePath, { force: true });
+    abortBootstrap([
+      `❌ SHA256 checksum verification FAILED for ${fileName}!`,
+      `   Expected ${expectedChecksum}`,
+      `   Got      ${actualChecksum}`,
+    ]);
+  }
+  console.log("✅ Checksum verified.");
+
+  const stagingDir = path.join(clientDir, "database.partial");
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  try {
+    await extractArchive(archivePath, stagingDir);
+  } catch (error) {
+    debugToFile(`bootstrapExecutionSnapshot(): ${error}`);
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    abortBootstrap([`❌ Could not extract ${fileName}: ${error.message}`]);
+  }
+
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  fs.renameSync(stagingDir, dataDir);
+  if (isRemote(source)) {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  }
+
+  console.log(`✅ ${clientLabel} database restored from the snapshot.\n`);
+  debugToFile(`bootstrapExecutionSnapshot(): ${clientLabel} from ${source}`);
+}
@@ -0,0 +1,308 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import readlineSync from "readline-sync";
+import { debugToFile } from "../helpers.js";
+import { getClientAdapter, getClientLogLocation } from "../clientRegistry.js";
+import { getEpochAt, getEpochStartTime } from "../beaconChain.js";
+import { sendRequest } from "../controlSocket.js";
+import { buildServiceArgs } from "../serviceManager.js";
+import { installMacLinuxClient, checkClientPrerequisites } from "./install.js";
+import {
+  hasExistingKeys,
+  ensureValidatorDirs,
+  importKeysForClient,
+  loadKeystorePassword,
+} from "./keyManager.js";
+import { cleanupSecureDir } from "./secureStore.js";
+import {
+  supportsSlashingProtection,
+  exportSlashingProtection,
+  importSlashingProtection,
+} from "./slashingProtection.js";
+
+/**
+ * validatorMigration.js
+ *
+ * Implements `node index.js validator migrate --to <client>`, which moves
+ * the validator keys from the validator client of the current consensus
+ * client to another one:
+ *
+ *   1. stop the running instance, if any
+ *   2. export the slashing protection history of the old client
+ *   3. install the new client and import the keys into it
+ *   4. import the slashing protection history into the new client
+ *   5. wait until the keys have been offline for MIN_OFFLINE_EPOCHS
+ *   6. start the node with the new consensus client
+ *
+ * Exported histories are kept in ethereum_clients/validator/migrations/.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Full epochs the keys stay offline before the new client starts
+const MIN_OFFLINE_EPOCHS = 2;
+
+// Clients can take minutes to flush their databases on shutdown
+const STOP_TIMEOUT = 5 * 60 * 1000;
+
+function isInstanceRunning(installDir) {
+  try {
+    const pid = parseInt(
+      fs.readFileSync(
+        path.join(installDir, "ethereum_clients", "script.lock"),
+        "utf8"
+      ),
+      10
+    );
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function stopRunningInstance(installDir) {
+  console.log("⏹️  Stopping the running client...");
+  await sendRequest(installDir, "stop", []);
+
+  const deadline = Date.now() + STOP_TIMEOUT;
+  while (isInstanceRunning(installDir)) {
+    if (Date.now() > deadline) {
+      throw new Error("The running client did not stop within 5 minutes");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  console.log("✅ Client stopped.");
+}
+
+/**
+ * When the old validator client last ran: the time of its newest log
+ * write, or 0 if it never ran.
+ */
+function getLastValidatorActivity(installDir, clientName) {
+  const { dir, prefix } = getClientLogLocation(installDir, clientName, {
+    validator: true,
+  });
+  if (!fs.existsSync(dir)) return 0;
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.startsWith(prefix))
+    .map((file) => fs.statSync(path.join(dir, file)).mtimeMs)
+    .reduce((latest, mtime) => Math.max(latest, mtime), 0);
+}
+
+/**
+ * Wait until MIN_OFFLINE_EPOCHS full epochs have passed since `stoppedAt`,
+ * so that nothing the old client signed can be repeated by the new one.
+ */
+async function waitOfflineEpochs(network, stoppedAt) {
+  const resumeEpoch = getEpochAt(network, stoppedAt) + MIN_OFFLINE_EPOCHS + 1;
+  const resumeAt = getEpochStartTime(network, resumeEpoch);
+
+  while (Date.now() < resumeAt) {
+    const seconds = Math.ceil((resumeAt - Date.now()) / 1000);
+    process.stdout.write(
+      `\r⏳ Waiting for epoch ${resumeEpoch} before starting the new validator client: ${Math.floor(
+        seconds / 60
+      )}:${String(seconds % 60).padStart(2, "0")} `
+    );
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  if (stoppedAt > 0) {
+    process.stdout.write(
+      `\r✅ The keys have been offline for ${MIN_OFFLINE_EPOCHS} epochs.${" ".repeat(
+        40
+      )}\n`
+    );
+  }
+}
+
+/**
+ * Command line of the node with the new consensus client. Peer ports that
+ * were the defaults of the old client become those of the new one.
+ */
+function buildStartArgs(options, from, to) {
+  const oldDefaults = getClientAdapter(from).defaultPeerPorts;
+  const consensusPeerPorts =
+    options.consensusPeerPorts.join(",") === oldDefaults.join(",")
+      ? getClientAdapter(to).defaultPeerPorts
+      : options.consensusPeerPorts;
+
+  return buildServiceArgs({
+    ...options,
+    consensusClient: to,
+    consensusPeerPorts,
+    validatorEnabled: true,
+  }).filter((arg) => arg !== "--headless" || options.headless);
+}
+
+function fail(message) {
+  console.log(`❌ ${message}`);
+  cleanupSecureDir();
+  process.exit(1);
+}
+
+/**
+ * Entry point for `node index.js validator migrate --to <client>`.
+ *
+ * @param {object} options - Options of the running instance, or the
+ *   resolved options if none is running
+ * @param {object} migration
+ * @param {string} migration.to - Consensus client to migrate to
+ * @param {boolean} migration.yes - Do not ask for confirmation
+ */
+export async function runValidatorMigration(options, { to, yes }) {
+  const { installDir, network } = options;
+  const from = options.consensusClient;
+
+  if (!to) {
+    console.log(
+      "Usage: node index.js validator migrate --to <lighthouse|prysm>"
+    );
+    process.exit(1);
+  }
+  if (to === from) {
+    fail(`The validator keys are already used with ${from}.`);
+  }
+  for (const client of [from, to]) {
+    if (!supportsSlashingProtection(client)) {
+      fail(
+        `Migrating validator keys is not supported for ${client}. Use lighthouse or prysm.`
+      );
+    }
+  }
+  if (!hasExistingKeys(installDir)) {
+    fail(`No validator keystores found in ${installDir}/ethereum_clients.`);
+  }
+
+  const fromLabel = getClientAdapter(from).label;
+  const toLabel = getClientAdapter(to).label;
+  const running = isInstanceRunning(installDir);
+
+  console.log("\n" + "═".repeat(60));
+  console.log(`  🔀  VALIDATOR MIGRATION: ${fromLabel} → ${toLabel}`);
+  console.log("═".repeat(60));
+  console.log("");
+  if (running) {
+    console.log("  • The running client will be stopped");
+  }
+  console.log(
+    `  • The slashing protection history is exported from ${fromLabel}`
+  );
+  console.log(`  • ${toLabel} is installed and the keys are imported into it`);
+  console.log(
+    `  • The keys stay offline for at least ${MIN_OFFLINE_EPOCHS} epochs (~13 minutes)`
+  );
+  console.log(`  • The node is started with ${toLabel} as consensus client`);
+  console.log("");
+  console.log("  ⚠️  Missed duties while offline cost a small amount of ETH.");
+  console.log("═".repeat(60));
+
+  if (!yes) {
+    const answer = readlineSync.question("\nStart the migration? (y/n): ");
+    if (answer.toLowerCase() !== "y" && answer.toLowerCase() !== "yes") {
+      console.log("Migration cancelled.");
+      process.exit(0);
+    }
+  }
+
+  try {
+    if (running) {
+      await stopRunningInstance(installDir);
+    }
+  } catch (error) {
+    fail(error.message);
+  }
+  const stoppedAt = running
+    ? Date.now()
+    : getLastValidatorActivity(installDir, from);
+
+  const migrationsDir = path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    "migrations"
+  );
+  fs.mkdirSync(migrationsDir, { recursive: true });
+  const historyPath = path.join(
+    migrationsDir,
+    `slashing_protection_${from}_${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}.json`
+  );
+
+  try {
+    console.log(
+      `\n📤 Exporting the slashing protection history of ${fromLabel}...`
+    );
+    const summary = exportSlashingProtection(
+      installDir,
+      from,
+      network,
+      historyPath
+    );
+    console.log(
+      `✅ Exported the history of ${summary.pubkeys.length} validator(s) to ${historyPath}`
+    );
+
+    checkClientPrerequisites(to);
+    installMacLinuxClient(to, os.platform());
+    ensureValidatorDirs(installDir, to);
+
+    console.log(`\n📥 Importing the validator keys into ${toLabel}...`);
+    // Prysm imports the keys into its own wallet, encrypted with the
+    // keystore password
+    if (to === "prysm") {
+      loadKeystorePassword(installDir);
+    }
+    importKeysForClient(installDir, to, network);
+
+    console.log(
+      `\n📥 Importing the slashing protection history into ${toLabel}...`
+    );
+    importSlashingProtection(installDir, to, network, historyPath);
+    console.log("✅ Slashing protection history imported.");
+  } catch (error) {
+    debugToFile(`runValidatorMigration(): ${error}`);
+    fail(
+      `${error.message}\n   Nothing was started. Start the node with --consensusclient ${from} to continue with ${fromLabel}.`
+    );
+  } finally {
+    cleanupSecureDir();
+  }
+
+  debugToFile(
+    `runValidatorMigration(): ${from} to ${to}, history in ${historyPath}`
+  );
+
+  await waitOfflineEpochs(network, stoppedAt);
+
+  if (!options.feeRecipient) {
+    console.log(
+      `\n✅ Migration complete. Start the node with --validator --consensusclient ${to}.`
+    );
+    process.exit(0);
+  }
+
+  const args = buildStartArgs(options, from, to);
+  console.log(`\n✅ Migration complete. Starting the node with ${toLabel}:`);
+  console.log(`   node index.js ${args.join(" ")}`);
+  console.log(
+    `   Use --consensusclient ${to} from now on, also in your config file or service.\n`
+  );
+
+  const child = spawn(
+    process.execPath,
+    [path.join(__dirname, "..", "index.js"), ...args],
+    { stdio: "inherit" }
+  );
+  // The node handles Ctrl+C itself
+  process.on("SIGINT", () => {});
+  const code = await new Promise((resolve) => child.on("exit", resolve));
+  process.exit(code === null ? 1 : code);
+}
@@ -0,0 +1,298 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { execFileSync, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { debugToFile } from "../helpers.js";
+import {
+  fetchReleaseFile,
+  getReleaseBundle,
+  getBundledChecksum,
+} from "./releaseBundle.js";
+
+/**
+ * verifyDownload.js
+ *
+ * Integrity checks for client downloads. Every file installed by
+ * installMacLinuxClient() must match the SHA256 hash pinned for it in
+ * client_checksums.json:
+ *
+ *   { "<client>": { "<version>": { "<file name>": "<sha256>" } } }
+ *
+ * Clients whose releases are signed upstream additionally declare a
+ * `signature` in their adapter, which is checked with gpg or minisign
+ * against the signing key pinned there.
+ *
+ * A file without a pinned hash aborts the install, unless
+ * --allow-unpinned-downloads is given. The signature of such a file must
+ * then check out, if the client signs its releases.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CHECKSUM_MANIFEST_PATH = path.join(
+  __dirname,
+  "..",
+  "client_checksums.json"
+);
+
+const GPG_KEYSERVER = "https://keyserver.ubuntu.com";
+
+let unpinnedDownloadsAllowed = false;
+
+/**
+ * Install files that have no pinned hash, with a warning. Set by
+ * --allow-unpinned-downloads.
+ */
+export function allowUnpinnedDownloads() {
+  unpinnedDownloadsAllowed = true;
+}
+
+export function loadChecksumManifest() {
+  if (!fs.existsSync(CHECKSUM_MANIFEST_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(CHECKSUM_MANIFEST_PATH, "utf8"));
+}
+
+export function saveChecksumManifest(manifest) {
+  fs.writeFileSync(
+    CHECKSUM_MANIFEST_PATH,
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+}
+
+export function sha256File(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+function isInstalled(tool) {
+  return !spawnSync(tool, ["--version"], { stdio: "ignore" }).error;
+}
+
+/**
+ * URL the public key of a gpg signature is fetched from. Bundles store the
+ * key under this URL too, see releaseBundle.js.
+ */
+export function getSigningKeyUrl(signature) {
+  return `${GPG_KEYSERVER}/pks/lookup?op=get&options=mr&search=0x${signature.key}`;
+}
+
+function verifyGpgSignature(signature, filePath, signaturePath) {
+  const key = signature.key;
+  // Use a throwaway keyring so the user's own keyring is never touched
+  const gnupgHome = fs.mkdtempSync(path.join(os.tmpdir(), "bgclient-gpg-"));
+  try {
+    const keyPath = path.join(gnupgHome, "signing-key.asc");
+    try {
+      fetchReleaseFile(getSigningKeyUrl(signature), keyPath);
+      execFileSync(
+        "gpg",
+        ["--homedir", gnupgHome, "--batch", "--import", keyPath],
+        { stdio: "ignore" }
+      );
+    } catch (error) {
+      debugToFile(`verifyGpgSignature(): ${error}`);
+      throw new Error(`could not fetch signing key ${key}`);
+    }
+
+    const { stdout } = spawnSync(
+      "gpg",
+      [
+        "--homedir",
+        gnupgHome,
+        "--batch",
+        "--status-fd",
+        "1",
+        "--verify",
+        signaturePath,
+        filePath,
+      ],
+      { encoding: "utf8" }
+    );
+
+    // [GNUPG:] VALIDSIG <signing key fpr> ... <primary key fpr>
+    const validSig = (stdout || "")
+      .split("\n")
+      .find((line) => line.startsWith("[GNUPG:] VALIDSIG "));
+    const fields = validSig ? validSig.trim().split(" ") : [];
+    const fingerprints = [fields[2], fields[fields.length - 1]];
+
+    if (!validSig || !fingerprints.includes(key.toUpperCase())) {
+      throw new Error(`signature is not valid for the pinned key ${key}`);
+    }
+  } finally {
+    fs.rmSync(gnupgHome, { recursive: true, force: true });
+  }
+}
+
+function verifyMinisignSignature(key, filePath, signaturePath) {
+  const result = spawnSync(
+    "minisign",
+    ["-V", "-q", "-m", filePath, "-x", signaturePath, "-P", key],
+    { encoding: "utf8" }
+  );
+  if (result.status !== 0) {
+    throw new Error("signature is not valid for the pinned public key");
+  }
+}
+
+/**
+ * Check the upstream signature of a downloaded file, if the adapter
+ * declares one. Throws if the signature is missing or invalid.
+ *
+ * Without gpg/minisign installed the check is skipped with a warning,
+ * unless `required` is set.
+ *
+ * @returns {boolean} Whether a signature was checked
+ */
+export function verifySignature(
+  adapter,
+  download,
+  filePath,
+  { required = false } = {}
+) {
+  const signature = adapter.signature;
+  if (!signature) return false;
+
+  const tool = signature.type === "minisign" ? "minisign" : "gpg";
+  if (!isInstalled(tool)) {
+    if (required) {
+      throw new Error(`${tool} is required to check ${adapter.label} releases`);
+    }
+    console.log(
+      `⚠️  ${tool} is not installed, skipping the ${adapter.label} signature check.`
+    );
+    return false;
+  }
+
+  const signaturePath = `${filePath}.sig`;
+  try {
+    try {
+      fetchReleaseFile(signature.url(download), signaturePath);
+    } catch (error) {
+      debugToFile(`verifySignature(): ${error}`);
+      throw new Error(`could not download ${signature.url(download)}`);
+    }
+
+    if (tool === "minisign") {
+      verifyMinisignSignature(signature.key, filePath, signaturePath);
+    } else {
+      verifyGpgSignature(signature, filePath, signaturePath);
+    }
+    return true;
+  } finally {
+    fs.rmSync(signaturePath, { force: true });
+  }
+}
+
+function abortInstall(filePath, lines) {
+  lines.forEach((line) => console.log(line));
+  console.log("   Aborting installation for safety.");
+  fs.rmSync(filePath, { force: true });
+  process.exit(1);
+}
+
+/**
+ * Files installed from a bundle must match the hash it was exported with.
+ */
+function verifyBundledChecksum(adapter, version, download, filePath) {
+  const bundledChecksum = getBundledChecksum(
+    adapter.name,
+    version,
+    download.fileName
+  );
+  if (!bundledChecksum) {
+    abortInstall(filePath, [
+      `❌ ${download.fileName} (${adapter.label} ${version}) has no SHA256 checksum in the bundle.`,
+    ]);
+  }
+  if (sha256File(filePath) !== bundledChecksum) {
+    abortInstall(filePath, [
+      `❌ ${download.fileName} does not match the SHA256 checksum in the bundle.`,
+      "   The bundle may be corrupted or incomplete.",
+    ]);
+  }
+}
+
+function verifyDownloadSignature(adapter, download, filePath, required) {
+  try {
+    if (verifySignature(adapter, download, filePath, { required })) {
+      console.log("✅ Signature verified.");
+    }
+  } catch (error) {
+    abortInstall(filePath, [
+      `❌ Signature verification FAILED for ${download.fileName}: ${error.message}`,
+    ]);
+  }
+}
+
+/**
+ * Verify a downloaded client file against the pinned SHA256 hash and the
+ * upstream signature. Removes the file and exits if either check fails.
+ */
+export function verifyClientDownload(adapter, version, download, filePath) {
+  if (adapter.verifyChecksum === false) {
+    console.log(
+      `⚠️  ${adapter.label} downloads are not pinned, skipping the checksum check.`
+    );
+    return;
+  }
+
+  if (getReleaseBundle()) {
+    verifyBundledChecksum(adapter, version, download, filePath);
+  }
+
+  const expectedChecksum = ((loadChecksumManifest()[adapter.name] || {})[
+    version
+  ] || {})[download.fileName];
+
+  if (!expectedChecksum && !unpinnedDownloadsAllowed) {
+    abortInstall(filePath, [
+      `❌ No pinned SHA256 checksum for ${download.fileName} (${adapter.label} ${version}).`,
+      `   Expected an entry in ${path.basename(CHECKSUM_MANIFEST_PATH)}.`,
+      "   Pass --allow-unpinned-downloads to install it anyway.",
+    ]);
+  }
+
+  if (!expectedChecksum) {
+    console.log(
+      `⚠️  ${
+        download.fileName
+      } has no pinned SHA256 checksum (--allow-unpinned-downloads). ${
+        adapter.signature
+          ? "Only its signature is checked."
+          : "It cannot be verified."
+      }`
+    );
+    debugToFile(
+      `verifyClientDownload(): ${
+        download.fileName
+      } is not pinned, sha256 ${sha256File(filePath)}`
+    );
+    verifyDownloadSignature(adapter, download, filePath, true);
+    return;
+  }
+
+  console.log("Verifying SHA256 checksum...");
+  const actualChecksum = sha256File(filePath);
+  if (actualChecksum !== expectedChecksum) {
+    debugToFile(
+      `verifyClientDownload(): ${download.fileName} expected ${expectedChecksum}, got ${actualChecksum}`
+    );
+    abortInstall(filePath, [
+      `❌ SHA256 checksum verification FAILED for ${download.fileName}!`,
+      `   Expected ${expectedChecksum}`,
+      `   Got      ${actualChecksum}`,
+      "   The downloaded file may be corrupted or tampered with.",
+    ]);
+  }
+  console.log("✅ Checksum verified.");
+
+  verifyDownloadSignature(adapter, download, filePath, false);
+}
@@ -0,0 +1,297 @@
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import readlineSync from "readline-sync";
+import { debugToFile } from "../helpers.js";
+import { getClientAdapter, getClientCommand } from "../clientRegistry.js";
+import {
+  FAR_FUTURE_EPOCH,
+  getEpochAt,
+  getEpochStartTime,
+  getValidatorState,
+} from "../beaconChain.js";
+import { getKeystorePubkeys } from "./slashingProtection.js";
+import { getPasswordFilePath, loadKeystorePassword } from "./keyManager.js";
+import { cleanupSecureDir } from "./secureStore.js";
+
+/**
+ * voluntaryExit.js
+ *
+ * Implements `node index.js validator exit <pubkey|index>`. The validator
+ * is looked up on the local beacon node, so the node must be running. The
+ * exit is signed with the key from ethereum_clients/validator/keystores by
+ * the validator client (voluntaryExitArgs in its adapter) and submitted to
+ * the local beacon node.
+ *
+ * Afterwards the validator is followed through the exit queue until it has
+ * exited. Running the command again for a validator that is already exiting
+ * only follows it.
+ */
+
+// Epochs a validator must be active before it may exit
+const SHARD_COMMITTEE_PERIOD = 256;
+
+const POLL_INTERVAL = 60 * 1000;
+
+const EXITING_STATUSES = ["active_exiting", "active_slashed"];
+const EXITED_STATUSES = [
+  "exited_unslashed",
+  "exited_slashed",
+  "withdrawal_possible",
+  "withdrawal_done",
+];
+
+function formatEth(gwei) {
+  return `${(Number(gwei) / 1e9).toFixed(4)} ETH`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) {
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+  return `${Math.round(minutes / (24 * 60))} days`;
+}
+
+function formatEpoch(network, epoch) {
+  const time = getEpochStartTime(network, Number(epoch));
+  const relative =
+    time > Date.now() ? `in ${formatDuration(time - Date.now())}` : "passed";
+  return `epoch ${epoch} (${new Date(time).toLocaleString()}, ${relative})`;
+}
+
+/**
+ * Keystore file of a public key in the keystores directory, or null.
+ */
+function findKeystore(keystoresDir, pubkey) {
+  if (!fs.existsSync(keystoresDir)) return null;
+  const file = fs
+    .readdirSync(keystoresDir)
+    .find((name) => getKeystorePubkeys(keystoresDir, [name])[0] === pubkey);
+  return file ? path.join(keystoresDir, file) : null;
+}
+
+function printValidator(network, state) {
+  const { validator } = state;
+  console.log(`\n   Index:       ${state.index}`);
+  console.log(`   Public key:  ${validator.pubkey}`);
+  console.log(`   Status:      ${state.status}`);
+  console.log(`   Balance:     ${formatEth(state.balance)}`);
+  console.log(
+    `   Activated:   ${formatEpoch(network, validator.activation_epoch)}`
+  );
+  if (validator.exit_epoch !== FAR_FUTURE_EPOCH) {
+    console.log(
+      `   Exit:        ${formatEpoch(network, validator.exit_epoch)}`
+    );
+    console.log(
+      `   Withdrawable: ${formatEpoch(network, validator.withdrawable_epoch)}`
+    );
+  }
+}
+
+/**
+ * Follow the validator until it has exited, printing where it is in the
+ * exit queue.
+ */
+async function trackExit(network, index) {
+  console.log(
+    "\n👀 Following the exit. Press Ctrl+C to stop, and run the command again to resume."
+  );
+  let lastStatus = null;
+
+  for (;;) {
+    let state = null;
+    try {
+      state = await getValidatorState(index);
+    } catch (error) {
+      debugToFile(`trackExit(): ${error}`);
+    }
+
+    if (!state) {
+      process.stdout.write(
+        "\r⚠️  The beacon node is not reachable, retrying...                "
+      );
+    } else if (state.status === "active_ongoing") {
+      process.stdout.write(
+        "\r⏳ Waiting for the exit to be included in a block...             "
+      );
+    } else if (EXITING_STATUSES.includes(state.status)) {
+      if (lastStatus !== null && lastStatus !== state.status) {
+        process.stdout.write("\n");
+      }
+      process.stdout.write(
+        `\r🚪 In the exit queue, exits at ${formatEpoch(
+          network,
+          state.validator.exit_epoch
+        )}   `
+      );
+    } else if (EXITED_STATUSES.includes(state.status)) {
+      console.log(`\n\n✅ Validator ${index} has exited (${state.status}).`);
+      if (state.status === "withdrawal_done") {
+        console.log("   Its balance has been withdrawn.");
+      } else {
+        console.log(
+          `   Its balance is withdrawn automatically after ${formatEpoch(
+            network,
+            state.validator.withdrawable_epoch
+          )}.`
+        );
+      }
+      return;
+    }
+    lastStatus = state ? state.status : lastStatus;
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+function submitExit(
+  installDir,
+  consensusClient,
+  network,
+  pubkey,
+  keystorePath
+) {
+  const adapter = getClientAdapter(consensusClient);
+  const command = getClientCommand(installDir, consensusClient, {
+    validator: true,
+  });
+  if (!fs.existsSync(command)) {
+    throw new Error(`${adapter.label} is not installed`);
+  }
+
+  const validatorDir = path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    consensusClient
+  );
+  loadKeystorePassword(installDir);
+  const args = adapter.validator.voluntaryExitArgs(
+    { network, validatorDir },
+    { pubkey, keystorePath, passwordFile: getPasswordFilePath(installDir) }
+  );
+  try {
+    execFileSync(command, args, { stdio: "inherit" });
+  } catch (error) {
+    debugToFile(`submitExit(): ${command} ${args.join(" ")}: ${error}`);
+    throw new Error(`${adapter.label} could not submit the exit`);
+  } finally {
+    cleanupSecureDir();
+  }
+}
+
+/**
+ * Entry point for `node index.js validator exit <pubkey|index>`.
+ */
+export async function runValidatorExitCommand(
+  id,
+  { installDir, consensusClient, network }
+) {
+  if (!/^(\d+|0x[0-9a-fA-F]{96})$/.test(id || "")) {
+    console.log("Usage: node index.js validator exit <pubkey|index>");
+    process.exit(1);
+  }
+  const adapter = getClientAdapter(consensusClient);
+  if (!adapter.validator || !adapter.validator.voluntaryExitArgs) {
+    console.log(
+      `❌ Voluntary exits are not supported for ${adapter.label}. Use lighthouse or prysm.`
+    );
+    process.exit(1);
+  }
+
+  let state;
+  try {
+    state = await getValidatorState(id.toLowerCase());
+  } catch (error) {
+    debugToFile(`runValidatorExitCommand(): ${error}`);
+    console.log(
+      "❌ Could not reach the beacon node on localhost:5052. Start the node and wait until it is synced."
+    );
+    process.exit(1);
+  }
+  if (!state) {
+    console.log(
+      `❌ Validator ${id} is not known to the beacon chain. Its deposit may not have been processed yet.`
+    );
+    process.exit(1);
+  }
+
+  const pubkey = state.validator.pubkey.toLowerCase();
+  const keystorePath = findKeystore(
+    path.join(installDir, "ethereum_clients", "validator", "keystores"),
+    pubkey
+  );
+  if (!keystorePath) {
+    console.log(
+      `❌ Validator ${state.index} is not one of the keys in ${installDir}/ethereum_clients/validator/keystores.`
+    );
+    process.exit(1);
+  }
+
+  printValidator(network, state);
+
+  if (
+    EXITING_STATUSES.includes(state.status) ||
+    EXITED_STATUSES.includes(state.status)
+  ) {
+    console.log("\nℹ️  This validator is already exiting.");
+    await trackExit(network, state.index);
+    process.exit(0);
+  }
+  if (state.status !== "active_ongoing") {
+    console.log(
+      `\n❌ Only active validators can exit, validator ${state.index} is ${state.status}.`
+    );
+    process.exit(1);
+  }
+
+  const earliestExitEpoch =
+    Number(state.validator.activation_epoch) + SHARD_COMMITTEE_PERIOD;
+  if (getEpochAt(network, Date.now()) < earliestExitEpoch) {
+    console.log(
+      `\n❌ Validators must be active for ${SHARD_COMMITTEE_PERIOD} epochs before they can exit. Validator ${
+        state.index
+      } can exit from ${formatEpoch(network, earliestExitEpoch)}.`
+    );
+    process.exit(1);
+  }
+
+  console.log("\n" + "═".repeat(60));
+  console.log("  ⚠️  VOLUNTARY EXIT");
+  console.log("═".repeat(60));
+  console.log("  An exit cannot be cancelled or undone. The validator keeps");
+  console.log("  its duties until it leaves the exit queue and can never be");
+  console.log("  activated again. Its balance is sent to its withdrawal");
+  console.log("  address once it is withdrawable.");
+  if (state.validator.withdrawal_credentials.startsWith("0x00")) {
+    console.log("");
+    console.log("  🔴 This validator has no withdrawal address (0x00");
+    console.log("  credentials). Its balance cannot be withdrawn until the");
+    console.log("  credentials are changed to an execution address.");
+  }
+  console.log("═".repeat(60));
+
+  const confirmation = `exit ${state.index}`;
+  const answer = readlineSync.question(
+    `\nType "${confirmation}" to sign and submit the exit: `
+  );
+  if (answer.trim() !== confirmation) {
+    console.log("Exit cancelled.");
+    process.exit(0);
+  }
+
+  try {
+    submitExit(installDir, consensusClient, network, pubkey, keystorePath);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  debugToFile(`runValidatorExitCommand(): exit of ${state.index} submitted`);
+  console.log(`\n✅ Exit of validator ${state.index} submitted.`);
+
+  await trackExit(network, state.index);
+  process.exit(0);
+}
@@ -33,19 +33,20 @@ export function getCpuUsage() {
   });
 }
 
+// Find the drive with the longest mount point that is a prefix of installDir
+function findInstallDrive(drives, installDir) {
+  return [...drives]
+    .sort((a, b) => b.mount.length - a.mount.length)
+    .find((drive) => installDir.startsWith(drive.mount));
+}
+
 export function getDiskUsage(installDir) {
   return new Promise((resolve, reject) => {
     si.fsSize()
       .then((drives) => {
         let diskUsagePercent = 0;
 
-        // Sort drives by the length of their mount point, descending
-        drives.sort((a, b) => b.mount.length - a.mount.length);
-
-        // Find the drive with the longest mount point that is a prefix of installDir
-        const installDrive = drives.find((drive) => {
-          return installDir.startsWith(drive.mount);
-        });
+        const installDrive = findInstallDrive(drives, installDir);
 
         if (installDrive) {
           // debugToFile(`Drive info: ${JSON.stringify(installDrive, null, 2)}`);
@@ -76,6 +77,24 @@ export function getDiskUsage(installDir) {
   });
 }
 
+/**
+ * Size and free space in bytes of the drive holding installDir, or null if
+ * the drive is not found.
+ */
+export async function getDiskSpace(installDir) {
+  try {
+    const installDrive = findInstallDrive(await si.fsSize(), installDir);
+    if (!installDrive) {
+      debugToFile(`getDiskSpace(): Drive for ${installDir} not found.`);
+      return null;
+    }
+    return { size: installDrive.size, available: installDrive.available };
+  } catch (error) {
+    debugToFile(`getDiskSpace(): ${error}`);
+    return null;
+  }
+}
+
 export function getCpuTemperature() {
   return new Promise((resolve, reject) => {
     si.cpuTemperature()
@@ -4,27 +4,51 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
-import { initializeMonitoring } from "./monitor.js";
-import { installMacLinuxClient } from "./ethereum_client_scripts/install.js";
-import { initializeWebSocketConnection } from "./webSocketConnection.js";
+// commandLineOptions.js must be loaded before install.js: the two import
+// each other and the options module uses install.js exports while loading
 import {
+  network,
   executionClient,
   executionType,
   consensusClient,
   executionPeerPort,
   consensusPeerPorts,
   consensusCheckpoint,
+  checkpointProviders,
   installDir,
   owner,
   validatorEnabled,
   feeRecipient,
   graffiti,
+  missedDutyThreshold,
   validatorKeysDir,
   mevBoostEnabled,
+  headless,
+  executionSnapshot,
+  allowMissingSlashingProtection,
   saveOptionsToFile,
   deleteOptionsFile,
 } from "./commandLineOptions.js";
-import { setupValidatorKeys } from "./ethereum_client_scripts/keyManager.js";
+import {
+  installMacLinuxClient,
+  checkClientPrerequisites,
+} from "./ethereum_client_scripts/install.js";
+import { bootstrapExecutionSnapshot } from "./ethereum_client_scripts/snapshotBootstrap.js";
+import {
+  checkDiskSpace,
+  startDiskForecast,
+  stopDiskForecast,
+} from "./diskForecast.js";
+import {
+  startValidatorMonitor,
+  stopValidatorMonitor,
+} from "./validatorMonitor.js";
+import { initializeWebSocketConnection } from "./webSocketConnection.js";
+import {
+  setupValidatorKeys,
+  hasExistingKeys,
+} from "./ethereum_client_scripts/keyManager.js";
+import { checkSlashingProtection } from "./ethereum_client_scripts/slashingProtection.js";
 import { createSecureDir, cleanupSecureDir, getSecureDirPath } from "./ethereum_client_scripts/secureStore.js";
 import {
   setTelegramAlertIdentifier,
@@ -38,9 +62,48 @@ import {
 } from "./ethereum_client_scripts/configureBGPeers.js";
 import { getVersionNumber } from "./ethereum_client_scripts/install.js";
 import { debugToFile } from "./helpers.js";
+import { EXECUTION_CLIENTS, CONSENSUS_CLIENTS } from "./configFile.js";
+import {
+  getClientAdapter,
+  getClientLogLocation,
+  CHECKPOINT_FAILED_EXIT_CODE,
+} from "./clientRegistry.js";
 import {
-  selectCheckpointUrlForLighthouse,
-  selectCheckpointUrlForPrysm,
+  initSupervisor,
+  superviseProcess,
+  markProcessStarted,
+  handleProcessExit,
+  isCrashExit,
+  describeExit,
+  stopSupervisor,
+  requestRestart,
+  isRestartRequested,
+  getSupervisorStatus,
+} from "./clientSupervisor.js";
+import {
+  waitForLogFile,
+  waitForEngineApi,
+  waitForExecutionRpc,
+  waitForBeaconNode,
+  waitForMevBoost,
+  watchForNewLogFile,
+} from "./readinessProbes.js";
+import {
+  startNodeStatusWriter,
+  stopNodeStatusWriter,
+  getNodeStatusPath,
+  collectNodeStatus,
+} from "./nodeStatus.js";
+import {
+  startControlServer,
+  stopControlServer,
+  followFile,
+  LOG_LEVELS,
+} from "./controlSocket.js";
+import {
+  selectCheckpointUrl,
+  selectNextCheckpointUrl,
+  verifySyncedCheckpoint,
 } from "./checkpointHealthCheck.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -78,6 +141,12 @@ let mevBoostExited = false;
 
 let isExiting = false;
 
+// Without a terminal there is no stdin to hand to the clients
+const childStdio = [headless ? "ignore" : "inherit", "pipe", "inherit"];
+
+// Per-process log levels set with "ctl set-log-level", applied on (re)start
+const clientLogLevels = {};
+
 function handleExit(exitType) {
   if (isExiting) return; // Prevent multiple calls
 
@@ -96,6 +165,11 @@ function handleExit(exitType) {
   }
 
   isExiting = true;
+  stopSupervisor();
+  stopNodeStatusWriter(installDir);
+  stopDiskForecast();
+  stopValidatorMonitor();
+  stopControlServer();
 
   console.log(`\n\n🛰️  Received exit signal: ${exitType}\n`);
 
@@ -310,24 +384,23 @@ process.on("unhandledRejection", (reason, promise) => {
 let bgConsensusPeers = [];
 let bgConsensusAddrs;
 
-async function startClient(
-  clientName,
-  executionType,
-  installDir,
-  checkpointUrl = null
-) {
-  let clientCommand,
-    clientArgs = [];
+const launchClientScript = path.join(
+  __dirname,
+  "ethereum_client_scripts/launchClient.js"
+);
 
-  if (clientName === "geth") {
-    clientArgs.push("--executionpeerport", executionPeerPort);
-    clientArgs.push("--executiontype", executionType);
-    clientCommand = path.join(__dirname, "ethereum_client_scripts/geth.js");
-  } else if (clientName === "reth") {
+// Checkpoint the consensus client syncs from. An automatically selected
+// server is replaced by the next-best one if the beacon node cannot load
+// the checkpoint from it, see retryCheckpointSync()
+const checkpointSync = { url: null, automatic: false, tried: [] };
+
+async function startClient(clientName, executionType, installDir) {
+  const clientArgs = ["--client", clientName];
+
+  if (EXECUTION_CLIENTS.includes(clientName)) {
     clientArgs.push("--executionpeerport", executionPeerPort);
     clientArgs.push("--executiontype", executionType);
-    clientCommand = path.join(__dirname, "ethereum_client_scripts/reth.js");
-  } else if (clientName === "prysm") {
+  } else if (CONSENSUS_CLIENTS.includes(clientName)) {
     bgConsensusPeers = await fetchBGConsensusPeers();
     bgConsensusAddrs = await configureBGConsensusPeers(consensusClient);
 
@@ -339,36 +412,10 @@ async function startClient(
       clientArgs.push("--bgconsensusaddrs", bgConsensusAddrs);
     }
 
-    if (checkpointUrl != null) {
-      clientArgs.push("--consensuscheckpoint", checkpointUrl);
-    }
-
-    clientArgs.push("--consensuspeerports", consensusPeerPorts);
-
-    // Pass validator-related flags to beacon node
-    if (validatorEnabled && feeRecipient) {
-      clientArgs.push("--fee-recipient", feeRecipient);
-    }
-    if (mevBoostEnabled) {
-      clientArgs.push("--mev-boost");
-    }
-
-    clientCommand = path.join(__dirname, "ethereum_client_scripts/prysm.js");
-  } else if (clientName === "lighthouse") {
-    bgConsensusPeers = await fetchBGConsensusPeers();
-    bgConsensusAddrs = await configureBGConsensusPeers(consensusClient);
-
-    if (bgConsensusPeers.length > 0) {
-      clientArgs.push("--bgconsensuspeers", bgConsensusPeers);
-    }
-
-    if (bgConsensusAddrs != null) {
-      clientArgs.push("--bgconsensusaddrs", bgConsensusAddrs);
+    if (checkpointSync.url != null) {
+      clientArgs.push("--consensuscheckpoint", checkpointSync.url);
     }
 
-    if (checkpointUrl != null) {
-      clientArgs.push("--consensuscheckpoint", checkpointUrl);
-    }
     clientArgs.push("--consensuspeerports", consensusPeerPorts);
 
     // Pass validator-related flags to beacon node
@@ -378,44 +425,58 @@ async function startClient(
     if (mevBoostEnabled) {
       clientArgs.push("--mev-boost");
     }
-
-    clientCommand = path.join(
-      __dirname,
-      "ethereum_client_scripts/lighthouse.js"
-    );
-  } else {
-    clientCommand = path.join(
-      installDir,
-      "ethereum_clients",
-      clientName,
-      clientName
-    );
   }
 
+  clientArgs.push("--network", network);
   clientArgs.push("--directory", installDir);
+  if (clientLogLevels[clientName]) {
+    clientArgs.push("--log-level", clientLogLevels[clientName]);
+  }
 
-  const child = spawn("node", [clientCommand, ...clientArgs], {
-    stdio: ["inherit", "pipe", "inherit"],
+  const child = spawn("node", [launchClientScript, ...clientArgs], {
+    stdio: childStdio,
     cwd: process.env.HOME,
     env: { ...process.env, INSTALL_DIR: installDir },
   });
 
-  if (clientName === "geth" || clientName === "reth") {
+  const clientNameCapitalized = getClientAdapter(clientName).label;
+
+  if (EXECUTION_CLIENTS.includes(clientName)) {
     executionChild = child;
-  } else if (clientName === "prysm" || clientName === "lighthouse") {
+    executionExited = false;
+  } else if (CONSENSUS_CLIENTS.includes(clientName)) {
     consensusChild = child;
+    consensusExited = false;
   }
 
-  child.on("exit", (code) => {
-    console.log(`🫡 ${clientName} process exited with code ${code}`);
+  superviseProcess(clientName, {
+    label: clientNameCapitalized,
+    role: EXECUTION_CLIENTS.includes(clientName) ? "execution" : "consensus",
+    restart: () => startClient(clientName, executionType, installDir),
+  });
+  markProcessStarted(clientName);
+
+  child.on("exit", (code, signal) => {
+    console.log(
+      `🫡 ${clientName} process exited with ${describeExit(code, signal)}`
+    );
+
+    const checkpointFailed =
+      code === CHECKPOINT_FAILED_EXIT_CODE && checkpointSync.automatic;
 
     // Send telegram alert if client exited unexpectedly (not user-initiated shutdown)
     // Only send alert if isExiting is false, meaning the user didn't close the script
-    if (!isExiting && code !== null) {
+    if (
+      !isExiting &&
+      isCrashExit(code, signal) &&
+      !isRestartRequested(clientName) &&
+      !checkpointFailed
+    ) {
       const machineId = os.hostname();
-      const clientNameCapitalized =
-        clientName.charAt(0).toUpperCase() + clientName.slice(1);
-      const alertMessage = `🔴 ${clientNameCapitalized} crashed on ${machineId} with exit code ${code}!`;
+      const alertMessage = `🔴 ${clientNameCapitalized} crashed on ${machineId} with ${describeExit(
+        code,
+        signal
+      )}!`;
       sendTelegramAlert("crash", alertMessage).catch((err) => {
         debugToFile(
           `startClient(): Failed to send crash alert - ${err.message}`
@@ -423,11 +484,17 @@ async function startClient(
       });
     }
 
-    if (clientName === "geth" || clientName === "reth") {
+    if (EXECUTION_CLIENTS.includes(clientName)) {
       executionExited = true;
-    } else if (clientName === "prysm" || clientName === "lighthouse") {
+    } else if (CONSENSUS_CLIENTS.includes(clientName)) {
       consensusExited = true;
     }
+
+    if (!isExiting && checkpointFailed) {
+      retryCheckpointSync();
+    } else if (!isExiting) {
+      handleProcessExit(clientName, code, signal);
+    }
   });
 
   child.on("error", (err) => {
@@ -442,24 +509,77 @@ async function startClient(
 }
 
 /**
- * Start the validator client process.
+ * The beacon node could not load the checkpoint from the automatically
+ * selected server: restart it with the next-best server of the ranking,
+ * or hand the exit to the supervisor if every server has been tried.
  */
-async function startValidatorClient(consensusClient, installDir) {
-  let clientCommand;
-  const clientArgs = [];
+async function retryCheckpointSync() {
+  const clientLabel = getClientAdapter(consensusClient).label;
+  const failedUrl = checkpointSync.url;
+  if (!checkpointSync.tried.includes(failedUrl)) {
+    checkpointSync.tried.push(failedUrl);
+  }
 
-  if (consensusClient === "lighthouse") {
-    clientCommand = path.join(
-      __dirname,
-      "ethereum_client_scripts/lighthouse_validator.js"
-    );
-  } else if (consensusClient === "prysm") {
-    clientCommand = path.join(
-      __dirname,
-      "ethereum_client_scripts/prysm_validator.js"
+  console.log(
+    `\n⚠️  ${clientLabel} could not load the checkpoint from ${failedUrl}`
+  );
+
+  let nextUrl = null;
+  try {
+    nextUrl = await selectNextCheckpointUrl(
+      consensusClient,
+      installDir,
+      network,
+      checkpointProviders,
+      checkpointSync.tried
     );
+  } catch (error) {
+    debugToFile(`retryCheckpointSync(): ${error.message}`);
   }
 
+  if (isExiting) return;
+
+  const tried = checkpointSync.tried.join(", ");
+  debugToFile(
+    `retryCheckpointSync(): Tried ${tried}, next: ${nextUrl || "none"}`
+  );
+
+  if (!nextUrl) {
+    console.log(`❌ No other checkpoint server to try. Tried: ${tried}`);
+    sendTelegramAlert(
+      "crash",
+      `🔴 ${clientLabel} on ${os.hostname()} could not load a checkpoint from any server. Tried: ${tried}`
+    ).catch((err) => {
+      debugToFile(
+        `retryCheckpointSync(): Failed to send alert - ${err.message}`
+      );
+    });
+    handleProcessExit(consensusClient, CHECKPOINT_FAILED_EXIT_CODE);
+    return;
+  }
+
+  console.log(`🔁 Restarting ${clientLabel} with checkpoint ${nextUrl}`);
+  console.log(`   Already tried: ${tried}\n`);
+  sendTelegramAlert(
+    "warning",
+    `⚠️ ${clientLabel} on ${os.hostname()} could not load the checkpoint from ${failedUrl}, restarted with ${nextUrl}. Tried: ${tried}`
+  ).catch((err) => {
+    debugToFile(
+      `retryCheckpointSync(): Failed to send alert - ${err.message}`
+    );
+  });
+
+  checkpointSync.url = nextUrl;
+  requestRestart(consensusClient, () => false);
+}
+
+/**
+ * Start the validator client process.
+ */
+async function startValidatorClient(consensusClient, installDir) {
+  const clientArgs = ["--client", consensusClient, "--validator"];
+
+  clientArgs.push("--network", network);
   clientArgs.push("--directory", installDir);
 
   if (feeRecipient) {
@@ -471,6 +591,9 @@ async function startValidatorClient(consensusClient, installDir) {
   if (mevBoostEnabled) {
     clientArgs.push("--mev-boost");
   }
+  if (clientLogLevels.validator) {
+    clientArgs.push("--log-level", clientLogLevels.validator);
+  }
 
   // Pass the RAM-backed secure directory so password files stay in memory
   const secureDir = getSecureDirPath();
@@ -478,22 +601,39 @@ async function startValidatorClient(consensusClient, installDir) {
     clientArgs.push("--password-dir", secureDir);
   }
 
-  const child = spawn("node", [clientCommand, ...clientArgs], {
-    stdio: ["inherit", "pipe", "inherit"],
+  const child = spawn("node", [launchClientScript, ...clientArgs], {
+    stdio: childStdio,
     cwd: process.env.HOME,
     env: { ...process.env, INSTALL_DIR: installDir },
   });
 
   validatorChild = child;
+  validatorExited = false;
+
+  superviseProcess("validator", {
+    label: `${getClientAdapter(consensusClient).label} validator`,
+    role: "validator",
+    restart: () => startValidatorClient(consensusClient, installDir),
+  });
+  markProcessStarted("validator");
 
-  child.on("exit", (code) => {
+  child.on("exit", (code, signal) => {
     const clientLabel = `${consensusClient} validator`;
-    console.log(`🫡 ${clientLabel} process exited with code ${code}`);
+    console.log(
+      `🫡 ${clientLabel} process exited with ${describeExit(code, signal)}`
+    );
 
     // Validator crashes are critical - always alert
-    if (!isExiting && code !== null) {
+    if (
+      !isExiting &&
+      isCrashExit(code, signal) &&
+      !isRestartRequested("validator")
+    ) {
       const machineId = os.hostname();
-      const alertMessage = `🔴 CRITICAL: Validator client crashed on ${machineId} with exit code ${code}! Missed duties may result in penalties.`;
+      const alertMessage = `🔴 CRITICAL: Validator client crashed on ${machineId} with ${describeExit(
+        code,
+        signal
+      )}! Missed duties may result in penalties.`;
       sendTelegramAlert("crash", alertMessage).catch((err) => {
         debugToFile(
           `startValidatorClient(): Failed to send crash alert - ${err.message}`
@@ -502,6 +642,10 @@ async function startValidatorClient(consensusClient, installDir) {
     }
 
     validatorExited = true;
+
+    if (!isExiting) {
+      handleProcessExit("validator", code, signal);
+    }
   });
 
   child.on("error", (err) => {
@@ -521,26 +665,49 @@ async function startValidatorClient(consensusClient, installDir) {
  * Start the MEV-Boost process.
  */
 async function startMevBoost(installDir) {
-  const clientCommand = path.join(
-    __dirname,
-    "ethereum_client_scripts/mevboost.js"
-  );
-  const clientArgs = ["--directory", installDir];
+  const clientArgs = [
+    "--client",
+    "mev-boost",
+    "--network",
+    network,
+    "--directory",
+    installDir,
+  ];
+  if (clientLogLevels["mev-boost"]) {
+    clientArgs.push("--log-level", clientLogLevels["mev-boost"]);
+  }
 
-  const child = spawn("node", [clientCommand, ...clientArgs], {
-    stdio: ["inherit", "pipe", "inherit"],
+  const child = spawn("node", [launchClientScript, ...clientArgs], {
+    stdio: childStdio,
     cwd: process.env.HOME,
     env: { ...process.env, INSTALL_DIR: installDir },
   });
 
   mevBoostChild = child;
+  mevBoostExited = false;
+
+  superviseProcess("mev-boost", {
+    label: "MEV-Boost",
+    role: "mevBoost",
+    restart: () => startMevBoost(installDir),
+  });
+  markProcessStarted("mev-boost");
 
-  child.on("exit", (code) => {
-    console.log(`🫡 MEV-Boost process exited with code ${code}`);
+  child.on("exit", (code, signal) => {
+    console.log(
+      `🫡 MEV-Boost process exited with ${describeExit(code, signal)}`
+    );
 
-    if (!isExiting && code !== null) {
+    if (
+      !isExiting &&
+      isCrashExit(code, signal) &&
+      !isRestartRequested("mev-boost")
+    ) {
       const machineId = os.hostname();
-      const alertMessage = `🟡 MEV-Boost stopped on ${machineId} with exit code ${code}. Block proposals will use local block building.`;
+      const alertMessage = `🟡 MEV-Boost stopped on ${machineId} with ${describeExit(
+        code,
+        signal
+      )}. Block proposals will use local block building.`;
       sendTelegramAlert("crash", alertMessage).catch((err) => {
         debugToFile(
           `startMevBoost(): Failed to send alert - ${err.message}`
@@ -549,6 +716,10 @@ async function startMevBoost(installDir) {
     }
 
     mevBoostExited = true;
+
+    if (!isExiting) {
+      handleProcessExit("mev-boost", code, signal);
+    }
   });
 
   child.on("error", (err) => {
@@ -562,6 +733,144 @@ async function startMevBoost(installDir) {
   });
 }
 
+/**
+ * Map a client name given on the control socket ("execution", "reth",
+ * "validator", ...) to the name of the supervised process.
+ */
+function resolveProcessName(target) {
+  if (target === "execution" || target === executionClient) {
+    return executionClient;
+  }
+  if (target === "consensus" || target === consensusClient) {
+    return consensusClient;
+  }
+  if (target === "validator" && validatorEnabled) {
+    return "validator";
+  }
+  if ((target === "mev-boost" || target === "mevboost") && mevBoostEnabled) {
+    return "mev-boost";
+  }
+
+  const available = ["execution", "consensus"];
+  if (validatorEnabled) available.push("validator");
+  if (mevBoostEnabled) available.push("mev-boost");
+  throw new Error(
+    `Unknown client '${target}'. Use one of: ${available.join(", ")}`
+  );
+}
+
+function getProcessLogDir(name) {
+  if (name === "validator") {
+    return getClientLogLocation(installDir, consensusClient, {
+      validator: true,
+    });
+  }
+  return getClientLogLocation(installDir, name);
+}
+
+/**
+ * Signal a running client so the supervisor restarts it.
+ * Returns false if the client is not running.
+ */
+function stopProcessForRestart(name) {
+  let child, exited;
+  if (name === executionClient) {
+    [child, exited] = [executionChild, executionExited];
+  } else if (name === consensusClient) {
+    [child, exited] = [consensusChild, consensusExited];
+  } else if (name === "validator") {
+    [child, exited] = [validatorChild, validatorExited];
+  } else if (name === "mev-boost") {
+    [child, exited] = [mevBoostChild, mevBoostExited];
+  }
+
+  if (!child || exited) return false;
+  child.kill("SIGINT");
+  return true;
+}
+
+function restartProcess(name) {
+  if (isExiting) {
+    throw new Error("The node is shutting down");
+  }
+  if (!requestRestart(name, () => stopProcessForRestart(name))) {
+    throw new Error(`${name} is not supervised by this instance`);
+  }
+}
+
+/**
+ * Commands served on the control socket (see controlSocket.js).
+ */
+function createControlHandlers(nodeInfo) {
+  return {
+    status: () => collectNodeStatus(nodeInfo),
+
+    restart: ([target]) => {
+      const name = resolveProcessName(target);
+      restartProcess(name);
+      return name;
+    },
+
+    stop: () => {
+      // Answer before the shutdown starts closing the socket
+      setTimeout(() => handleExit("ctl stop"), 100);
+      return true;
+    },
+
+    "reload-peers": async () => {
+      bgExecutionPeers = await fetchBGExecutionPeers();
+      await configureBGExecutionPeers(bgExecutionPeers);
+      return bgExecutionPeers.length;
+    },
+
+    tail: async ([target, lines], connection) => {
+      const name = resolveProcessName(target);
+      const { dir, prefix } = getProcessLogDir(name);
+      const logFile = await waitForLogFile(dir, prefix, { timeoutMs: 1000 });
+      if (!logFile) {
+        throw new Error(`No ${name} log file found in ${dir}`);
+      }
+
+      const follow = (file, count) =>
+        followFile(path.join(dir, file), count, (line) =>
+          connection.send({ line })
+        );
+      let stopFollowing = follow(logFile, lines || 50);
+
+      // A restarted client writes to a new log file, follow it from its
+      // first line
+      const stopWatching = watchForNewLogFile(
+        dir,
+        prefix,
+        () => (getSupervisorStatus().processes[name] || {}).startedAt,
+        (file) => {
+          stopFollowing();
+          connection.send({
+            line: `--- ${name} restarted, following ${file}`,
+          });
+          stopFollowing = follow(file, Infinity);
+        }
+      );
+      connection.onClose(() => {
+        stopWatching();
+        stopFollowing();
+      });
+    },
+
+    "set-log-level": ([target, level]) => {
+      const name = resolveProcessName(target);
+      if (!LOG_LEVELS.includes(level)) {
+        throw new Error(
+          `Invalid log level '${level}'. Use one of: ${LOG_LEVELS.join(", ")}`
+        );
+      }
+      clientLogLevels[name] = level;
+      restartProcess(name);
+      return name;
+    },
+  };
+}
+
 function isAlreadyRunning() {
   try {
     if (fs.existsSync(lockFilePath)) {
@@ -599,6 +908,8 @@ const jwtDir = path.join(installDir, "ethereum_clients", "jwt");
 const platform = os.platform();
 
 if (["darwin", "linux"].includes(platform)) {
+  checkClientPrerequisites(executionClient);
+  checkClientPrerequisites(consensusClient);
   installMacLinuxClient(executionClient, platform);
   installMacLinuxClient(consensusClient, platform);
 
@@ -632,27 +943,50 @@ const wsConfig = {
   consensusClientVer: consensusClientVer,
 };
 
+if (headless && isAlreadyRunning()) {
+  console.log(
+    "❌ A BuidlGuidl Client instance is already running for this directory."
+  );
+  console.log(
+    "   Run 'node index.js' without --headless to attach the dashboard to it."
+  );
+  process.exit(1);
+}
+
 if (!isAlreadyRunning()) {
   deleteOptionsFile();
   createLockFile();
+  initSupervisor(installDir);
+
+  await checkDiskSpace(installDir, {
+    executionClient,
+    consensusClient,
+    executionType,
+    network,
+    interactive: !headless,
+  });
+
+  if (executionSnapshot) {
+    await bootstrapExecutionSnapshot(
+      executionClient,
+      installDir,
+      executionSnapshot
+    );
+  }
 
   // Select best checkpoint URL if user didn't provide one
   let selectedCheckpointUrl = consensusCheckpoint;
   if (!selectedCheckpointUrl) {
-    if (consensusClient === "lighthouse") {
-      selectedCheckpointUrl = await selectCheckpointUrlForLighthouse(
-        installDir,
-        null
-      );
-    } else if (consensusClient === "prysm") {
-      selectedCheckpointUrl = await selectCheckpointUrlForPrysm(
-        installDir,
-        null
-      );
-    }
+    selectedCheckpointUrl = await selectCheckpointUrl(
+      consensusClient,
+      installDir,
+      null,
+      network,
+      checkpointProviders
+    );
 
     // Give users time to see the selected checkpoint URL before logs start
-    if (selectedCheckpointUrl) {
+    if (selectedCheckpointUrl && !headless) {
       const spinnerFrames = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
       const startDelay = 10000; // 10 seconds
       const updateInterval = 100; // Update spinner every 100ms
@@ -683,6 +1017,7 @@ if (!isAlreadyRunning()) {
     console.log("  ⚡  VALIDATOR MODE ENABLED");
     console.log("═".repeat(60));
     console.log("");
+    console.log("  Network:       " + network);
     console.log("  Fee Recipient: " + feeRecipient);
     console.log("  Graffiti:      " + graffiti);
     console.log("  MEV-Boost:     " + (mevBoostEnabled ? "Enabled" : "Disabled"));
@@ -697,34 +1032,97 @@ if (!isAlreadyRunning()) {
     const secureDir = createSecureDir();
     debugToFile(`Secure directory created: ${secureDir}`);
 
-    setupValidatorKeys(installDir, feeRecipient, validatorKeysDir, consensusClient);
+    // Key generation and import ask questions, so headless mode can only
+    // use keys that are already set up and a password file
+    const passwordFile = process.env.VALIDATOR_PASSWORD_FILE || null;
+    if (headless && (!hasExistingKeys(installDir) || !passwordFile)) {
+      console.log(
+        "❌ Headless validator mode needs existing keystores and a password file."
+      );
+      console.log(
+        "   Run once without --headless to generate or import keys, then set"
+      );
+      console.log(
+        "   VALIDATOR_PASSWORD_FILE to a file containing the keystore password."
+      );
+      process.exit(1);
+    }
+
+    setupValidatorKeys(
+      installDir,
+      feeRecipient,
+      validatorKeysDir,
+      consensusClient,
+      network,
+      { passwordFile }
+    );
+
+    // Imported keys must not sign without their slashing protection history
+    checkSlashingProtection(installDir, consensusClient, {
+      allowMissing: allowMissingSlashingProtection,
+    });
   }
 
   // Start MEV-Boost first if enabled (beacon node connects to it)
   if (mevBoostEnabled) {
     await startMevBoost(installDir);
-    // Give MEV-Boost a moment to start before beacon node connects
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    // Make sure MEV-Boost is answering before the beacon node connects
+    console.log("⏳ Waiting for MEV-Boost to become ready...");
+    if (!(await waitForMevBoost(30000))) {
+      console.log(
+        "⚠️  MEV-Boost did not answer on localhost:18550 within 30s. Continuing; the beacon node will fall back to local block building until it is up."
+      );
+    }
   }
 
   await startClient(executionClient, executionType, installDir);
-  await startClient(
-    consensusClient,
-    executionType,
-    installDir,
-    selectedCheckpointUrl
-  );
+
+  // The beacon node needs the engine API to be listening
+  console.log("⏳ Waiting for the execution client engine API...");
+  if (!(await waitForEngineApi(60000))) {
+    console.log(
+      "⚠️  Engine API did not answer on localhost:8551 within 60s. Starting the consensus client anyway; it will keep retrying the connection."
+    );
+  }
+
+  checkpointSync.url = selectedCheckpointUrl;
+  checkpointSync.automatic = !consensusCheckpoint;
+  await startClient(consensusClient, executionType, installDir);
+
+  // A node started from a checkpoint compares its synced finalized block
+  // with the checkpoint servers
+  if (selectedCheckpointUrl) {
+    verifySyncedCheckpoint(network, checkpointProviders).then((result) => {
+      if (result && result.disagreeing.length > 0) {
+        const alertMessage = `🔴 CRITICAL: The finalized block of the beacon node on ${os.hostname()} (slot ${result.slot}) does not match the checkpoint servers! It may have been synced from a stale or malicious checkpoint.`;
+        sendTelegramAlert("crash", alertMessage).catch((err) => {
+          debugToFile(
+            `verifySyncedCheckpoint(): Failed to send alert - ${err.message}`
+          );
+        });
+      }
+    });
+  }
 
   // Start validator client after beacon node (it connects to beacon API)
   if (validatorEnabled) {
     // Wait for beacon node API to be ready
-    console.log("⏳ Waiting for beacon node to initialize before starting validator...");
-    await new Promise((resolve) => setTimeout(resolve, 5000));
+    console.log("⏳ Waiting for beacon node API before starting validator...");
+    if (!(await waitForBeaconNode(180000))) {
+      console.log(
+        "⚠️  Beacon node API did not become healthy on localhost:5052 within 180s. Starting the validator anyway; it will keep retrying the connection."
+      );
+    }
     await startValidatorClient(consensusClient, installDir);
   }
 
-  if (owner !== null) {
+  // The BuidlGuidl RPC network only serves mainnet requests
+  if (owner !== null && network === "mainnet") {
     initializeWebSocketConnection(wsConfig);
+  } else if (owner !== null) {
+    debugToFile(
+      `Skipping BuidlGuidl RPC network connection: ${network} is not mainnet`
+    );
   }
 
   runsClient = true;
@@ -733,26 +1131,70 @@ if (!isAlreadyRunning()) {
   messageForHeader = "Dashboard View (client already running)";
   runsClient = false;
   // Initialize WebSocket connection for secondary instances too
-  if (owner !== null) {
+  if (owner !== null && network === "mainnet") {
     initializeWebSocketConnection(wsConfig);
   }
 }
 
-initializeMonitoring(
-  messageForHeader,
-  executionClient,
-  consensusClient,
-  executionClientVer,
-  consensusClientVer,
-  runsClient,
-  validatorEnabled
-);
+const nodeInfo = {
+  network,
+  headless,
+  execution: { client: executionClient, version: executionClientVer },
+  consensus: { client: consensusClient, version: consensusClientVer },
+  validatorEnabled,
+  mevBoostEnabled,
+};
+
+if (runsClient) {
+  startNodeStatusWriter(installDir, nodeInfo);
+  startDiskForecast(installDir, [executionClient, consensusClient]);
+  if (validatorEnabled) {
+    startValidatorMonitor(installDir, {
+      network,
+      consensusClient,
+      missedDutyThreshold,
+    });
+  }
+}
+
+if (headless) {
+  console.log(
+    `\n🛰️  Running headless. Status: ${getNodeStatusPath(installDir)}`
+  );
+  console.log(
+    "   Run 'node index.js' from another terminal to attach the dashboard.\n"
+  );
+} else {
+  // Importing the dashboard starts its update loops, so only load it when shown
+  const { initializeMonitoring } = await import("./monitor.js");
+  initializeMonitoring(
+    messageForHeader,
+    executionClient,
+    consensusClient,
+    executionClientVer,
+    consensusClientVer,
+    runsClient,
+    validatorEnabled
+  );
+}
 
 let bgExecutionPeers = [];
 
-setTimeout(async () => {
+// Peer with BuidlGuidl nodes once the execution client can take admin calls
+waitForExecutionRpc(120000).then(async (ready) => {
+  if (!ready) {
+    debugToFile(
+      "Execution JSON-RPC not ready on localhost:8545 after 120s, skipping BuidlGuidl execution peering"
+    );
+    return;
+  }
   bgExecutionPeers = await fetchBGExecutionPeers();
   await configureBGExecutionPeers(bgExecutionPeers);
-}, 10000);
+});
+
+// Let "node index.js ctl ..." manage the clients this instance started
+if (runsClient) {
+  startControlServer(installDir, createControlHandlers(nodeInfo));
+}
 
 export { bgExecutionPeers, bgConsensusPeers };
@@ -15,10 +15,7 @@ import { createExecutionLog } from "./monitor_components/executionLog.js";
 import { createStatusBox } from "./monitor_components/statusBox.js";
 import { installDir } from "./commandLineOptions.js";
 
-import {
-  loadProgress,
-  getLatestLogFile,
-} from "./monitor_components/helperFunctions.js";
+import { loadProgress } from "./monitor_components/helperFunctions.js";
 
 import {
   createBandwidthBox,
@@ -30,11 +27,17 @@ import {
   setupLogStreaming,
   showHideRethWidgets,
   showHideGethWidgets,
+  showHideRpcSyncWidgets,
 } from "./monitor_components/updateLogic.js";
 
 import { createConsensusLog } from "./monitor_components/consensusLog.js";
 import { createValidatorLog } from "./monitor_components/validatorLog.js";
+import { createValidatorPanel } from "./monitor_components/validatorPanel.js";
 import { createHeader } from "./monitor_components/header.js";
+import { setupRestartCounters } from "./monitor_components/restartCounters.js";
+import { waitForLogFile, watchForNewLogFile } from "./readinessProbes.js";
+import { readSupervisorStatus } from "./clientSupervisor.js";
+import { getClientAdapter, getClientLogLocation } from "./clientRegistry.js";
 
 let executionClientGlobal;
 let consensusClientGlobal;
@@ -58,9 +61,10 @@ export async function initializeMonitoring(
     executionClientGlobal = executionClient;
     consensusClientGlobal = consensusClient;
     validatorEnabledGlobal = validatorEnabled;
+    const executionAdapter = getClientAdapter(executionClient);
     let progress;
 
-    if (executionClient == "geth") {
+    if (executionAdapter.parseSyncLogLine) {
       progress = loadProgress();
     }
 
@@ -72,79 +76,97 @@ export async function initializeMonitoring(
       runsClient
     );
 
-    const executionLogsPath = path.join(
-      installDir,
-      "ethereum_clients",
-      executionClient,
-      "logs"
-    );
+    const executionLogs = getClientLogLocation(installDir, executionClient);
+    const consensusLogs = getClientLogLocation(installDir, consensusClient);
 
-    const consensusLogsPath = path.join(
-      installDir,
-      "ethereum_clients",
-      consensusClient,
-      "logs"
-    );
-
-    const logFilePathExecution = path.join(
-      executionLogsPath,
-      await getLatestLogFile(executionLogsPath, executionClient)
-    );
+    // Only accept log files written by the clients this process started,
+    // so a log left over from a previous run is not streamed by mistake
+    const logsModifiedAfter = runsClient
+      ? Date.now() - process.uptime() * 1000
+      : 0;
 
-    setTimeout(() => {
-      const logFilePathConsensus = path.join(
-        consensusLogsPath,
-        getLatestLogFile(consensusLogsPath, consensusClient)
-      );
+    const streamLatestLog = async (
+      client,
+      processName,
+      { dir: logsPath, prefix },
+      logWidget,
+      gethStageGauge,
+      timeoutMs
+    ) => {
+      const logFile = await waitForLogFile(logsPath, prefix, {
+        modifiedAfter: logsModifiedAfter,
+        timeoutMs,
+      });
+
+      if (!logFile) {
+        logWidget.setContent(
+          `{red-fg}No ${prefix} log file appeared in ${logsPath} after ${
+            timeoutMs / 1000
+          }s. Check that the client started correctly.{/red-fg}`
+        );
+        screen.render();
+        return;
+      }
 
-      setupLogStreaming(
-        consensusClientGlobal,
-        logFilePathConsensus,
-        components.consensusLog,
-        screen,
-        components.gethStageGauge
+      const stream = (file) =>
+        setupLogStreaming(
+          client,
+          path.join(logsPath, file),
+          logWidget,
+          screen,
+          gethStageGauge
+        );
+      let stopStreaming = stream(logFile);
+
+      // Switch to the log file of the client after a restart. The status
+      // file is written by the instance that runs the clients
+      watchForNewLogFile(
+        logsPath,
+        prefix,
+        () => {
+          const status = readSupervisorStatus(installDir);
+          const proc = status && status.processes[processName];
+          return proc ? proc.startedAt : null;
+        },
+        (file) => {
+          stopStreaming();
+          stopStreaming = stream(file);
+        },
+        { timeoutMs }
       );
-    }, 3000);
+    };
 
-    setupLogStreaming(
+    streamLatestLog(
+      executionClientGlobal,
       executionClientGlobal,
-      logFilePathExecution,
+      executionLogs,
       components.executionLog,
-      screen,
-      components.gethStageGauge
+      components.gethStageGauge,
+      60000
+    );
+
+    streamLatestLog(
+      consensusClientGlobal,
+      consensusClientGlobal,
+      consensusLogs,
+      components.consensusLog,
+      components.gethStageGauge,
+      60000
     );
 
     // Set up validator log streaming if validator mode is active
     if (validatorEnabled && components.validatorLog) {
-      setTimeout(() => {
-        const validatorLogsPath = path.join(
-          installDir,
-          "ethereum_clients",
-          "validator",
-          consensusClient,
-          "logs"
-        );
-
-        try {
-          const logFilePathValidator = path.join(
-            validatorLogsPath,
-            getLatestLogFile(validatorLogsPath, `${consensusClient}_validator`)
-          );
-
-          setupLogStreaming(
-            `${consensusClientGlobal}_validator`,
-            logFilePathValidator,
-            components.validatorLog,
-            screen,
-            null
-          );
-        } catch (error) {
-          debugToFile(`Error setting up validator log streaming: ${error}`);
-        }
-      }, 8000); // Give validator client extra time to start and create log file
+      streamLatestLog(
+        null,
+        "validator",
+        getClientLogLocation(installDir, consensusClient, { validator: true }),
+        components.validatorLog,
+        null,
+        120000
+      );
     }
 
-    if (executionClient == "reth") {
+    if (executionAdapter.syncProgress == "reth-stages") {
       setInterval(() => {
         showHideRethWidgets(
           screen,
@@ -153,7 +175,7 @@ export async function initializeMonitoring(
           components.rpcInfoBox
         );
       }, 5000);
-    } else if (executionClient == "geth") {
+    } else if (executionAdapter.parseSyncLogLine) {
       setInterval(() => {
         showHideGethWidgets(
           screen,
@@ -162,6 +184,16 @@ export async function initializeMonitoring(
           components.rpcInfoBox
         );
       }, 5000);
+    } else {
+      // No log based stage tracking, the gauge is filled from eth_syncing
+      setInterval(() => {
+        showHideRpcSyncWidgets(
+          screen,
+          components.gethStageGauge,
+          components.chainInfoBox,
+          components.rpcInfoBox
+        );
+      }, 5000);
     }
   } catch (error) {
     debugToFile(`Error initializing monitoring: ${error}`);
@@ -180,31 +212,22 @@ function setupUI(
   // const grid = new contrib.grid({ rows: 9, cols: 10, screen: screen });
   const grid = new contrib.grid({ rows: 9, cols: 9, screen: screen });
 
-  let executionClientLabel;
-  let consensusClientLabel;
-
-  if (executionClientGlobal == "geth") {
-    executionClientLabel = `Geth v${executionClientVer}`;
-  } else if (executionClientGlobal == "reth") {
-    executionClientLabel = `Reth v${executionClientVer}`;
-  }
-
-  if (consensusClientGlobal == "prysm") {
-    consensusClientLabel = `Prysm v${consensusClientVer}`;
-  } else if (consensusClientGlobal == "lighthouse") {
-    consensusClientLabel = `Lighthouse v${consensusClientVer}`;
-  }
+  const executionAdapter = getClientAdapter(executionClientGlobal);
+  const executionClientLabel = `${executionAdapter.label} v${executionClientVer}`;
+  const consensusClientLabel = `${
+    getClientAdapter(consensusClientGlobal).label
+  } v${consensusClientVer}`;
 
   const executionLog = createExecutionLog(grid, executionClientLabel, screen);
   const consensusLog = createConsensusLog(grid, consensusClientLabel, screen);
 
-  // Create validator log panel if validator mode is active
+  // Create the validator panel and log if validator mode is active
+  let validatorPanel = null;
   let validatorLog = null;
+  let validatorClientLabel;
   if (validatorEnabledGlobal) {
-    const validatorClientLabel =
-      consensusClientGlobal === "lighthouse"
-        ? `Lighthouse`
-        : `Prysm`;
+    validatorClientLabel = getClientAdapter(consensusClientGlobal).label;
+    validatorPanel = createValidatorPanel(grid);
     validatorLog = createValidatorLog(grid, validatorClientLabel, screen);
   }
 
@@ -220,10 +243,11 @@ function setupUI(
 
   let gethStageGauge, rethStageGauge;
 
-  if (executionClientGlobal == "geth") {
-    gethStageGauge = createGethStageGauge(grid);
-  } else if (executionClientGlobal == "reth") {
+  if (executionAdapter.syncProgress == "reth-stages") {
     rethStageGauge = createRethStageGauge(grid);
+  } else {
+    // All other execution clients share the sync progress gauge
+    gethStageGauge = createGethStageGauge(grid);
   }
 
   const { pic, bigText, ipAddressBox } = createHeader(
@@ -235,6 +259,7 @@ function setupUI(
   screen.append(executionLog);
   screen.append(consensusLog);
   if (validatorLog) {
+    screen.append(validatorPanel);
     screen.append(validatorLog);
   }
   screen.append(cpuLine);
@@ -244,15 +269,33 @@ function setupUI(
   screen.append(peerCountGauge);
   screen.append(statusBox);
   screen.append(bandwidthBox);
-  if (executionClientGlobal == "geth") {
-    screen.append(gethStageGauge);
-  } else if (executionClientGlobal == "reth") {
+  if (executionAdapter.syncProgress == "reth-stages") {
     screen.append(rethStageGauge);
+  } else {
+    screen.append(gethStageGauge);
   }
 
   setBandwidthBox(bandwidthBox);
   startBandwidthMonitoring(screen);
 
+  setupRestartCounters(screen, [
+    {
+      widget: executionLog,
+      label: executionClientLabel,
+      names: [executionClientGlobal],
+    },
+    {
+      widget: consensusLog,
+      label: consensusClientLabel,
+      names: [consensusClientGlobal, "mev-boost"],
+    },
+    {
+      widget: validatorLog,
+      label: `${validatorClientLabel} (Validator)`,
+      names: ["validator"],
+    },
+  ]);
+
   function fixBottomMargins(screen) {
     try {
       let executionLogBottom = executionLog.top + executionLog.height - 1;
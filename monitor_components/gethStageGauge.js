@@ -19,11 +19,12 @@ export function createGethStageGauge(grid) {
   return gethStageGauge;
 }
 
-export function populateGethStageGauge(stagePercentages) {
+// Also used for Nethermind and Besu, with stages read from eth_syncing
+export function populateGethStageGauge(
+  stagePercentages,
+  stageNames = ["HEADERS", "CHAIN", "STATE"]
+) {
   try {
-    // Define the custom stage names inside the function
-    const stageNames = ["HEADERS", "CHAIN", "STATE"];
-
     // Get the width of the gethStageGauge box
     const boxWidth = gethStageGauge.width - 9; // Subtracting 9 for padding/border
     if (boxWidth > 0) {
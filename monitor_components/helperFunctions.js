@@ -3,6 +3,7 @@ import path from "path";
 import os from "os";
 import { debugToFile } from "../helpers.js";
 import { installDir } from "../commandLineOptions.js";
+import { getClientAdapter } from "../clientRegistry.js";
 
 const progressFilePath = path.join(
   installDir,
@@ -23,29 +24,10 @@ export { layoutHeightThresh };
 export function getLatestLogFile(dir, client) {
   try {
     const files = fs.readdirSync(dir);
-    let logFiles;
-    if (client === "geth") {
-      logFiles = files.filter(
-        (file) => file.startsWith("geth_") && file.endsWith(".log")
-      );
-    } else if (client === "reth") {
-      logFiles = files.filter(
-        (file) => file.startsWith("reth_") && file.endsWith(".log")
-      );
-    } else if (client === "prysm") {
-      logFiles = files.filter(
-        (file) => file.startsWith("prysm_") && file.endsWith(".log")
-      );
-    } else if (client === "lighthouse") {
-      logFiles = files.filter(
-        (file) => file.startsWith("lighthouse_") && file.endsWith(".log")
-      );
-    } else {
-      debugToFile(
-        `getLatestLogFile(): Invalid client specified. Must be 'geth', 'reth', 'prysm', or 'lighthouse'.`,
-        () => {}
-      );
-    }
+    const prefix = `${getClientAdapter(client).logPrefix}_`;
+    const logFiles = files.filter(
+      (file) => file.startsWith(prefix) && file.endsWith(".log")
+    );
     logFiles.sort(
       (a, b) =>
         fs.statSync(path.join(dir, b)).mtime -
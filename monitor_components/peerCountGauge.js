@@ -4,6 +4,7 @@ import { debugToFile } from "../helpers.js";
 import { localClient } from "./viemClients.js";
 import { executionClient, consensusClient } from "../commandLineOptions.js";
 import { bgExecutionPeers, bgConsensusPeers } from "../index.js";
+import { getClientAdapter } from "../clientRegistry.js";
 
 let peerCountGauge;
 
@@ -48,15 +49,11 @@ export async function getExecutionPeers() {
 }
 
 export async function getConsensusPeers(consensusClient) {
-  let searchString;
-  if (consensusClient == "prysm") {
-    searchString = 'p2p_peer_count{state="Connected"}';
-  } else if (consensusClient == "lighthouse") {
-    searchString = "libp2p_peers";
-  }
+  const { url, peerCountMetric: searchString } =
+    getClientAdapter(consensusClient).metrics;
   return new Promise((resolve) => {
     exec(
-      `curl -s http://localhost:5054/metrics | grep -E '^${searchString} '`,
+      `curl -s ${url} | grep -E '^${searchString} '`,
       (error, stdout, stderr) => {
         if (error || stderr) {
           // debugToFile(`getConsensusPeers(): ${error || stderr}`);
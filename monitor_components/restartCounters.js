@@ -0,0 +1,50 @@
+import { debugToFile } from "../helpers.js";
+import { installDir } from "../commandLineOptions.js";
+import { readSupervisorStatus } from "../clientSupervisor.js";
+
+// Append supervisor restart counts to widget labels, e.g. "Reth v1.9.3 | Restarts: 2".
+// Reads the status file so secondary dashboard instances see the same counts.
+export function setupRestartCounters(screen, targets) {
+  const updateLabels = () => {
+    try {
+      const status = readSupervisorStatus(installDir);
+      const processes = status ? status.processes : {};
+
+      targets.forEach(({ widget, label, names }) => {
+        if (!widget) return;
+
+        const parts = names
+          .map((name) => ({ name, proc: processes[name] }))
+          .filter(
+            ({ proc }) =>
+              proc && (proc.restarts > 0 || proc.state !== "running")
+          )
+          .map(({ name, proc }) => {
+            let part =
+              names.length > 1
+                ? `${proc.label} restarts: ${proc.restarts}`
+                : `Restarts: ${proc.restarts}`;
+            if (proc.state === "restarting") {
+              part += " (restarting)";
+            } else if (proc.state === "stopped") {
+              part += " (stopped)";
+            } else if (proc.state === "crash-loop" || proc.state === "failed") {
+              part += ` {red-fg}(${proc.state}){/red-fg}`;
+            }
+            return part;
+          });
+
+        widget.setLabel(
+          parts.length > 0 ? `${label} | ${parts.join(" | ")}` : label
+        );
+      });
+
+      screen.render();
+    } catch (error) {
+      debugToFile(`setupRestartCounters(): ${error}`);
+    }
+  };
+
+  updateLabels();
+  setInterval(updateLabels, 5000);
+}
@@ -18,18 +18,21 @@ import { populateGethStageGauge } from "./gethStageGauge.js";
 import { checkIn } from "../webSocketConnection.js";
 import fetch from "node-fetch";
 import { getDiskUsage } from "../getSystemStats.js";
+import {
+  readDiskForecast,
+  formatTimeUntilFull,
+  DISK_FORECAST_WARN_DAYS,
+} from "../diskForecast.js";
 import { populateChainInfoBox } from "./chainInfoBox.js";
 import { updateStatusBox } from "./statusBox.js";
 import { screen, statusBox, chainInfoBox } from "../monitor.js";
 import { updateBandwidthBox } from "./bandwidthGauge.js";
 import { getVersionNumber } from "../ethereum_client_scripts/install.js";
+import { getClientAdapter } from "../clientRegistry.js";
 
+// Sync stage progress parsed from the execution client log, for clients
+// with a parseSyncLogLine() adapter function
 const progress = loadProgress();
-let gethStageProgress = [
-  progress.headerDlProgress,
-  progress.chainDlProgress,
-  progress.stateDlProgress,
-];
 
 // Store Reth version at module level
 let rethVersion = null;
@@ -52,7 +55,7 @@ let lastSyncModeMainnetFetchTime = 0; // Track when we last fetched mainnet bloc
 // Function to initialize Reth version
 function initRethVersion() {
   if (rethVersion === null) {
-    rethVersion = getVersionNumber("reth");
+    rethVersion = getVersionNumber(executionClient);
   }
   return rethVersion;
 }
@@ -64,48 +67,21 @@ function stripAnsiCodes(input) {
   );
 }
 
-function saveHeaderDlProgress(line) {
-  line = stripAnsiCodes(line);
-
-  if (line.includes("Syncing beacon headers")) {
-    const headerDlMatch = line.match(
-      /downloaded=([\d,]+)\s+left=([\d,]+)\s+eta=([^\s]+)/
-    );
-
-    const headerDlDownloaded = parseInt(headerDlMatch[1].replace(/,/g, ""), 10);
-    const headerDlLeft = parseInt(headerDlMatch[2].replace(/,/g, ""), 10);
-    const headerDlProgress =
-      headerDlDownloaded / (headerDlDownloaded + headerDlLeft);
-
-    gethStageProgress[0] = headerDlProgress;
-
-    progress.headerDlProgress = headerDlProgress;
-    saveProgress(progress);
-  }
-}
-
-function saveStateDlProgress(line) {
-  if (line.includes("Syncing: chain download in progress")) {
-    const chainSyncMatch = line.match(/synced=([\d.]+)%/);
-    const chainDlProgress = parseFloat(chainSyncMatch[1]) / 100;
-
-    gethStageProgress[1] = chainDlProgress;
-
-    progress.chainDlProgress = chainDlProgress;
+// Only the execution client reports sync progress, so the log streams of
+// the other clients pass through
+function updateSyncProgress(adapter, line) {
+  const stageProgress = adapter.parseSyncLogLine(stripAnsiCodes(line));
+  if (stageProgress) {
+    Object.assign(progress, stageProgress);
     saveProgress(progress);
   }
 }
 
-function saveChainDlProgress(line) {
-  if (line.includes("Syncing: state download in progress")) {
-    const stateSyncMatch = line.match(/synced=([\d.]+)%/);
-    const stateDlProgress = parseFloat(stateSyncMatch[1]) / 100;
-
-    gethStageProgress[2] = stateDlProgress;
-
-    progress.stateDlProgress = stateDlProgress;
-    saveProgress(progress);
-  }
+function populateSyncStageGauge(adapter) {
+  populateGethStageGauge(
+    adapter.syncStages.map((stage) => progress[stage.key] || 0),
+    adapter.syncStages.map((stage) => stage.name)
+  );
 }
 
 let globalLine = "";
@@ -120,6 +96,8 @@ export function setupLogStreaming(
   let logBuffer = [];
   let lastSize = 0;
   let lastKnownBlockNumber = 0;
+  // null for logs without an adapter of their own (the validator client)
+  const adapter = client ? getClientAdapter(client) : {};
 
   const ensureBufferFillsWidget = () => {
     const visibleHeight = log.height - 2; // Account for border
@@ -168,21 +146,22 @@ export function setupLogStreaming(
 
           log.setContent(logBuffer.join("\n"));
 
-          if (client == "geth") {
+          if (adapter.parseSyncLogLine) {
             if (screen.children.includes(gethStageGauge)) {
-              populateGethStageGauge(gethStageProgress);
+              populateSyncStageGauge(adapter);
             }
 
-            saveHeaderDlProgress(line);
-            saveStateDlProgress(line);
-            saveChainDlProgress(line);
+            updateSyncProgress(adapter, line);
           }
 
           // Check for new block
-          if (client == "geth" || client == "reth") {
-            const blockNumberMatch = line.match(/block=(\d+)/);
+          if (adapter.newBlockPattern) {
+            const blockNumberMatch = line.match(adapter.newBlockPattern);
             if (blockNumberMatch) {
-              const currentBlockNumber = parseInt(blockNumberMatch[1], 10);
+              const currentBlockNumber = parseInt(
+                blockNumberMatch[1].replace(/,/g, ""),
+                10
+              );
               if (currentBlockNumber > lastKnownBlockNumber) {
                 lastKnownBlockNumber = currentBlockNumber;
                 try {
@@ -218,11 +197,14 @@ export function setupLogStreaming(
   updateLogContent();
 
   // Watch for file changes
-  fs.watchFile(logFilePath, (curr, prev) => {
+  const onChange = (curr, prev) => {
     if (curr.mtime > prev.mtime) {
       updateLogContent();
     }
-  });
+  };
+  fs.watchFile(logFilePath, onChange);
+
+  return () => fs.unwatchFile(logFilePath, onChange);
 }
 
 let statusMessage = "INITIALIZING...";
@@ -230,7 +212,9 @@ let statusMessage = "INITIALIZING...";
 async function getRethSyncMetrics() {
   return new Promise((resolve) => {
     exec(
-      "curl -s 127.0.0.1:9001 | grep -E '^reth_sync_entities_processed|^reth_sync_entities_total'",
+      `curl -s ${
+        getClientAdapter(executionClient).metrics.url
+      } | grep -E '^reth_sync_entities_processed|^reth_sync_entities_total'`,
       (error, stdout, stderr) => {
         if (error || stderr) {
           // If there's an error (likely because Reth is no longer running), return an empty string
@@ -793,12 +777,58 @@ export async function showHideGethWidgets(
   }
 }
 
+/**
+ * Fill the sync progress gauge for Nethermind and Besu, which have no log
+ * based stage tracking, from eth_syncing.
+ */
+async function populateSyncProgressFromRpc(screen, syncGauge) {
+  try {
+    const syncingStatus = await getEthSyncingStatus();
+    if (!syncingStatus || !screen.children.includes(syncGauge)) {
+      return;
+    }
+
+    const currentBlock = parseInt(syncingStatus.currentBlock, 16);
+    const highestBlock = parseInt(syncingStatus.highestBlock, 16);
+    const stageNames = ["BLOCKS"];
+    const stagePercentages = [
+      highestBlock > 0 ? Math.min(currentBlock / highestBlock, 1) : 0,
+    ];
+
+    // Besu reports state download progress during snap sync
+    if (syncingStatus.pulledStates && syncingStatus.knownStates) {
+      const pulledStates = parseInt(syncingStatus.pulledStates, 16);
+      const knownStates = parseInt(syncingStatus.knownStates, 16);
+      stageNames.push("STATE");
+      stagePercentages.push(
+        knownStates > 0 ? Math.min(pulledStates / knownStates, 1) : 0
+      );
+    }
+
+    populateGethStageGauge(stagePercentages, stageNames);
+  } catch (error) {
+    debugToFile(`populateSyncProgressFromRpc(): ${error}`);
+  }
+}
+
+export async function showHideRpcSyncWidgets(
+  screen,
+  syncGauge,
+  chainInfoBox,
+  rpcInfoBox
+) {
+  await showHideGethWidgets(screen, syncGauge, chainInfoBox, rpcInfoBox);
+  await populateSyncProgressFromRpc(screen, syncGauge);
+}
+
 async function calcSyncingStatus(executionClient) {
   try {
     const syncingStatus = await getEthSyncingStatus();
     let isSyncing = false; // Default value
 
-    if (executionClient === "reth") {
+    const { syncProgress } = getClientAdapter(executionClient);
+
+    if (syncProgress === "reth-stages") {
       // Check if syncingStatus is an object (syncing) or false (not syncing)
       const isNodeSyncing = syncingStatus !== false;
 
@@ -813,7 +843,7 @@ async function calcSyncingStatus(executionClient) {
         isSyncing = false;
       }
       // If none of the conditions are met, isSyncing remains false
-    } else if (executionClient === "geth") {
+    } else if (syncProgress === "rpc") {
       isSyncing = !!syncingStatus; // Convert to boolean
     }
 
@@ -886,6 +916,23 @@ setInterval(async () => {
 
 setInterval(() => updateBandwidthBox(screen), 2000);
 
+// Warn below the status once the disk is forecast to fill up soon. The
+// forecast file is written by the instance running the clients.
+function withDiskForecast(message, installDir) {
+  const { forecast } = readDiskForecast(installDir) || {};
+  if (
+    !forecast ||
+    forecast.daysUntilFull === null ||
+    forecast.daysUntilFull > DISK_FORECAST_WARN_DAYS
+  ) {
+    return message;
+  }
+  const color = forecast.daysUntilFull <= 7 ? "red" : "yellow";
+  return `${message}\n{${color}-fg}DISK FULL IN ${formatTimeUntilFull(
+    forecast.daysUntilFull
+  ).toUpperCase()}{/${color}-fg}`;
+}
+
 async function checkNetworkConnectivity() {
   try {
     await fetch("https://www.google.com", { mode: "no-cors", timeout: 5000 });
@@ -911,7 +958,7 @@ export async function synchronizeAndUpdateWidgets(installDir) {
       executionClient
     );
 
-    if (executionClient == "geth") {
+    if (getClientAdapter(executionClient).syncProgress === "rpc") {
       if (syncingStatus) {
         const currentBlock = parseInt(syncingStatus.currentBlock, 16);
         const highestBlock = parseInt(syncingStatus.highestBlock, 16);
@@ -1020,7 +1067,9 @@ export async function synchronizeAndUpdateWidgets(installDir) {
           }`;
         }
       }
-    } else if (executionClient == "reth") {
+    } else if (
+      getClientAdapter(executionClient).syncProgress === "reth-stages"
+    ) {
       if (isSyncing) {
         statusMessage = `SYNC IN PROGRESS`;
         await parseAndPopulateRethMetrics();
@@ -1075,7 +1124,7 @@ export async function synchronizeAndUpdateWidgets(installDir) {
       }
     }
 
-    return statusMessage;
+    return withDiskForecast(statusMessage, installDir);
   } catch (error) {
     debugToFile(`synchronizeAndUpdateWidgets error: ${error}`);
     if (error.message === "No network connection") {
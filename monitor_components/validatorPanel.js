@@ -0,0 +1,166 @@
+import blessed from "blessed";
+import { debugToFile } from "../helpers.js";
+import { installDir, network } from "../commandLineOptions.js";
+import { SECONDS_PER_SLOT, getEpochStartTime } from "../beaconChain.js";
+import { getValidatorStatus } from "../validatorMonitor.js";
+import { readNodeStatus } from "../nodeStatus.js";
+
+let validatorPanel;
+
+const STATUS_LABELS = {
+  pending_initialized: "{yellow-fg}pending{/yellow-fg}",
+  pending_queued: "{yellow-fg}queued{/yellow-fg}",
+  active_ongoing: "{green-fg}active{/green-fg}",
+  active_exiting: "{yellow-fg}exiting{/yellow-fg}",
+  active_slashed: "{red-fg}slashed{/red-fg}",
+  exited_unslashed: "exited",
+  exited_slashed: "{red-fg}exited{/red-fg}",
+  withdrawal_possible: "exited",
+  withdrawal_done: "withdrawn",
+  unknown: "{yellow-fg}deposit?{/yellow-fg}",
+};
+
+export function createValidatorPanel(grid) {
+  validatorPanel = grid.set(5, 0, 2, 4, blessed.box, {
+    label: "Validators",
+    content: "Waiting for the beacon node...",
+    border: {
+      type: "line",
+      fg: "green",
+    },
+    tags: true,
+    wrap: false,
+    scrollable: true,
+  });
+
+  populateValidatorPanel();
+  setInterval(populateValidatorPanel, 5000);
+
+  return validatorPanel;
+}
+
+function formatIn(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / (24 * 60))}d`;
+}
+
+function pad(text, width) {
+  // Tags take no space on the screen
+  const visible = text.replace(/\{[^}]*\}/g, "").length;
+  return text + " ".repeat(Math.max(1, width - visible));
+}
+
+function formatNextDuty(validator, status) {
+  const now = Date.now();
+  const proposalTime =
+    validator.nextProposalSlot !== null
+      ? now +
+        (validator.nextProposalSlot - status.slot) * SECONDS_PER_SLOT * 1000
+      : null;
+  const sync = validator.syncCommittee;
+
+  if (sync && sync.fromEpoch <= status.epoch) {
+    return "{magenta-fg}sync committee{/magenta-fg}";
+  }
+  if (proposalTime !== null) {
+    return `{cyan-fg}propose in ${formatIn(proposalTime - now)}{/cyan-fg}`;
+  }
+  if (sync) {
+    return `sync in ${formatIn(
+      getEpochStartTime(network, sync.fromEpoch) - now
+    )}`;
+  }
+  return "-";
+}
+
+function formatValidator(validator, status) {
+  const id =
+    validator.index !== null
+      ? validator.index
+      : `${validator.pubkey.slice(0, 10)}…`;
+  const columns = [
+    pad(String(id), 12),
+    pad(STATUS_LABELS[validator.status] || validator.status, 10),
+  ];
+
+  if (validator.index === null) {
+    return columns.join("");
+  }
+
+  const effectiveness =
+    validator.effectiveness !== null
+      ? Math.round(validator.effectiveness * 100)
+      : null;
+  const effectivenessColor =
+    effectiveness === null ? null : effectiveness >= 90 ? "green" : "yellow";
+  const epochsSinceAttestation =
+    validator.lastAttestedEpoch !== null
+      ? status.epoch - validator.lastAttestedEpoch
+      : null;
+
+  columns.push(
+    pad(`${(Number(validator.balance) / 1e9).toFixed(4)}`, 10),
+    pad(
+      effectiveness !== null
+        ? `{${effectivenessColor}-fg}${effectiveness}%{/${effectivenessColor}-fg}`
+        : "-",
+      6
+    ),
+    // Attestations of the current epoch are only checked once it is over
+    pad(
+      epochsSinceAttestation === null
+        ? "-"
+        : epochsSinceAttestation <= 1
+        ? "1 ep ago"
+        : `{red-fg}${epochsSinceAttestation} ep ago{/red-fg}`,
+      12
+    ),
+    formatNextDuty(validator, status)
+  );
+  return columns.join("");
+}
+
+function populateValidatorPanel() {
+  try {
+    // A dashboard attached to a running node reads its node status instead
+    const status =
+      getValidatorStatus() || (readNodeStatus(installDir) || {}).validators;
+    if (!status || !status.validators) return;
+
+    const lines = [];
+    if (status.error) {
+      lines.push(`{red-fg}Beacon node not reachable: ${status.error}{/red-fg}`);
+    }
+    if (status.validatorClient) {
+      const { up, publishedAttestations } = status.validatorClient;
+      lines.push(
+        `Validator client: ${
+          up ? "{green-fg}up{/green-fg}" : "{red-fg}down{/red-fg}"
+        }${
+          publishedAttestations !== null
+            ? `, ${publishedAttestations} attestations published`
+            : ""
+        }`
+      );
+    }
+    lines.push(
+      `{bold}${pad("Index", 12)}${pad("Status", 10)}${pad("ETH", 10)}${pad(
+        "Eff.",
+        6
+      )}${pad("Attested", 12)}Next duty{/bold}`
+    );
+    status.validators.forEach((validator) =>
+      lines.push(formatValidator(validator, status))
+    );
+    if (status.validators.length === 0) {
+      lines.push("No validator keystores found");
+    }
+
+    validatorPanel.setContent(lines.join("\n"));
+    validatorPanel.screen.render();
+  } catch (error) {
+    debugToFile(`populateValidatorPanel(): ${error}`);
+  }
+}
@@ -1,17 +1,35 @@
 import { createPublicClient, http } from "viem";
-import { mainnet } from "viem/chains";
+import { mainnet, sepolia, holesky, hoodi } from "viem/chains";
 import { BASE_URL } from "../config.js";
+import { network } from "../commandLineOptions.js";
+
+// Chain definition and a public reference RPC for each supported network.
+// The reference RPC is used to compare the local head against the network head.
+const networkConfigs = {
+  mainnet: { chain: mainnet, rpcUrl: "https://mainnet.rpc.buidlguidl.com" },
+  sepolia: {
+    chain: sepolia,
+    rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+  },
+  holesky: {
+    chain: holesky,
+    rpcUrl: "https://ethereum-holesky-rpc.publicnode.com",
+  },
+  hoodi: { chain: hoodi, rpcUrl: "https://ethereum-hoodi-rpc.publicnode.com" },
+};
+
+const { chain, rpcUrl } = networkConfigs[network];
 
 export const localClient = createPublicClient({
   name: "localClient",
-  chain: mainnet,
+  chain: chain,
   transport: http("http://localhost:8545"),
 });
 
 export const mainnetClient = createPublicClient({
   name: "mainnetClient",
-  chain: mainnet,
-  transport: http(`https://mainnet.rpc.buidlguidl.com`, {
+  chain: chain,
+  transport: http(rpcUrl, {
     fetchOptions: {
       headers: {
         Origin: "buidlguidl-client",
@@ -0,0 +1,262 @@
+import fs from "fs";
+import path from "path";
+import { debugToFile } from "./helpers.js";
+import { getSupervisorStatus } from "./clientSupervisor.js";
+import { getDiskForecast, formatTimeUntilFull } from "./diskForecast.js";
+import { getValidatorStatus } from "./validatorMonitor.js";
+
+/**
+ * nodeStatus.js
+ *
+ * Periodically writes a machine readable snapshot of the node to
+ * ethereum_clients/node_status.json. This is the main way to inspect a node
+ * started with --headless, and is written by every instance that runs the
+ * clients.
+ */
+
+const STATUS_REQUEST_TIMEOUT = 3000;
+
+let statusInterval = null;
+
+/**
+ * Get the path of the node status file for an install directory.
+ */
+export function getNodeStatusPath(installDir) {
+  return path.join(installDir, "ethereum_clients", "node_status.json");
+}
+
+async function fetchJson(url, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(
+    () => controller.abort(),
+    STATUS_REQUEST_TIMEOUT
+  );
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function executionRpc(method) {
+  const json = await fetchJson("http://localhost:8545", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", method, params: [], id: 1 }),
+  });
+  return json.result;
+}
+
+async function getExecutionStatus() {
+  try {
+    const [blockNumber, syncing, peerCount] = await Promise.all([
+      executionRpc("eth_blockNumber"),
+      executionRpc("eth_syncing"),
+      executionRpc("net_peerCount"),
+    ]);
+
+    return {
+      reachable: true,
+      blockNumber: parseInt(blockNumber, 16),
+      isSyncing: syncing !== false,
+      highestBlock:
+        syncing && syncing.highestBlock
+          ? parseInt(syncing.highestBlock, 16)
+          : null,
+      peers: parseInt(peerCount, 16),
+    };
+  } catch (error) {
+    return { reachable: false, error: error.message };
+  }
+}
+
+async function getConsensusStatus() {
+  try {
+    const [syncing, peerCount] = await Promise.all([
+      fetchJson("http://localhost:5052/eth/v1/node/syncing"),
+      fetchJson("http://localhost:5052/eth/v1/node/peer_count"),
+    ]);
+
+    return {
+      reachable: true,
+      headSlot: parseInt(syncing.data.head_slot, 10),
+      syncDistance: parseInt(syncing.data.sync_distance, 10),
+      isSyncing: syncing.data.is_syncing,
+      isOptimistic: syncing.data.is_optimistic || false,
+      peers: parseInt(peerCount.data.connected, 10),
+    };
+  } catch (error) {
+    return { reachable: false, error: error.message };
+  }
+}
+
+/**
+ * Collect a snapshot of the node.
+ *
+ * @param {object} node - Static information about this node
+ * @param {string} node.network
+ * @param {boolean} node.headless
+ * @param {{client: string, version: string}} node.execution
+ * @param {{client: string, version: string}} node.consensus
+ * @param {boolean} node.validatorEnabled
+ * @param {boolean} node.mevBoostEnabled
+ */
+export async function collectNodeStatus(node) {
+  const [execution, consensus] = await Promise.all([
+    getExecutionStatus(),
+    getConsensusStatus(),
+  ]);
+
+  return {
+    updatedAt: Date.now(),
+    pid: process.pid,
+    startedAt: Math.round(Date.now() - process.uptime() * 1000),
+    network: node.network,
+    headless: node.headless,
+    execution: { ...node.execution, ...execution },
+    consensus: { ...node.consensus, ...consensus },
+    validator: { enabled: node.validatorEnabled },
+    mevBoost: { enabled: node.mevBoostEnabled },
+    processes: getSupervisorStatus().processes,
+    disk: getDiskForecast(),
+    validators: node.validatorEnabled ? getValidatorStatus() : null,
+  };
+}
+
+/**
+ * Start writing the node status file every `intervalMs`.
+ */
+export function startNodeStatusWriter(installDir, node, intervalMs = 10000) {
+  const statusPath = getNodeStatusPath(installDir);
+
+  const writeStatus = async () => {
+    try {
+      const status = await collectNodeStatus(node);
+      if (!statusInterval) return; // Stopped while collecting
+      // Write to a temporary file first so readers never see partial JSON
+      fs.writeFileSync(`${statusPath}.tmp`, JSON.stringify(status, null, 2));
+      fs.renameSync(`${statusPath}.tmp`, statusPath);
+    } catch (error) {
+      debugToFile(`startNodeStatusWriter(): ${error}`);
+    }
+  };
+
+  stopNodeStatusWriter();
+  statusInterval = setInterval(writeStatus, intervalMs);
+  writeStatus();
+}
+
+/**
+ * Stop writing the status file and remove it, so a stale snapshot is not
+ * mistaken for a running node.
+ */
+export function stopNodeStatusWriter(installDir = null) {
+  if (statusInterval) {
+    clearInterval(statusInterval);
+    statusInterval = null;
+  }
+
+  if (installDir) {
+    try {
+      fs.rmSync(getNodeStatusPath(installDir), { force: true });
+    } catch (error) {
+      debugToFile(`stopNodeStatusWriter(): ${error}`);
+    }
+  }
+}
+
+/**
+ * Read the node status file. Returns null if it does not exist or cannot
+ * be parsed.
+ */
+export function readNodeStatus(installDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getNodeStatusPath(installDir), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatProcess(proc) {
+  let line = `${proc.label}: ${proc.state}`;
+  if (proc.restarts > 0) {
+    line += `, ${proc.restarts} restart(s)`;
+  }
+  if (proc.state === "restarting" && proc.nextRestartAt) {
+    line += `, next attempt at ${new Date(
+      proc.nextRestartAt
+    ).toLocaleTimeString()}`;
+  }
+  return line;
+}
+
+/**
+ * Render a node status snapshot as human readable lines.
+ */
+export function formatNodeStatus(status) {
+  const { execution, consensus } = status;
+  const lines = [
+    `Node:         running (pid ${status.pid}, ${
+      status.network
+    }, updated ${new Date(status.updatedAt).toLocaleTimeString()})`,
+    `Execution:    ${[execution.client, execution.version]
+      .filter(Boolean)
+      .join(" ")} ${
+      execution.reachable
+        ? `block ${execution.blockNumber}, ${execution.peers} peers${
+            execution.isSyncing ? ", syncing" : ""
+          }`
+        : "not reachable"
+    }`,
+    `Consensus:    ${[consensus.client, consensus.version]
+      .filter(Boolean)
+      .join(" ")} ${
+      consensus.reachable
+        ? `slot ${consensus.headSlot}, ${consensus.peers} peers${
+            consensus.isSyncing ? ", syncing" : ""
+          }`
+        : "not reachable"
+    }`,
+  ];
+
+  if (status.validator && status.validator.enabled) {
+    const validators = status.validators ? status.validators.validators : [];
+    const active = validators.filter((validator) =>
+      validator.status.startsWith("active")
+    ).length;
+    lines.push(
+      `Validator:    enabled${
+        validators.length > 0
+          ? `, ${active} of ${validators.length} validator(s) active`
+          : ""
+      }`
+    );
+  }
+  if (status.mevBoost && status.mevBoost.enabled) {
+    lines.push("MEV-Boost:    enabled");
+  }
+
+  if (status.disk && status.disk.daysUntilFull !== null) {
+    lines.push(
+      `Disk:         full in ${formatTimeUntilFull(
+        status.disk.daysUntilFull
+      )} at the current growth`
+    );
+  }
+
+  const processes = Object.values(status.processes || {});
+  if (processes.length > 0) {
+    lines.push("Processes:");
+    processes.forEach((proc) => lines.push(`  ${formatProcess(proc)}`));
+  }
+
+  return lines;
+}
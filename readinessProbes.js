@@ -0,0 +1,204 @@
+import fs from "fs";
+import path from "path";
+import { debugToFile } from "./helpers.js";
+
+/**
+ * readinessProbes.js
+ *
+ * Polls client endpoints and log directories until they are ready, instead
+ * of sleeping for a fixed amount of time during startup. Every probe
+ * resolves to a boolean (or null for log files) so that callers decide
+ * whether a timeout is fatal.
+ */
+
+const PROBE_REQUEST_TIMEOUT = 2000;
+
+/**
+ * Repeatedly run an async check until it returns a truthy value or the
+ * timeout expires. Returns the check result, or null on timeout.
+ */
+export async function waitUntil(
+  description,
+  check,
+  { timeoutMs = 60000, intervalMs = 500 } = {}
+) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < timeoutMs) {
+    try {
+      const result = await check();
+      if (result) {
+        debugToFile(
+          `waitUntil(): ${description} ready after ${Date.now() - startTime}ms`
+        );
+        return result;
+      }
+    } catch (error) {
+      // Not ready yet, keep polling
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+
+  debugToFile(`waitUntil(): ${description} not ready after ${timeoutMs}ms`);
+  return null;
+}
+
+/**
+ * Fetch a URL with a short per-request timeout.
+ */
+async function probe(url, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_REQUEST_TIMEOUT);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Wait for the execution client's engine API (8551) to accept connections.
+ * The engine API requires a JWT, so any HTTP response (including 401)
+ * means the server is listening.
+ */
+export async function waitForEngineApi(timeoutMs = 60000) {
+  const ready = await waitUntil(
+    "Engine API (localhost:8551)",
+    async () => {
+      await probe("http://localhost:8551", { method: "POST" });
+      return true;
+    },
+    { timeoutMs }
+  );
+  return ready === true;
+}
+
+/**
+ * Wait for the execution client's JSON-RPC endpoint (8545) to answer.
+ */
+export async function waitForExecutionRpc(timeoutMs = 120000) {
+  const ready = await waitUntil(
+    "Execution JSON-RPC (localhost:8545)",
+    async () => {
+      const response = await probe("http://localhost:8545", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          method: "web3_clientVersion",
+          params: [],
+          id: 1,
+        }),
+      });
+      return response.ok;
+    },
+    { timeoutMs }
+  );
+  return ready === true;
+}
+
+/**
+ * Wait for the beacon node API (5052) to report that it is up.
+ * /eth/v1/node/health returns 200 when synced and 206 while syncing;
+ * both mean the API can serve a validator client.
+ */
+export async function waitForBeaconNode(timeoutMs = 120000) {
+  const ready = await waitUntil(
+    "Beacon node API (localhost:5052)",
+    async () => {
+      const response = await probe("http://localhost:5052/eth/v1/node/health");
+      return response.status === 200 || response.status === 206;
+    },
+    { timeoutMs }
+  );
+  return ready === true;
+}
+
+/**
+ * Wait for MEV-Boost (18550) to answer its builder status endpoint.
+ */
+export async function waitForMevBoost(timeoutMs = 30000) {
+  const ready = await waitUntil(
+    "MEV-Boost (localhost:18550)",
+    async () => {
+      const response = await probe(
+        "http://localhost:18550/eth/v1/builder/status"
+      );
+      return response.ok;
+    },
+    { timeoutMs }
+  );
+  return ready === true;
+}
+
+/**
+ * Wait for a log file whose name starts with `${prefix}_` to appear in a
+ * directory. When `modifiedAfter` is set, only files written after that
+ * timestamp count, so a stale log from a previous run is not picked up.
+ * Returns the file name of the newest match, or null on timeout.
+ */
+export async function waitForLogFile(
+  dir,
+  prefix,
+  { modifiedAfter = 0, timeoutMs = 60000 } = {}
+) {
+  return waitUntil(
+    `Log file ${prefix}_*.log in ${dir}`,
+    async () => {
+      const logFiles = fs
+        .readdirSync(dir)
+        .filter(
+          (file) => file.startsWith(`${prefix}_`) && file.endsWith(".log")
+        )
+        .map((file) => ({
+          file,
+          mtime: fs.statSync(path.join(dir, file)).mtimeMs,
+        }))
+        .filter(({ mtime }) => mtime >= modifiedAfter)
+        .sort((a, b) => b.mtime - a.mtime);
+
+      return logFiles.length > 0 ? logFiles[0].file : null;
+    },
+    { timeoutMs }
+  );
+}
+
+/**
+ * Every launch of a client writes a new log file. Calls onLogFile with the
+ * new log file each time the process is started again, as reported by
+ * getStartedAt(). Returns a function that stops watching.
+ */
+export function watchForNewLogFile(
+  dir,
+  prefix,
+  getStartedAt,
+  onLogFile,
+  { timeoutMs = 60000, intervalMs = 5000 } = {}
+) {
+  let lastStartedAt = getStartedAt();
+  let checking = false;
+  let stopped = false;
+
+  const interval = setInterval(async () => {
+    const startedAt = getStartedAt();
+    if (checking || !startedAt || startedAt === lastStartedAt) return;
+
+    checking = true;
+    lastStartedAt = startedAt;
+    const logFile = await waitForLogFile(dir, prefix, {
+      modifiedAfter: startedAt,
+      timeoutMs,
+    });
+    checking = false;
+
+    if (logFile && !stopped) {
+      onLogFile(logFile);
+    }
+  }, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(interval);
+  };
+}
@@ -0,0 +1,438 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { debugToFile } from "./helpers.js";
+import { readNodeStatus, formatNodeStatus } from "./nodeStatus.js";
+
+/**
+ * serviceManager.js
+ *
+ * Implements `node index.js service install|uninstall|status`.
+ *
+ * Generates a systemd unit (Linux) or a launchd agent (macOS) that runs
+ * index.js in --headless mode with the options given on the command line,
+ * so the node keeps running across reboots. When run as root on Linux a
+ * system unit is installed for the invoking sudo user, otherwise a user
+ * unit is installed.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SERVICE_NAME = "buidlguidl-client";
+const LAUNCHD_LABEL = "com.buidlguidl.client";
+
+// Restart policy for the service manager. The client supervises its own
+// processes, so this only covers index.js itself exiting with an error.
+const RESTART_DELAY_SECONDS = 30;
+// Clients can take minutes to flush their databases on shutdown
+const STOP_TIMEOUT_SECONDS = 300;
+
+/**
+ * Build the index.js arguments that reproduce the given options.
+ */
+export function buildServiceArgs(options) {
+  const args = ["--headless"];
+
+  args.push("--network", options.network);
+  args.push("--executionclient", options.executionClient);
+  args.push("--consensusclient", options.consensusClient);
+  if (options.executionType === "archive") {
+    args.push("--archive");
+  }
+  args.push("--executionpeerport", String(options.executionPeerPort));
+  args.push("--consensuspeerports", options.consensusPeerPorts.join(","));
+  if (options.consensusCheckpoint) {
+    args.push("--consensuscheckpoint", options.consensusCheckpoint);
+  }
+  if (options.checkpointProviders) {
+    args.push("--checkpoint-providers", options.checkpointProviders.join(","));
+  }
+  args.push("--directory", options.installDir);
+  if (options.owner) {
+    args.push("--owner", options.owner);
+  }
+  if (options.validatorEnabled) {
+    args.push("--validator");
+    args.push("--fee-recipient", options.feeRecipient);
+    args.push("--graffiti", options.graffiti);
+    args.push("--missed-duty-threshold", String(options.missedDutyThreshold));
+  }
+  if (options.mevBoostEnabled) {
+    args.push("--mev-boost");
+  }
+
+  return args;
+}
+
+function quoteSystemdArg(arg) {
+  return /^[A-Za-z0-9_\-.,:/@=]+$/.test(arg)
+    ? arg
+    : `"${arg.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function isRoot() {
+  return typeof process.getuid === "function" && process.getuid() === 0;
+}
+
+/**
+ * Where the service definition lives and how to talk to its manager.
+ */
+function getServiceTarget() {
+  const platform = os.platform();
+
+  if (platform === "linux") {
+    const system = isRoot();
+    return {
+      platform,
+      system,
+      unitPath: system
+        ? path.join("/etc/systemd/system", `${SERVICE_NAME}.service`)
+        : path.join(
+            os.homedir(),
+            ".config",
+            "systemd",
+            "user",
+            `${SERVICE_NAME}.service`
+          ),
+      systemctlArgs: system ? [] : ["--user"],
+    };
+  }
+
+  if (platform === "darwin") {
+    return {
+      platform,
+      unitPath: path.join(
+        os.homedir(),
+        "Library",
+        "LaunchAgents",
+        `${LAUNCHD_LABEL}.plist`
+      ),
+    };
+  }
+
+  return null;
+}
+
+export function generateSystemdUnit(options, { user = null } = {}) {
+  const execStart = [
+    process.execPath,
+    path.join(__dirname, "index.js"),
+    ...buildServiceArgs(options),
+  ]
+    .map(quoteSystemdArg)
+    .join(" ");
+
+  const lines = [
+    "[Unit]",
+    "Description=BuidlGuidl Client (Ethereum node)",
+    "Wants=network-online.target",
+    "After=network-online.target",
+    "",
+    "[Service]",
+    "Type=simple",
+  ];
+
+  if (user) {
+    lines.push(`User=${user}`);
+  }
+
+  lines.push(
+    `WorkingDirectory=${__dirname}`,
+    `Environment=${quoteSystemdArg(`PATH=${process.env.PATH}`)}`
+  );
+
+  if (options.validatorPasswordFile) {
+    // systemd copies the credential to a private, RAM-backed directory
+    lines.push(
+      `LoadCredential=validator-password:${options.validatorPasswordFile}`,
+      "Environment=VALIDATOR_PASSWORD_FILE=%d/validator-password"
+    );
+  }
+
+  lines.push(
+    `ExecStart=${execStart}`,
+    "Restart=on-failure",
+    `RestartSec=${RESTART_DELAY_SECONDS}`,
+    // Only signal index.js; it shuts the clients down in order
+    "KillMode=mixed",
+    "KillSignal=SIGTERM",
+    `TimeoutStopSec=${STOP_TIMEOUT_SECONDS}`,
+    "",
+    "[Install]",
+    user ? "WantedBy=multi-user.target" : "WantedBy=default.target",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+export function generateLaunchdPlist(options) {
+  const programArguments = [
+    process.execPath,
+    path.join(__dirname, "index.js"),
+    ...buildServiceArgs(options),
+  ]
+    .map((arg) => `    <string>${escapeXml(arg)}</string>`)
+    .join("\n");
+
+  const environment = [
+    `    <key>PATH</key>\n    <string>${escapeXml(process.env.PATH)}</string>`,
+  ];
+  if (options.validatorPasswordFile) {
+    environment.push(
+      `    <key>VALIDATOR_PASSWORD_FILE</key>\n    <string>${escapeXml(
+        options.validatorPasswordFile
+      )}</string>`
+    );
+  }
+
+  const logPath = path.join(
+    options.installDir,
+    "ethereum_clients",
+    "service.log"
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>Label</key>
+  <string>${LAUNCHD_LABEL}</string>
+  <key>ProgramArguments</key>
+  <array>
+${programArguments}
+  </array>
+  <key>WorkingDirectory</key>
+  <string>${escapeXml(__dirname)}</string>
+  <key>EnvironmentVariables</key>
+  <dict>
+${environment.join("\n")}
+  </dict>
+  <key>RunAtLoad</key>
+  <true/>
+  <key>KeepAlive</key>
+  <dict>
+    <key>SuccessfulExit</key>
+    <false/>
+  </dict>
+  <key>ThrottleInterval</key>
+  <integer>${RESTART_DELAY_SECONDS}</integer>
+  <key>ExitTimeOut</key>
+  <integer>${STOP_TIMEOUT_SECONDS}</integer>
+  <key>StandardOutPath</key>
+  <string>${escapeXml(logPath)}</string>
+  <key>StandardErrorPath</key>
+  <string>${escapeXml(logPath)}</string>
+</dict>
+</plist>
+`;
+}
+
+function run(command, args) {
+  debugToFile(`serviceManager: ${command} ${args.join(" ")}`);
+  return execFileSync(command, args, { encoding: "utf8" }).trim();
+}
+
+function tryRun(command, args) {
+  try {
+    return run(command, args);
+  } catch (error) {
+    return error.stdout ? error.stdout.toString().trim() : null;
+  }
+}
+
+function isNodeRunning(installDir) {
+  const lockFilePath = path.join(installDir, "ethereum_clients", "script.lock");
+  try {
+    process.kill(parseInt(fs.readFileSync(lockFilePath, "utf8"), 10), 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function installService(options) {
+  const target = getServiceTarget();
+
+  if (options.validatorEnabled && !options.validatorPasswordFile) {
+    console.log(
+      "❌ A validator service needs the keystore password in a file. Set"
+    );
+    console.log(
+      "   VALIDATOR_PASSWORD_FILE=/path/to/password when running 'service install'."
+    );
+    process.exit(1);
+  }
+
+  const alreadyRunning = isNodeRunning(options.installDir);
+
+  if (target.platform === "linux") {
+    const user = target.system
+      ? process.env.SUDO_USER || os.userInfo().username
+      : null;
+
+    fs.mkdirSync(path.dirname(target.unitPath), { recursive: true });
+    fs.writeFileSync(target.unitPath, generateSystemdUnit(options, { user }));
+    console.log(`📝 Wrote ${target.unitPath}`);
+
+    run("systemctl", [...target.systemctlArgs, "daemon-reload"]);
+    run("systemctl", [...target.systemctlArgs, "enable", SERVICE_NAME]);
+    if (!alreadyRunning) {
+      run("systemctl", [...target.systemctlArgs, "start", SERVICE_NAME]);
+    }
+
+    const systemctl = `systemctl${target.system ? "" : " --user"}`;
+    console.log(`✅ Service '${SERVICE_NAME}' installed and enabled.`);
+    if (alreadyRunning) {
+      console.log(
+        `   The client is already running here. Quit it, then run '${systemctl} start ${SERVICE_NAME}'.`
+      );
+    }
+    console.log(
+      `   Logs: journalctl ${
+        target.system ? "" : "--user "
+      }-u ${SERVICE_NAME} -f`
+    );
+    if (!target.system) {
+      console.log(
+        `   To keep it running after you log out, run 'sudo loginctl enable-linger ${
+          os.userInfo().username
+        }'.`
+      );
+    }
+  } else {
+    fs.mkdirSync(path.dirname(target.unitPath), { recursive: true });
+    fs.writeFileSync(target.unitPath, generateLaunchdPlist(options));
+    console.log(`📝 Wrote ${target.unitPath}`);
+
+    if (!alreadyRunning) {
+      run("launchctl", ["load", "-w", target.unitPath]);
+      console.log(`✅ Service '${LAUNCHD_LABEL}' installed and started.`);
+    } else {
+      console.log(`✅ Service '${LAUNCHD_LABEL}' installed.`);
+      console.log(
+        `   The client is already running here. Quit it, then run 'launchctl load -w ${target.unitPath}'.`
+      );
+    }
+    console.log(
+      `   Logs: ${path.join(
+        options.installDir,
+        "ethereum_clients",
+        "service.log"
+      )}`
+    );
+  }
+
+  console.log("   Attach the dashboard at any time with 'node index.js'.");
+}
+
+function uninstallService() {
+  const target = getServiceTarget();
+
+  if (!fs.existsSync(target.unitPath)) {
+    console.log(`ℹ️  No service installed at ${target.unitPath}`);
+    return;
+  }
+
+  if (target.platform === "linux") {
+    tryRun("systemctl", [
+      ...target.systemctlArgs,
+      "disable",
+      "--now",
+      SERVICE_NAME,
+    ]);
+    fs.unlinkSync(target.unitPath);
+    run("systemctl", [...target.systemctlArgs, "daemon-reload"]);
+  } else {
+    tryRun("launchctl", ["unload", "-w", target.unitPath]);
+    fs.unlinkSync(target.unitPath);
+  }
+
+  console.log(`✅ Service removed (${target.unitPath}).`);
+}
+
+function showServiceStatus(options) {
+  const target = getServiceTarget();
+  const installed = fs.existsSync(target.unitPath);
+
+  console.log(`Service file: ${target.unitPath}`);
+  console.log(`Installed:    ${installed ? "yes" : "no"}`);
+
+  if (installed && target.platform === "linux") {
+    console.log(
+      `Enabled:      ${
+        tryRun("systemctl", [
+          ...target.systemctlArgs,
+          "is-enabled",
+          SERVICE_NAME,
+        ]) || "unknown"
+      }`
+    );
+    console.log(
+      `Active:       ${
+        tryRun("systemctl", [
+          ...target.systemctlArgs,
+          "is-active",
+          SERVICE_NAME,
+        ]) || "unknown"
+      }`
+    );
+  } else if (installed) {
+    const listing = tryRun("launchctl", ["list", LAUNCHD_LABEL]);
+    console.log(`Loaded:       ${listing ? "yes" : "no"}`);
+  }
+
+  const status = readNodeStatus(options.installDir);
+  if (!status || !isNodeRunning(options.installDir)) {
+    console.log("Node:         not running");
+    return;
+  }
+
+  formatNodeStatus(status).forEach((line) => console.log(line));
+}
+
+/**
+ * Entry point for `node index.js service <action>`.
+ *
+ * @param {string} action - "install", "uninstall" or "status"
+ * @param {object} options - Current options from commandLineOptions.js
+ */
+export function runServiceCommand(action, options) {
+  if (!getServiceTarget()) {
+    console.log(
+      "❌ Services are only supported on Linux (systemd) and macOS (launchd)."
+    );
+    process.exit(1);
+  }
+
+  try {
+    if (action === "install") {
+      installService(options);
+    } else if (action === "uninstall") {
+      uninstallService();
+    } else if (action === "status") {
+      showServiceStatus(options);
+    } else {
+      console.log(
+        "Usage: node index.js service <install|uninstall|status> [options]"
+      );
+      process.exit(1);
+    }
+  } catch (error) {
+    debugToFile(`runServiceCommand(): ${error}`);
+    console.log(`❌ service ${action} failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -1,16 +1,6 @@
 import fetch from "node-fetch";
-
-// List of checkpoint sync URLs to test
-const CHECKPOINT_URLS = [
-  "https://checkpointz.pietjepuk.net",
-  "https://sync-mainnet.beaconcha.in",
-  "https://beaconstate-mainnet.chainsafe.io",
-  "https://mainnet-checkpoint-sync.stakely.io",
-  "https://mainnet-checkpoint-sync.attestant.io",
-  "https://beaconstate.ethstaker.cc",
-  "https://mainnet.checkpoint.sigp.io",
-  "https://beaconstate.info",
-];
+import { fileURLToPath } from "url";
+import { getCheckpointUrls } from "./checkpointHealthCheck.js";
 
 // Common Beacon API endpoints to test
 const ENDPOINTS = [
@@ -98,8 +88,9 @@ async function testEndpoint(url, endpoint, timeout = 5000) {
 
 /**
  * Test all endpoints for a single checkpoint URL
+ * Also used by "node index.js checkpoint test --endpoints"
  */
-async function testCheckpointServer(url) {
+export async function testCheckpointServer(url) {
   console.log(`\n${"=".repeat(80)}`);
   console.log(`Testing: ${url}`);
   console.log(`${"=".repeat(80)}`);
@@ -199,14 +190,20 @@ async function testCheckpointServer(url) {
 
 /**
  * Main function to test all checkpoint servers
+ * Usage: node test-checkpoint-endpoints.js [network | url ...]
  */
 async function main() {
+  const args = process.argv.slice(2);
+  const checkpointUrls = args.some((arg) => /^https?:\/\//.test(arg))
+    ? args
+    : getCheckpointUrls(args[0] || "mainnet");
+
   console.log("🔍 Testing Checkpoint Sync Endpoints");
   console.log(
-    `Testing ${CHECKPOINT_URLS.length} servers with ${ENDPOINTS.length} endpoints each\n`
+    `Testing ${checkpointUrls.length} servers with ${ENDPOINTS.length} endpoints each\n`
   );
 
-  for (const url of CHECKPOINT_URLS) {
+  for (const url of checkpointUrls) {
     await testCheckpointServer(url);
   }
 
@@ -215,8 +212,10 @@ async function main() {
   console.log(`${"=".repeat(80)}\n`);
 }
 
-// Run the tests
-main().catch((error) => {
-  console.error("Fatal error:", error);
-  process.exit(1);
-});
+// Run the tests when started directly, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,117 @@
+import os from "os";
+import { debugToFile } from "./helpers.js";
+import { sendTelegramAlert } from "./telegramAlert.js";
+
+/**
+ * validatorAlerts.js
+ *
+ * Telegram alerts for missed validator duties, fed once per epoch by
+ * validatorMonitor.js:
+ *
+ *   - missed attestations, after `threshold` epochs in a row
+ *   - attestations that earn less than DEGRADED_EFFECTIVENESS of the ideal
+ *     rewards, after `threshold` epochs in a row. Usually they are included
+ *     late, or vote for the wrong head because the beacon node lags behind
+ *   - every missed block proposal
+ *
+ * A streak is alerted once when it reaches the threshold, and once more
+ * when it is over. A threshold of 0 turns the alerts off.
+ */
+
+const DEGRADED_EFFECTIVENESS = 0.8;
+
+// Epochs in a row each validator index missed or underperformed
+const missedStreaks = {};
+const degradedStreaks = {};
+
+function alert(alertType, message) {
+  debugToFile(`validatorAlerts: ${message}`);
+  sendTelegramAlert(alertType, message).catch((error) =>
+    debugToFile(`validatorAlerts: ${error}`)
+  );
+}
+
+/**
+ * Count a failed or successful epoch of a validator. Calls onAlert when the
+ * streak reaches the threshold and onRecover when a streak that was alerted
+ * ends.
+ */
+function updateStreak(streaks, index, failed, threshold, onAlert, onRecover) {
+  const streak = streaks[index] || 0;
+  if (failed) {
+    streaks[index] = streak + 1;
+    if (streaks[index] === threshold) onAlert(streaks[index]);
+  } else {
+    streaks[index] = 0;
+    if (streak >= threshold) onRecover(streak);
+  }
+}
+
+/**
+ * Check the liveness of the validators in a complete epoch, as returned by
+ * the beacon node: [{ index, is_live }].
+ */
+export function checkAttestations(epoch, liveness, threshold) {
+  if (threshold === 0) return;
+
+  liveness.forEach(({ index, is_live }) =>
+    updateStreak(
+      missedStreaks,
+      index,
+      !is_live,
+      threshold,
+      (streak) =>
+        alert(
+          "warning",
+          `🔴 Validator ${index} on ${os.hostname()} missed its attestations in the last ${streak} epochs (up to epoch ${epoch}). Check the validator client and the beacon node.`
+        ),
+      (streak) =>
+        alert(
+          "info",
+          `🟢 Validator ${index} on ${os.hostname()} is attesting again after ${streak} missed epochs.`
+        )
+    )
+  );
+}
+
+/**
+ * Check the attestation effectiveness of the validators in an epoch, by
+ * validator index. Missed attestations (0) are left to checkAttestations().
+ */
+export function checkEffectiveness(epoch, effectiveness, threshold) {
+  if (threshold === 0) return;
+
+  for (const [index, value] of Object.entries(effectiveness)) {
+    if (value === 0) continue;
+    updateStreak(
+      degradedStreaks,
+      index,
+      value < DEGRADED_EFFECTIVENESS,
+      threshold,
+      (streak) =>
+        alert(
+          "warning",
+          `🟡 The attestations of validator ${index} on ${os.hostname()} earned only ${Math.round(
+            value * 100
+          )}% of the possible rewards for ${streak} epochs (up to epoch ${epoch}). They are likely included late; check the peers and the sync of the beacon node.`
+        ),
+      () =>
+        alert(
+          "info",
+          `🟢 The attestations of validator ${index} on ${os.hostname()} are effective again.`
+        )
+    );
+  }
+}
+
+/**
+ * Alert a block proposal that did not make it into the chain.
+ */
+export function alertMissedProposal(index, slot, threshold) {
+  if (threshold === 0) return;
+
+  alert(
+    "warning",
+    `🔴 Validator ${index} on ${os.hostname()} missed its block proposal in slot ${slot}.`
+  );
+}
@@ -0,0 +1,383 @@
+import fs from "fs";
+import path from "path";
+import { debugToFile } from "./helpers.js";
+import { getClientAdapter } from "./clientRegistry.js";
+import {
+  LOCAL_BEACON_API,
+  SECONDS_PER_SLOT,
+  SLOTS_PER_EPOCH,
+  getCurrentSlot,
+  getEpochAt,
+} from "./beaconChain.js";
+import { getKeystorePubkeys } from "./ethereum_client_scripts/slashingProtection.js";
+import {
+  checkAttestations,
+  checkEffectiveness,
+  alertMissedProposal,
+} from "./validatorAlerts.js";
+
+/**
+ * validatorMonitor.js
+ *
+ * Follows the validators whose keystores are in
+ * ethereum_clients/validator/keystores on the local beacon node: their
+ * status and balance every slot and, once per epoch, whether they attested,
+ * how effective their attestations were and their upcoming block proposals
+ * and sync committee duties. The validator client's own metrics tell
+ * whether it is up and how many attestations it published.
+ *
+ * The result is shown in the validator panel of the dashboard and written
+ * to the node status by the instance that runs the clients. Missed duties
+ * are passed on to validatorAlerts.js.
+ */
+
+const REQUEST_TIMEOUT = 5000;
+const POLL_INTERVAL = SECONDS_PER_SLOT * 1000;
+
+const EPOCHS_PER_SYNC_COMMITTEE_PERIOD = 256;
+
+// Epochs the attestation effectiveness is averaged over
+const EFFECTIVENESS_EPOCHS = 10;
+
+// Doppelganger protection keeps the validator client from signing for the
+// first epochs after it starts, which must not count as missed duties
+const STARTUP_EPOCHS = 3;
+
+const ATTESTING_STATUSES = ["active_ongoing", "active_exiting"];
+
+let monitorInterval = null;
+let latestStatus = null;
+let alertThreshold = 0;
+let alertsFromEpoch = null;
+
+// Per epoch results, updated once per epoch by updateEpochDuties()
+let lastUpdatedEpoch = null;
+let lastAttestedEpochs = {};
+let effectivenessHistory = {};
+let proposals = [];
+let syncCommittees = {};
+
+async function beaconApi(pathname, body = null) {
+  const response = await fetch(`${LOCAL_BEACON_API}${pathname}`, {
+    method: body ? "POST" : "GET",
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`${pathname}: HTTP ${response.status}`);
+  }
+  return (await response.json()).data;
+}
+
+/**
+ * Whether the validator client serves its metrics, and the sum of its
+ * published attestations metric if the adapter names one.
+ */
+async function getValidatorClientMetrics(consensusClient) {
+  const { metrics } = getClientAdapter(consensusClient).validator || {};
+  if (!metrics) return null;
+
+  try {
+    const response = await fetch(metrics.url, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    if (!response.ok) return { up: false, publishedAttestations: null };
+    const text = await response.text();
+
+    let publishedAttestations = null;
+    if (metrics.publishedAttestationsMetric) {
+      const [name, labels] = metrics.publishedAttestationsMetric.split("{");
+      publishedAttestations = text
+        .split("\n")
+        .filter(
+          (line) =>
+            (line.startsWith(`${name} `) || line.startsWith(`${name}{`)) &&
+            (!labels || line.includes(labels.replace("}", "")))
+        )
+        .reduce((total, line) => total + Number(line.split(" ").pop()), 0);
+    }
+    return { up: true, publishedAttestations };
+  } catch (error) {
+    return { up: false, publishedAttestations: null };
+  }
+}
+
+/**
+ * Attestation effectiveness of an epoch: the head, target and source
+ * rewards earned as a fraction of the ideal ones, by validator index.
+ */
+async function getAttestationEffectiveness(epoch, indices, effectiveBalances) {
+  const rewards = await beaconApi(
+    `/eth/v1/beacon/rewards/attestations/${epoch}`,
+    indices
+  );
+  const sum = (reward) =>
+    Number(reward.head) + Number(reward.target) + Number(reward.source);
+
+  const effectiveness = {};
+  rewards.total_rewards.forEach((reward) => {
+    const ideal = rewards.ideal_rewards.find(
+      (entry) =>
+        entry.effective_balance === effectiveBalances[reward.validator_index]
+    );
+    if (ideal && sum(ideal) > 0) {
+      effectiveness[reward.validator_index] = Math.max(
+        0,
+        Math.min(1, sum(reward) / sum(ideal))
+      );
+    }
+  });
+  return effectiveness;
+}
+
+function getEpochStartSlot(epoch) {
+  return epoch * SLOTS_PER_EPOCH;
+}
+
+/**
+ * Whether the block of a slot is in the chain and was proposed by the
+ * validator. An empty slot is a 404.
+ */
+async function isBlockProposed(slot, validatorIndex) {
+  const response = await fetch(
+    `${LOCAL_BEACON_API}/eth/v1/beacon/headers/${slot}`,
+    { signal: AbortSignal.timeout(REQUEST_TIMEOUT) }
+  );
+  if (response.status === 404) return false;
+  if (!response.ok) {
+    throw new Error(`/eth/v1/beacon/headers/${slot}: HTTP ${response.status}`);
+  }
+  const { data } = await response.json();
+  return data.header.message.proposer_index === validatorIndex;
+}
+
+/**
+ * Refresh the results of the last complete epochs and the upcoming duties.
+ * Each part is optional, as not every beacon node serves every endpoint.
+ */
+async function updateEpochDuties(
+  epoch,
+  indices,
+  effectiveBalances,
+  attestingIndices
+) {
+  const attempt = async (name, update) => {
+    try {
+      await update();
+    } catch (error) {
+      debugToFile(`updateEpochDuties(): ${name}: ${error}`);
+    }
+  };
+
+  // Liveness tells whether a validator was seen attesting (or proposing)
+  // in an epoch
+  await attempt("liveness", async () => {
+    const liveness = await beaconApi(
+      `/eth/v1/validator/liveness/${epoch - 1}`,
+      indices
+    );
+    liveness
+      .filter((entry) => entry.is_live)
+      .forEach((entry) => (lastAttestedEpochs[entry.index] = epoch - 1));
+    if (epoch - 1 >= alertsFromEpoch) {
+      checkAttestations(
+        epoch - 1,
+        liveness.filter((entry) => attestingIndices.includes(entry.index)),
+        alertThreshold
+      );
+    }
+  });
+
+  // Rewards of an epoch are known once the epoch after it is complete
+  await attempt("rewards", async () => {
+    const effectiveness = await getAttestationEffectiveness(
+      epoch - 2,
+      indices,
+      effectiveBalances
+    );
+    for (const [index, value] of Object.entries(effectiveness)) {
+      effectivenessHistory[index] = [
+        ...(effectivenessHistory[index] || []),
+        value,
+      ].slice(-EFFECTIVENESS_EPOCHS);
+    }
+    if (epoch - 2 >= alertsFromEpoch) {
+      checkEffectiveness(epoch - 2, effectiveness, alertThreshold);
+    }
+  });
+
+  // The proposals of the last epoch are over, check that their blocks made
+  // it into the chain before the duties are replaced
+  await attempt("missed proposals", async () => {
+    for (const duty of proposals.filter(
+      (entry) =>
+        Number(entry.slot) >= getEpochStartSlot(alertsFromEpoch) &&
+        Number(entry.slot) < getEpochStartSlot(epoch)
+    )) {
+      if (!(await isBlockProposed(duty.slot, duty.validator_index))) {
+        alertMissedProposal(duty.validator_index, duty.slot, alertThreshold);
+      }
+    }
+  });
+
+  await attempt("proposer duties", async () => {
+    const duties = [];
+    for (const dutyEpoch of [epoch, epoch + 1]) {
+      duties.push(
+        ...(await beaconApi(`/eth/v1/validator/duties/proposer/${dutyEpoch}`))
+      );
+    }
+    proposals = duties.filter((duty) => indices.includes(duty.validator_index));
+  });
+
+  await attempt("sync committee duties", async () => {
+    const nextPeriodEpoch =
+      (Math.floor(epoch / EPOCHS_PER_SYNC_COMMITTEE_PERIOD) + 1) *
+      EPOCHS_PER_SYNC_COMMITTEE_PERIOD;
+    const [current, next] = await Promise.all([
+      beaconApi(`/eth/v1/validator/duties/sync/${epoch}`, indices),
+      beaconApi(`/eth/v1/validator/duties/sync/${nextPeriodEpoch}`, indices),
+    ]);
+    syncCommittees = {};
+    current.forEach(
+      (duty) =>
+        (syncCommittees[duty.validator_index] = {
+          fromEpoch: nextPeriodEpoch - EPOCHS_PER_SYNC_COMMITTEE_PERIOD,
+          untilEpoch: nextPeriodEpoch,
+        })
+    );
+    next
+      .filter((duty) => !syncCommittees[duty.validator_index])
+      .forEach(
+        (duty) =>
+          (syncCommittees[duty.validator_index] = {
+            fromEpoch: nextPeriodEpoch,
+            untilEpoch: nextPeriodEpoch + EPOCHS_PER_SYNC_COMMITTEE_PERIOD,
+          })
+      );
+  });
+}
+
+async function updateValidatorStatus(installDir, network, consensusClient) {
+  const keystoresDir = path.join(
+    installDir,
+    "ethereum_clients",
+    "validator",
+    "keystores"
+  );
+  const pubkeys = fs.existsSync(keystoresDir)
+    ? getKeystorePubkeys(keystoresDir)
+    : [];
+  const epoch = getEpochAt(network, Date.now());
+  const slot = getCurrentSlot(network);
+
+  const states =
+    pubkeys.length > 0
+      ? await beaconApi(
+          `/eth/v1/beacon/states/head/validators?id=${pubkeys.join(",")}`
+        )
+      : [];
+  const indices = states.map((state) => state.index);
+  const effectiveBalances = Object.fromEntries(
+    states.map((state) => [state.index, state.validator.effective_balance])
+  );
+
+  if (indices.length > 0 && epoch !== lastUpdatedEpoch) {
+    lastUpdatedEpoch = epoch;
+    await updateEpochDuties(
+      epoch,
+      indices,
+      effectiveBalances,
+      states
+        .filter((state) => ATTESTING_STATUSES.includes(state.status))
+        .map((state) => state.index)
+    );
+  }
+
+  const validators = pubkeys.map((pubkey) => {
+    const state = states.find(
+      (entry) => entry.validator.pubkey.toLowerCase() === pubkey
+    );
+    if (!state) {
+      // The deposit has not been processed by the beacon chain yet
+      return { pubkey, index: null, status: "unknown" };
+    }
+
+    const history = effectivenessHistory[state.index] || [];
+    const nextProposal = proposals
+      .filter(
+        (duty) =>
+          duty.validator_index === state.index && Number(duty.slot) > slot
+      )
+      .sort((a, b) => Number(a.slot) - Number(b.slot))[0];
+
+    return {
+      pubkey,
+      index: state.index,
+      status: state.status,
+      balance: state.balance,
+      lastAttestedEpoch:
+        lastAttestedEpochs[state.index] !== undefined
+          ? lastAttestedEpochs[state.index]
+          : null,
+      effectiveness:
+        history.length > 0
+          ? history.reduce((total, value) => total + value, 0) / history.length
+          : null,
+      nextProposalSlot: nextProposal ? Number(nextProposal.slot) : null,
+      syncCommittee: syncCommittees[state.index] || null,
+    };
+  });
+
+  latestStatus = {
+    updatedAt: Date.now(),
+    epoch,
+    slot,
+    validatorClient: await getValidatorClientMetrics(consensusClient),
+    validators: validators.sort(
+      (a, b) => Number(a.index ?? Infinity) - Number(b.index ?? Infinity)
+    ),
+  };
+}
+
+/**
+ * Start following the validators of an install directory every slot.
+ * Missed duties are alerted after `missedDutyThreshold` epochs in a row,
+ * 0 turns the alerts off.
+ */
+export function startValidatorMonitor(
+  installDir,
+  { network, consensusClient, missedDutyThreshold = 2 }
+) {
+  alertThreshold = missedDutyThreshold;
+  alertsFromEpoch = getEpochAt(network, Date.now()) + STARTUP_EPOCHS;
+
+  const update = () =>
+    updateValidatorStatus(installDir, network, consensusClient).catch(
+      (error) => {
+        debugToFile(`startValidatorMonitor(): ${error}`);
+        // Keep the last known state, marked as outdated
+        latestStatus = { ...latestStatus, error: error.message };
+      }
+    );
+
+  stopValidatorMonitor();
+  monitorInterval = setInterval(update, POLL_INTERVAL);
+  update();
+}
+
+export function stopValidatorMonitor() {
+  if (monitorInterval) {
+    clearInterval(monitorInterval);
+    monitorInterval = null;
+  }
+}
+
+/**
+ * Last status of the validators of this instance, see
+ * updateValidatorStatus().
+ */
+export function getValidatorStatus() {
+  return latestStatus;
+}